@@ -5,8 +5,23 @@
  * creates a new Cloud Speech API client.
  */
 
-// The API client
+// The API client, and the server's client config
 var apiClient = null;
+var clientConfig = null;
+
+// The transcript panel, and its entries for the recording and each file
+var transcriptEditor = null;
+var microphoneEntryId = null;
+var fileEntryIds = {};
+
+/**
+ * Shows what's going on, e.g. an error.
+ *
+ * @param {!string} message The message.
+ */
+function setStatus(message) {
+  document.querySelector('#status').textContent = message;
+}
 
 /**
  * Toggles microphone recording button on/off.
@@ -22,6 +37,9 @@ function toggleMicrophoneRecordingButton(to) {
   } else if (to === 'stop') {
     microphoneButton.innerHTML = 'Stop recording';
   }
+
+  // Captions can only be shared while recording
+  document.querySelector('#shareButton').disabled = to !== 'stop';
 }
 
 /**
@@ -31,14 +49,28 @@ function toggleMicrophoneRecordingButton(to) {
  */
 function toggleMicrophoneRecording(event) {
   if (event.target.innerHTML.indexOf('Start') !== -1) {
-    // Start recording
-    apiClient.start();
+    // Start recording, with a new entry in the transcript
+    setStatus('');
+    microphoneEntryId = transcriptEditor.startEntry('Microphone');
+    // The transcript panel offers the alternatives, so ask for a few
+    apiClient.start({
+      'maxAlternatives': Math.max(3,
+                                  clientConfig.recognition.maxAlternatives)
+    });
 
     // For hints, add a space separated list of words:
     /*apiClient.start({
       'speechContext': 'special words to listen out for'
     });*/
 
+    // To only send audio when someone's speaking, and stop after 5 seconds
+    // of silence:
+    /*apiClient.start({
+      'vad': {
+        'silenceTimeoutMs': 5000
+      }
+    });*/
+
     toggleMicrophoneRecordingButton('stop');
   } else {
     // Stop recording
@@ -50,36 +82,27 @@ function toggleMicrophoneRecording(event) {
 /**
  * Data response from the API streamer.
  *
+ * Final results of the recording are added to its transcript entry, and
+ * interim ones shown after it. Files are added as they're recognised, by
+ * onRecognitionProgress, so only need to be marked as done.
+ *
  * @param {!Object<string>} response Response from the Cloud Speech API
  * streamer.
  */
 function onData(response) {
   // console.log('Data:', response);
 
-  var sentence = '';
-  var completeUtterance = false;
-  for (var r = 0; r < response.data.length; r++) {
-    var utterances = response.data[r];
-
-    // Is this a complete utterance?
-    if (utterances.isFinal) {
-      completeUtterance = true;
-    }
-
-    // Run through each utterance
-    var alternatives = utterances.alternatives;
-    for (var a = 0; a < alternatives.length; a++) {
-      var utterance = alternatives[a];
-      sentence += utterance.transcript;
+  if (response.uploadId) {
+    if (fileEntryIds.hasOwnProperty(response.uploadId)) {
+      transcriptEditor.setStatus(fileEntryIds[response.uploadId], '');
+      delete fileEntryIds[response.uploadId];
     }
+    return;
   }
 
-  if (completeUtterance) {
-    document.querySelector('#response span.incomplete').innerHTML = '';
-    document.querySelector('#response span.final').innerHTML = sentence +
-                                                               '<br/>';
-  } else {
-    document.querySelector('#response span.incomplete').innerHTML = sentence;
+  if (microphoneEntryId) {
+    transcriptEditor.addResults(microphoneEntryId, response.data);
+    transcriptEditor.showInterim(microphoneEntryId, response.data);
   }
 }
 
@@ -105,15 +128,121 @@ function onError(error) {
   if (!error.recording) {
     toggleMicrophoneRecordingButton('start');
   }
+
+  // Let the user know what went wrong, by the file if it was one
+  if (fileEntryIds.hasOwnProperty(error.uploadId)) {
+    transcriptEditor.setStatus(fileEntryIds[error.uploadId],
+                               error.error.message);
+    delete fileEntryIds[error.uploadId];
+  } else {
+    setStatus(error.error.message);
+  }
+}
+
+/**
+ * Shows the link viewers can watch the captions at, e.g. on a projector.
+ *
+ * @param {!Object<string>} published The caption room, and a viewer token.
+ */
+function onPublished(published) {
+  var link = document.querySelector('#captionLink');
+  link.href = 'captions.html?room=' + encodeURIComponent(published.room) +
+              '&token=' + encodeURIComponent(published.token) +
+              '&server=' + encodeURIComponent(clientConfig.serverUrl);
+  link.innerHTML = link.href;
+}
+
+/**
+ * Acts on a voice command.
+ *
+ * @param {!Object} command The command's name, its slots and the confidence.
+ */
+function onCommand(command) {
+  console.debug('Command:', command);
+
+  if (command.command === 'stopRecording') {
+    apiClient.stop();
+    toggleMicrophoneRecordingButton('start');
+  } else if (command.command === 'clearTranscript') {
+    transcriptEditor.clear();
+    fileEntryIds = {};
+
+    // Carry on with the recording in a new entry
+    microphoneEntryId = transcriptEditor.startEntry('Microphone');
+  }
 }
 
-// When the page loads
-window.onload = function() {
-  // Create the WebSockets connection.
-  // Defaults to hardcoded server which only accepts connections from
-  // ZOO Tech prototypes Storage bucket, so you'll probably need to change it.
-  var socket = io('https://cloudspeechstreaming-dot-zoo-tech-external.' +
-                  'appspot.com');
+/**
+ * Shows how far an upload has got.
+ *
+ * @param {!Object<number>} progress How many bytes the server has received,
+ * and the size of the file.
+ */
+function onUploadProgress(progress) {
+  if (!fileEntryIds.hasOwnProperty(progress.uploadId)) {
+    return;
+  }
+
+  transcriptEditor.setStatus(fileEntryIds[progress.uploadId],
+      progress.received < progress.size ?
+      'Uploading... ' + Math.floor(progress.received / progress.size * 100) +
+      '%' : 'Sending to Cloud Speech API...');
+}
+
+/**
+ * Shows each segment of a long file as it's recognised.
+ *
+ * @param {!Object} progress The segment number, how many segments there are,
+ * and the segment's results as data.
+ */
+function onRecognitionProgress(progress) {
+  if (!fileEntryIds.hasOwnProperty(progress.uploadId)) {
+    return;
+  }
+
+  var entryId = fileEntryIds[progress.uploadId];
+  transcriptEditor.addResults(entryId, progress.data);
+  transcriptEditor.setStatus(entryId, 'Recognised ' + progress.segment +
+                             ' of ' + progress.segments + ' segments...');
+}
+
+/**
+ * Returns the API key or token to connect with, from the page URL, e.g.
+ * index.html?apiKey=my-key.
+ *
+ * @return {string} Query string to send to the server.
+ */
+function getAuthQuery() {
+  var query = [];
+  var pageQuery = window.location.search.substring(1).split('&');
+  for (var q = 0; q < pageQuery.length; q++) {
+    var name = pageQuery[q].split('=')[0];
+    if (name === 'apiKey' || name === 'token') {
+      query.push(pageQuery[q]);
+    }
+  }
+  return query.join('&');
+}
+
+/**
+ * Connects to the server and sets up the page once it's connected.
+ *
+ * @param {!Object} config The server's client config.
+ */
+function connect(config) {
+  clientConfig = config;
+
+  // Create the WebSockets connection
+  var socket = io(config.serverUrl, {
+    'query': getAuthQuery()
+  });
+
+  // If the server turns us away, e.g. for a missing API key
+  socket.on('error', function(error) {
+    console.error('Connection refused:', error);
+    document.querySelector('#microphoneButton').innerHTML =
+        (error && error.message) || 'Unable to connect';
+  });
 
   // Make the connection able to send binary data
   socket.binaryType = 'arraybuffer';
@@ -121,17 +250,39 @@ window.onload = function() {
   socket.on('connect', function() {
     console.log('Client connected over WebSockets');
 
+    // The client resumes what it was doing by itself after reconnecting
+    if (apiClient) {
+      return;
+    }
+
+    transcriptEditor = new TranscriptEditor(
+        document.querySelector('#transcript'), null);
+
     // Create a new client
     apiClient = new CloudSpeechApiClient(socket, {
       'onData': onData,
       'onStatusChange': onStatusChange,
-      'onError': onError
+      'onError': onError,
+      'onUploadProgress': onUploadProgress,
+      'onRecognitionProgress': onRecognitionProgress,
+      'onPublished': onPublished,
+      'onCommand': onCommand
     });
 
+    // Voice commands, which also get passed to the API as hints
+    apiClient.addCommand('stopRecording', ['stop recording', 'stop listening']);
+    apiClient.addCommand('clearTranscript', 'clear the transcript');
+
     // Handle the microphone button
     document.querySelector('#microphoneButton').addEventListener('click',
         toggleMicrophoneRecording);
 
+    // Handle the share button
+    document.querySelector('#shareButton').addEventListener('click',
+        function() {
+      apiClient.publish();
+    });
+
     // Toggle microphone button on
     toggleMicrophoneRecordingButton('start');
 
@@ -140,9 +291,31 @@ window.onload = function() {
     // Handle the audio file input
     document.querySelector('#audioFile').addEventListener('change',
         function(e) {
-      document.querySelector('#response span.incomplete').innerHTML =
-          'Sending to Cloud Speech API...';
-      apiClient.processFileField(e.target);
+      var entryId = transcriptEditor.startEntry('File: ' +
+                                                e.target.files[0].name);
+
+      // Don't upload what the server will turn away
+      if (e.target.files[0].size > clientConfig.limits.maxUploadSize) {
+        return transcriptEditor.setStatus(entryId, 'The file is too big, ' +
+            'the most the server takes is ' +
+            Math.floor(clientConfig.limits.maxUploadSize / 1048576) + ' MB');
+      }
+
+      transcriptEditor.setStatus(entryId, 'Uploading...');
+      fileEntryIds[apiClient.processFileField(e.target,
+          clientConfig.recognition.languageCode)] = entryId;
     });
   });
+}
+
+// When the page loads, find the server and connect to it
+window.onload = function() {
+  loadClientConfig(function(error, config) {
+    if (error) {
+      document.querySelector('#microphoneButton').innerHTML =
+          'Unable to connect';
+      return setStatus(error);
+    }
+    connect(config);
+  });
 };
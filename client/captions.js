@@ -0,0 +1,143 @@
+/**
+ * Cloud Speech API streaming example for Node.js using gRPC.
+ *
+ * This file powers the live captions page, which shows a speaker's captions
+ * in large text, e.g. on a projector or as a browser source in OBS. It only
+ * needs the room and viewer token from the link the speaker shares.
+ */
+
+// How many final results to keep on screen
+var MAX_LINES = 3;
+
+// Final results on screen
+var lines = [];
+
+/**
+ * Returns a parameter from the page URL.
+ *
+ * @param {!string} name Name of the parameter.
+ * @return {?string} The parameter, or null if it's missing.
+ */
+function getQueryParameter(name) {
+  var pageQuery = window.location.search.substring(1).split('&');
+  for (var q = 0; q < pageQuery.length; q++) {
+    var pair = pageQuery[q].split('=');
+    if (pair[0] === name) {
+      return decodeURIComponent(pair[1] || '');
+    }
+  }
+  return null;
+}
+
+/**
+ * Returns the transcript of a set of results.
+ *
+ * @param {!Array<Object>} results The results.
+ * @return {string} The transcript of the top alternatives.
+ */
+function getTranscript(results) {
+  var sentence = '';
+  for (var r = 0; r < results.length; r++) {
+    if (results[r].alternatives.length) {
+      sentence += results[r].alternatives[0].transcript;
+    }
+  }
+  return sentence;
+}
+
+/**
+ * Shows captions from the speaker.
+ *
+ * @param {!Object} captions The captions, with the results as data.
+ */
+function showCaptions(captions) {
+  var isFinal = captions.data.some(function(result) {
+    return result.isFinal;
+  });
+  var sentence = getTranscript(captions.data);
+
+  if (isFinal) {
+    lines.push(sentence);
+    if (lines.length > MAX_LINES) {
+      lines.shift();
+    }
+    document.querySelector('#captions span.final').textContent =
+        lines.join(' ');
+    document.querySelector('#captions span.incomplete').textContent = '';
+  } else {
+    document.querySelector('#captions span.incomplete').textContent =
+        sentence;
+  }
+}
+
+/**
+ * Shows whether the speaker is live.
+ *
+ * @param {!string} text The status to show.
+ */
+function showStatus(text) {
+  document.querySelector('#status').textContent = text;
+}
+
+/**
+ * Connects to the server and watches the room.
+ *
+ * @param {!Object} config The server's client config.
+ * @param {!string} token The viewer token.
+ */
+function watch(config, token) {
+  // Connect with the viewer token, which also gets us past authentication
+  var socket = io(config.serverUrl, {
+    'query': 'token=' + encodeURIComponent(token)
+  });
+
+  socket.on('error', function(error) {
+    showStatus((error && error.message) || 'Unable to connect');
+  });
+
+  // Watch the room, again after reconnecting
+  socket.on('connect', function() {
+    socket.emit('watch', {
+      'token': token
+    });
+  });
+
+  // Start with what's been said so far
+  socket.on('captionHistory', function(response) {
+    lines = [];
+    response.history.forEach(showCaptions);
+    showStatus(response.live ? 'Live' : 'Waiting for the speaker');
+  });
+
+  socket.on('captions', showCaptions);
+
+  socket.on('captionStatus', function(response) {
+    showStatus(response.live ? 'Live' : 'The speaker has stopped');
+    if (!response.live) {
+      document.querySelector('#captions span.incomplete').textContent = '';
+    }
+  });
+
+  socket.on('captionError', function(response) {
+    showStatus(response.error.message);
+  });
+
+  socket.on('disconnect', function() {
+    showStatus('Reconnecting...');
+  });
+}
+
+// When the page loads, find the server and watch the room on it
+window.onload = function() {
+  var token = getQueryParameter('token');
+  if (!token) {
+    return showStatus('No viewer token in the link');
+  }
+
+  loadClientConfig(function(error, config) {
+    if (error) {
+      return showStatus(error);
+    }
+    watch(config, token);
+  });
+};
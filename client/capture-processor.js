@@ -0,0 +1,88 @@
+/**
+ * Cloud Speech API streaming example for Node.js using gRPC.
+ *
+ * This file is the AudioWorklet processor which captures microphone audio
+ * off the main thread. It downsamples the audio, converts it to 16 bit PCM
+ * and posts it back in frames ready to send to the server.
+ */
+
+/**
+ * Capture processor, registered as 'capture-processor'.
+ *
+ * Takes processorOptions of outputSampleRate, which should be no higher
+ * than the AudioContext's, and frameSize, the number of samples in each
+ * frame posted to the port as an ArrayBuffer of 16 bit samples.
+ */
+class CaptureProcessor extends AudioWorkletProcessor {
+  /**
+   * @param {!Object} options Options for the node.
+   */
+  constructor(options) {
+    super();
+
+    var processorOptions = options.processorOptions || {};
+
+    // How many input samples make up one output sample. sampleRate is the
+    // AudioContext's, and is global in the worklet.
+    this.ratio = Math.max(1,
+        sampleRate / (processorOptions.outputSampleRate || sampleRate));
+    this.frameSize = processorOptions.frameSize || 1600;
+
+    // Downsampling state
+    this.sum = 0;
+    this.count = 0;
+    this.position = 0;
+
+    // The frame being filled
+    this.frame = new Int16Array(this.frameSize);
+    this.frameLength = 0;
+  }
+
+  /**
+   * Adds an output sample to the frame, posting the frame once it's full.
+   *
+   * @param {!number} sample The sample, from -1 to 1.
+   */
+  addSample(sample) {
+    sample = Math.max(-1, Math.min(1, sample));
+    this.frame[this.frameLength++] = sample < 0 ? sample * 0x8000 :
+                                                  sample * 0x7FFF;
+
+    if (this.frameLength === this.frameSize) {
+      this.port.postMessage(this.frame.buffer, [this.frame.buffer]);
+      this.frame = new Int16Array(this.frameSize);
+      this.frameLength = 0;
+    }
+  }
+
+  /**
+   * Downsamples the first channel of the input, averaging the input samples
+   * each output sample covers.
+   *
+   * @param {!Array<!Array<!Float32Array>>} inputs The inputs.
+   * @return {boolean} Always true, to keep the processor running.
+   */
+  process(inputs) {
+    var input = inputs[0] && inputs[0][0];
+    if (!input) {
+      return true;
+    }
+
+    for (var s = 0; s < input.length; s++) {
+      this.sum += input[s];
+      this.count++;
+      this.position++;
+
+      if (this.position >= this.ratio) {
+        this.addSample(this.sum / this.count);
+        this.position -= this.ratio;
+        this.sum = 0;
+        this.count = 0;
+      }
+    }
+
+    return true;
+  }
+}
+
+registerProcessor('capture-processor', CaptureProcessor);
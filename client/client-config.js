@@ -0,0 +1,61 @@
+/**
+ * Cloud Speech API streaming example for Node.js using gRPC.
+ *
+ * This file finds the server the pages connect to and fetches its client
+ * config, with the server's URL and recognition defaults, then loads
+ * Socket.IO from it, so the server isn't hardcoded into the pages.
+ */
+
+/**
+ * Loads the client config and Socket.IO from the server.
+ *
+ * The server is the one in the page URL, e.g. index.html?server=
+ * https://example.com, or else the one the page came from.
+ *
+ * @param {!function(?string, Object=)} callback Called with an error
+ * message if the server couldn't be reached, or the config: the serverUrl
+ * to connect to, whether authRequired, the recognition defaults and the
+ * limits.
+ */
+function loadClientConfig(callback) {
+  var server = null;
+  var pageQuery = window.location.search.substring(1).split('&');
+  for (var q = 0; q < pageQuery.length; q++) {
+    var pair = pageQuery[q].split('=');
+    if (pair[0] === 'server') {
+      server = decodeURIComponent(pair[1] || '');
+    }
+  }
+
+  server = (server || window.location.origin).replace(/\/+$/, '');
+
+  var request = new XMLHttpRequest();
+  request.open('GET', server + '/client-config');
+  request.onload = function() {
+    var config = null;
+    try {
+      config = request.status === 200 ? JSON.parse(request.responseText) :
+               null;
+    } catch (e) {
+      config = null;
+    }
+    if (!config) {
+      return callback('Unable to load the config from ' + server);
+    }
+
+    // Socket.IO comes from the server, so it's the same version
+    var script = document.createElement('script');
+    script.src = config.serverUrl + '/socket.io/socket.io.js';
+    script.onload = function() {
+      callback(null, config);
+    };
+    script.onerror = function() {
+      callback('Unable to load Socket.IO from ' + config.serverUrl);
+    };
+    document.body.appendChild(script);
+  };
+  request.onerror = function() {
+    callback('Unable to reach ' + server);
+  };
+  request.send();
+}
@@ -8,6 +8,10 @@
 /**
  * The Cloud Speech API client.
  *
+ * The client has a default stream, used by start() and stop(), and more
+ * streams can be created with createStream() to recognise several audio
+ * sources at once.
+ *
  * @constructor
  * @param {!Object} socket Socket.IO socket for communicating with the server.
  * @param {?Array<function>} customCallbacks Callbacks for the API.
@@ -18,174 +22,824 @@ function CloudSpeechApiClient(socket, customCallbacks) {
   var devCssStyle = 'background: #90caf9; color: #fff; padding: 2px 5px;';
   var devCssPrefix = '%cCloud Speech API client';
 
-  // Cross browser support for getUserMedia
-  navigator.getUserMedia = navigator.getUserMedia ||
-      navigator.webkitGetUserMedia || navigator.mozGetUserMedia ||
-      navigator.msGetUserMedia;
-
   // Cross browser support for AudioContext
   window.AudioContext = window.AudioContext || window.webkitAudioContext;
-  var audioContext = null;
 
-  // We're not recording right now
-  var isRecording = false;
+  // Where the AudioWorklet capture processor is loaded from, relative to the
+  // page
+  var CAPTURE_PROCESSOR_URL = 'capture-processor.js';
+
+  // Highest sample rate audio is captured at, which is all the API needs
+  var CAPTURE_SAMPLE_RATE = 16000;
+
+  // Samples in each frame sent to the server, 100ms at 16000
+  var DEFAULT_FRAME_SIZE = 1600;
+
+  // How much of the latest audio each stream keeps, to resend if the
+  // connection drops
+  var AUDIO_BUFFER_SECONDS = 30;
+
+  // Stream ID of the default stream
+  var DEFAULT_STREAM_ID = 'default';
+
+  // Streams of this client, by stream ID
+  var streams = {};
+  var streamCount = 0;
+
+  // Size of the chunks files are uploaded in
+  var UPLOAD_CHUNK_SIZE = 256 * 1024;
+
+  // Files being uploaded, by upload ID
+  var uploads = {};
+
+  // Voice commands final results are matched against
+  var commandGrammar = new CommandGrammar();
 
   // Callbacks for the API
   var callbacks = {
     'onStatusChange': null,
     'onData': null,
-    'onError': null
+    'onError': null,
+    'onUploadProgress': null,
+    'onRecognitionProgress': null,
+    'onSpeechStart': null,
+    'onSpeechEnd': null,
+    'onPublished': null,
+    'onCommand': null
   };
 
-  // Set custom callbacks, if there are any
-  if (customCallbacks) {
-    var callbacksKeys = Object.keys(callbacks);
-    for (var c = 0; c < callbacksKeys.length; c++) {
-      if (customCallbacks.hasOwnProperty(callbacksKeys[c])) {
-        var customCallback = customCallbacks[callbacksKeys[c]];
-        if (customCallback) {
-          callbacks[callbacksKeys[c]] = customCallback;
+  /**
+   * Sets custom callbacks, if there are any.
+   *
+   * @param {!Object<function>} target Callbacks to set.
+   * @param {?Object<function>} custom Custom callbacks.
+   */
+  function setCallbacks(target, custom) {
+    if (custom) {
+      var callbacksKeys = Object.keys(target);
+      for (var c = 0; c < callbacksKeys.length; c++) {
+        if (custom.hasOwnProperty(callbacksKeys[c])) {
+          var customCallback = custom[callbacksKeys[c]];
+          if (customCallback) {
+            target[callbacksKeys[c]] = customCallback;
+          }
         }
       }
     }
   }
 
+  setCallbacks(callbacks, customCallbacks);
+
   /**
-   * Kick starts the recording process.
+   * Makes sure a response's error has a code, a message which can be shown
+   * to users and whether it's retryable, as errors from older servers can
+   * be plain messages.
    *
-   * Creates the getUserMedia stream and everything else needed to start
-   * streaming audio data to the server.
+   * @param {!Object} response Response from the server.
+   * @return {!Object} The response.
    */
-  this.start = function(options) {
-    // Create the microphone input stream
-    navigator.getUserMedia({
-      'audio': {
-        'mandatory': {
-          'googEchoCancellation': 'false',
-          'googAutoGainControl': 'false',
-          'googNoiseSuppression': 'false',
-          'googHighpassFilter': 'false'
+  function normaliseError(response) {
+    var error = response.error;
+    if (error && typeof error === 'object' && error.code) {
+      error.retryable = !!error.retryable;
+    } else if (error) {
+      response.error = {
+        'code': 'UNKNOWN',
+        'message': error.message || String(error),
+        'retryable': false
+      };
+    }
+    return response;
+  }
+
+  /**
+   * Fills in what results from older servers leave out, so they're all in
+   * the same shape: each result has its alternatives, best first, isFinal
+   * and stability, and each alternative has its transcript, its confidence
+   * and its words, each with the word, its start and end in seconds from the
+   * start of the recording or file, and its confidence. Confidences are null
+   * when they aren't known.
+   *
+   * @param {!Object} response Response from the server, with the results as
+   * data.
+   * @return {!Object} The response.
+   */
+  function normaliseResults(response) {
+    (response.data || []).forEach(function(result) {
+      result.alternatives = result.alternatives || [];
+      result.alternatives.forEach(function(alternative) {
+        alternative.confidence = alternative.confidence || null;
+        alternative.words = alternative.words || [];
+      });
+      result.isFinal = result.isFinal !== false;
+      result.stability = result.stability || 0;
+    });
+    return response;
+  }
+
+  /**
+   * Stops all the tracks of a media stream, releasing the microphone.
+   *
+   * @param {!MediaStream} stream The media stream.
+   */
+  function stopTracks(stream) {
+    stream.getTracks().forEach(function(track) {
+      track.stop();
+    });
+  }
+
+  /**
+   * A recognition stream of the client.
+   *
+   * Callbacks which aren't set for the stream fall back to the client's.
+   *
+   * @constructor
+   * @param {!string} id The stream ID.
+   * @param {?Object<function>} customStreamCallbacks Callbacks for the
+   * stream.
+   */
+  function CloudSpeechApiStream(id, customStreamCallbacks) {
+    var audioContext = null;
+    var captureNode = null;
+    var mediaStream = null; // Only set if we opened it ourselves
+
+    // Changes every time capture starts or stops, so a start which finishes
+    // after it's been stopped can tell
+    var captureId = 0;
+
+    // We're not recording right now
+    var isRecording = false;
+
+    // Session ID from the server, to resume the session after reconnecting
+    var sessionId = null;
+    var resuming = false;
+
+    // Audio sent lately, in case the server missed it, and the sequence
+    // number of the last frame
+    var sentAudio = [];
+    var sentAudioBytes = 0;
+    var audioSeq = 0;
+
+    // Sequence number of the last message from the server, so repeated
+    // messages are ignored
+    var lastMessageSeq = 0;
+
+    // Caption room the stream is published to, so publishing again keeps
+    // the same viewer link
+    var captionRoom = null;
+
+    // Callbacks for the stream
+    var streamCallbacks = {
+      'onStatusChange': null,
+      'onData': null,
+      'onError': null,
+      'onSpeechStart': null,
+      'onSpeechEnd': null,
+      'onPublished': null,
+      'onCommand': null
+    };
+    setCallbacks(streamCallbacks, customStreamCallbacks);
+
+    var self = this;
+    this.id = id;
+
+    /**
+     * Calls one of the stream's callbacks, or the client's.
+     *
+     * @param {!string} name Name of the callback.
+     * @param {!Object} response Response from the server, or for speech
+     * callbacks, the stream ID.
+     */
+    function callback(name, response) {
+      var streamCallback = streamCallbacks[name] || callbacks[name];
+      if (streamCallback) {
+        streamCallback(response);
+      }
+    }
+
+    /**
+     * Sends audio data through to the server, keeping it in case it needs
+     * sending again. While the connection is down, it's only kept.
+     *
+     * @param {!Int16Array} audioData 16 bit audio samples.
+     */
+    function sendAudio(audioData) {
+      audioSeq++;
+
+      sentAudio.push({'seq': audioSeq, 'audioData': audioData});
+      sentAudioBytes += audioData.byteLength;
+      while (sentAudio.length > 1 &&
+             sentAudioBytes > AUDIO_BUFFER_SECONDS * CAPTURE_SAMPLE_RATE * 2) {
+        sentAudioBytes -= sentAudio.shift().audioData.byteLength;
+      }
+
+      if (socket.connected && !resuming) {
+        socket.emit('data', audioData.buffer, id, audioSeq);
+      }
+    }
+
+    /**
+     * Returns whether a message from the server has been handled already,
+     * e.g. when it's resent after reconnecting, and remembers it if not.
+     *
+     * @param {!Object} response Response from the server.
+     * @return {boolean} Whether it's a repeat.
+     */
+    function isRepeat(response) {
+      if (typeof response.seq !== 'number') {
+        return false;
+      }
+      if (response.seq <= lastMessageSeq) {
+        return true;
+      }
+
+      lastMessageSeq = response.seq;
+      if (response.sessionId) {
+        sessionId = response.sessionId;
+      }
+      return false;
+    }
+
+    /**
+     * Creates a voice activity detector which only sends speech to the
+     * server, and stops recording after the silence timeout.
+     *
+     * @param {!Object<number>} vadOptions Options for the detector.
+     * @return {!VoiceActivityDetector} The detector.
+     */
+    function createVoiceActivityDetector(vadOptions) {
+      return new VoiceActivityDetector(vadOptions, {
+        'onFrame': sendAudio,
+        'onSpeechStart': function() {
+          callback('onSpeechStart', {'streamId': id});
         },
-        'optional': []
-      }
-    }, function(stream) {
-      audioContext = new AudioContext();
-
-      // Let the server know we're ready to start streaming, and set the sample
-      // rate to the right amount (441000 for microphone)
-      var params = {
-        'action': 'start',
-        'options': {
-          'config': {
-            'sampleRate': audioContext.sampleRate
-          }
+        'onSpeechEnd': function() {
+          callback('onSpeechEnd', {'streamId': id});
+        },
+        'onSilenceTimeout': function() {
+          console.debug(devCssPrefix, devCssStyle, 'Silence timeout', id);
+          self.stop();
         }
+      });
+    }
+
+    /**
+     * Stops capturing audio, and closes everything capture opened.
+     */
+    function teardown() {
+      captureId++;
+      resuming = false;
+      sentAudio = [];
+      sentAudioBytes = 0;
+
+      if (captureNode) {
+        captureNode.port.onmessage = null;
+        captureNode.disconnect();
+        captureNode = null;
+      }
+
+      // Close the existing audiocontext object if there is one
+      if (audioContext) {
+        audioContext.close().catch(function() {});
+        audioContext = null;
+      }
+
+      // Release the microphone if we opened it
+      if (mediaStream) {
+        stopTracks(mediaStream);
+        mediaStream = null;
+      }
+    }
+
+    /**
+     * Returns the constraints for the microphone.
+     *
+     * Processing which changes the audio is turned off, as it makes
+     * recognition worse.
+     *
+     * @param {!Object} options Options for the recording.
+     * @return {!Object} The audio constraints.
+     */
+    function getAudioConstraints(options) {
+      var constraints = {
+        'channelCount': 1,
+        'echoCancellation': false,
+        'autoGainControl': false,
+        'noiseSuppression': false
       };
 
-      // Add hints if necessary
-      if (options) {
-        if (options.hasOwnProperty('speechContext')) {
+      if (options.deviceId) {
+        constraints.deviceId = {'exact': options.deviceId};
+      }
+
+      return constraints;
+    }
+
+    /**
+     * Starts streaming audio from a media stream to the server.
+     *
+     * The audio goes through the capture processor, which downsamples it
+     * and converts it to 16 bit PCM off the main thread.
+     *
+     * @param {!MediaStream} stream The audio to stream.
+     * @param {!Object} options Options for the recording.
+     * @param {!number} currentCaptureId The captureId when it started.
+     * @return {!Promise} Resolves once audio is being captured.
+     */
+    function startStreaming(stream, options, currentCaptureId) {
+      var context = new AudioContext();
+      var sampleRate = Math.min(CAPTURE_SAMPLE_RATE, context.sampleRate);
+      audioContext = context;
+
+      return context.audioWorklet.addModule(CAPTURE_PROCESSOR_URL)
+          .then(function() {
+        // Stopped while the processor was loading
+        if (currentCaptureId !== captureId) {
+          return;
+        }
+
+        captureNode = new AudioWorkletNode(context, 'capture-processor', {
+          'numberOfInputs': 1,
+          'numberOfOutputs': 0,
+          'processorOptions': {
+            'outputSampleRate': sampleRate,
+            'frameSize': options.frameSize || DEFAULT_FRAME_SIZE
+          }
+        });
+
+        // Only send audio with speech in it, if we're asked to
+        var vad = null;
+        if (options.vad) {
+          vad = createVoiceActivityDetector(options.vad === true ? {} :
+                                            options.vad);
+        }
+
+        captureNode.port.onmessage = function(event) {
+          // Only send the data if we're meant to be recording
+          if (isRecording) {
+            var audioData = new Int16Array(event.data);
+            if (vad) {
+              vad.process(audioData, sampleRate);
+            } else {
+              sendAudio(audioData);
+            }
+          }
+        };
+
+        context.createMediaStreamSource(stream).connect(captureNode);
+
+        // Let the server know we're ready to start streaming, and what
+        // format the audio is in
+        var params = {
+          'action': 'start',
+          'streamId': id,
+          'options': {
+            'input': {
+              'sampleRate': sampleRate,
+              'channels': 1
+            },
+            'config': {}
+          }
+        };
+
+        // Add hints, including the voice commands, and the language if
+        // necessary
+        var phrases = [].concat(options.speechContext || [],
+                                commandGrammar.getPhrases());
+        if (phrases.length) {
           params.options.config.speechContext = {
-            'phrases': options.speechContext
+            'phrases': phrases
+          };
+        }
+        if (options.hasOwnProperty('languageCode')) {
+          params.options.config.languageCode = options.languageCode;
+        }
+        if (options.hasOwnProperty('maxAlternatives')) {
+          params.options.config.maxAlternatives = options.maxAlternatives;
+        }
+        if (options.hasOwnProperty('enableWordTimeOffsets')) {
+          params.options.config.enableWordTimeOffsets =
+              options.enableWordTimeOffsets;
+        }
+        if (options.hasOwnProperty('postProcessing')) {
+          params.options.postProcessing = options.postProcessing;
+        }
+
+        socket.emit('recording', params);
+      });
+    }
+
+    /**
+     * Kick starts the recording process.
+     *
+     * Opens the microphone and everything else needed to start streaming
+     * audio data to the server.
+     *
+     * @param {?Object} options Options for the recording: speechContext for
+     * hints, languageCode, deviceId to pick the microphone, or mediaStream to
+     * record an existing stream instead, e.g. a tab capture. frameSize sets
+     * the samples sent at a time. Set vad to true, or to
+     * VoiceActivityDetector options, to only send speech. postProcessing
+     * picks the server's transcript transformers. maxAlternatives sets how
+     * many alternatives final results can have, and enableWordTimeOffsets
+     * can be false to leave out the timed words. The phrases of any voice
+     * commands are added to the hints.
+     */
+    this.start = function(options) {
+      options = options || {};
+
+      teardown();
+      var currentCaptureId = captureId;
+
+      // It's a new session
+      sessionId = null;
+      audioSeq = 0;
+      lastMessageSeq = 0;
+
+      var streamReady = options.mediaStream ?
+          Promise.resolve(options.mediaStream) :
+          navigator.mediaDevices.getUserMedia({
+            'audio': getAudioConstraints(options)
+          });
+
+      streamReady.then(function(stream) {
+        // Stopped while waiting for the microphone
+        if (currentCaptureId !== captureId) {
+          if (!options.mediaStream) {
+            stopTracks(stream);
           }
+          return;
         }
+
+        if (!options.mediaStream) {
+          mediaStream = stream;
+        }
+        return startStreaming(stream, options, currentCaptureId);
+      }).catch(function(error) {
+        console.error('Error starting:', error);
+        teardown();
+
+        callback('onError', {
+          'streamId': id,
+          'recording': false,
+          'error': {
+            'code': 'CAPTURE_FAILED',
+            'message': error.message || String(error),
+            'retryable': false
+          }
+        });
+      });
+    };
+
+    /**
+     * Stops recording, and releases the microphone.
+     */
+    this.stop = function() {
+      console.debug('Stopping record', id);
+
+      // Let the server know
+      socket.emit('recording', {
+        'action': 'stop',
+        'streamId': id
+      });
+
+      teardown();
+    };
+
+    /**
+     * Broadcasts the stream's captions to a room viewers can watch. The
+     * stream has to be recording.
+     *
+     * onPublished is called with the room and a viewer token, which is all
+     * a viewer needs to watch it.
+     */
+    this.publish = function() {
+      socket.emit('publish', {
+        'streamId': id,
+        'room': captionRoom
+      });
+    };
+
+    /**
+     * Stops broadcasting the stream's captions.
+     */
+    this.unpublish = function() {
+      socket.emit('unpublish', {
+        'streamId': id
+      });
+    };
+
+    /**
+     * Handles the stream being published to a caption room.
+     *
+     * @param {!Object} response Response from the server, with the room and
+     * a viewer token.
+     */
+    this.handlePublished = function(response) {
+      captionRoom = response.room;
+      callback('onPublished', response);
+    };
+
+    /**
+     * Returns whether the stream is recording.
+     *
+     * @return {boolean} Whether it's recording.
+     */
+    this.isRecording = function() {
+      return isRecording;
+    };
+
+    /**
+     * Handles the recording status changing.
+     *
+     * @param {!Object} response Response from the server.
+     */
+    this.handleStatusChange = function(response) {
+      if (isRepeat(response)) {
+        return;
       }
 
-      socket.emit('recording', params);
+      if (response.recording === true) {
+        isRecording = true;
+      } else {
+        isRecording = false;
+        teardown();
+      }
 
-      // Connect the microphone
-      var source = audioContext.createMediaStreamSource(stream);
+      callback('onStatusChange', response);
+    };
 
-      // Set a buffer size
-      var bufferLength = 4096;
+    /**
+     * Matches final results against the voice commands, calling onCommand
+     * for each one that's said.
+     *
+     * @param {!Array<Object>} results Results from the server.
+     */
+    function matchCommands(results) {
+      if (!commandGrammar.hasCommands()) {
+        return;
+      }
 
-      // Create a processor to take the audio data input
-      var processor = audioContext.createScriptProcessor(bufferLength, 1, 1);
-      processor.onaudioprocess = function(event) {
-        // Only process the data if we're meant to be recording
-        if (isRecording) {
-          // Get the audio data (1 channel only)
-          var audioData = event.inputBuffer.getChannelData(0) ||
-                          new Float32Array(bufferLength);
+      results.forEach(function(result) {
+        if (!result.isFinal) {
+          return;
+        }
 
-          // Convert the data and send it through to the server
-          socket.emit('data', convertFloat32ToInt16(audioData));
+        var match = commandGrammar.match(result);
+        if (match) {
+          match.streamId = id;
+          callback('onCommand', match);
         }
-      };
+      });
+    }
 
-      // Connect the processor
-      processor.connect(audioContext.destination);
-      source.connect(processor);
-    }, function(error) {
-      console.error('Error starting:', error);
-    });
+    /**
+     * Handles audio data returned from the server.
+     *
+     * @param {!Object} response Response from the server.
+     */
+    this.handleData = function(response) {
+      if (!isRepeat(response)) {
+        callback('onData', response);
+        matchCommands(response.data || []);
+      }
+    };
+
+    /**
+     * Handles an error returned from the server.
+     *
+     * onError gets the error's code, message and whether it's retryable,
+     * and for errors from the speech service, its raw status.
+     *
+     * @param {!Object} response Response from the server.
+     */
+    this.handleError = function(response) {
+      if (isRepeat(response)) {
+        return;
+      }
+
+      // The server has stopped, e.g. it's over a quota or the session
+      // couldn't be resumed
+      if (response.recording === false) {
+        isRecording = false;
+        teardown();
+      }
+
+      callback('onError', response);
+    };
+
+    /**
+     * Resumes the session after reconnecting, if it's recording.
+     *
+     * Audio is only kept, not sent, until the server says where to carry on
+     * from.
+     */
+    this.resume = function() {
+      if (!isRecording || !sessionId) {
+        return;
+      }
+
+      console.debug(devCssPrefix, devCssStyle, 'Resuming', id, sessionId);
+      resuming = true;
+      socket.emit('recording', {
+        'action': 'resume',
+        'streamId': id,
+        'sessionId': sessionId,
+        'lastSeq': lastMessageSeq
+      });
+    };
+
+    /**
+     * Handles the session being resumed, sending the audio the server
+     * didn't get.
+     *
+     * @param {!Object} response Response from the server, with the sequence
+     * number of the last audio it got.
+     */
+    this.handleResumed = function(response) {
+      if (!resuming) {
+        return;
+      }
+      resuming = false;
+
+      if (sentAudio.length && sentAudio[0].seq > response.lastAudioSeq + 1) {
+        console.warn('Some audio was lost while reconnecting', id);
+      }
+
+      sentAudio.forEach(function(sent) {
+        if (sent.seq > response.lastAudioSeq) {
+          socket.emit('data', sent.audioData.buffer, id, sent.seq);
+        }
+      });
+    };
+  }
+
+  // The default stream
+  streams[DEFAULT_STREAM_ID] = new CloudSpeechApiStream(DEFAULT_STREAM_ID,
+                                                        null);
+
+  /**
+   * Creates another recognition stream.
+   *
+   * @param {?Object<function>} streamCallbacks Callbacks for the stream,
+   * which default to the client's.
+   * @return {!CloudSpeechApiStream} The stream.
+   */
+  this.createStream = function(streamCallbacks) {
+    var id = 'stream-' + (++streamCount);
+    streams[id] = new CloudSpeechApiStream(id, streamCallbacks);
+    return streams[id];
+  };
+
+  /**
+   * Kick starts the recording process on the default stream.
+   *
+   * @param {?Object} options Options for the recording.
+   */
+  this.start = function(options) {
+    streams[DEFAULT_STREAM_ID].start(options);
   };
 
   /**
-   * Stops recording.
+   * Stops recording on the default stream.
    */
   this.stop = function() {
-    console.debug('Stopping record');
+    streams[DEFAULT_STREAM_ID].stop();
+  };
 
-    /*if (audioContext) {
-      try {
-        audioContext.close();
-      } catch(e) {}
-    }*/
+  /**
+   * Adds a voice command. Final results which match one of its patterns call
+   * onCommand with the command's name, the pattern, the slots, the
+   * confidence and the transcript. The command's phrases are passed to the
+   * API as hints the next time a stream starts.
+   *
+   * @param {!string} name Name of the command, passed to onCommand.
+   * @param {!Array<string>|string} patterns Patterns of the command, e.g.
+   * "go to page {number}" or "set volume to {level}".
+   * @param {?Object<Array<string>>} slotValues Values slots can have, by
+   * slot name, e.g. {'level': ['low', 'medium', 'high']}.
+   */
+  this.addCommand = function(name, patterns, slotValues) {
+    commandGrammar.add(name, patterns, slotValues);
+  };
 
-    // Let the server know
-    socket.emit('recording', {
-      'action': 'stop'
-    });
+  /**
+   * Removes a voice command.
+   *
+   * @param {!string} name Name of the command.
+   */
+  this.removeCommand = function(name) {
+    commandGrammar.remove(name);
   };
 
   /**
-   * Process a file field.
+   * Broadcasts the default stream's captions to viewers.
+   */
+  this.publish = function() {
+    streams[DEFAULT_STREAM_ID].publish();
+  };
+
+  /**
+   * Stops broadcasting the default stream's captions.
+   */
+  this.unpublish = function() {
+    streams[DEFAULT_STREAM_ID].unpublish();
+  };
+
+  /**
+   * Lets the server know about an upload, so it can tell us where to start
+   * or carry on from.
    *
-   * @param {!Element} formField The input field to process which holds the
-   * audio file.
+   * @param {!string} uploadId ID of the upload.
+   */
+  function sendUploadStart(uploadId) {
+    socket.emit('uploadStart', {
+      'uploadId': uploadId,
+      'size': uploads[uploadId].file.size,
+      'parameters': uploads[uploadId].parameters
+    });
+  }
+
+  /**
+   * Sends the chunk of an upload starting at an offset.
+   *
+   * @param {!string} uploadId ID of the upload.
+   * @param {!number} offset Where the chunk starts in the file.
    */
-  this.processFileField = function(formField) {
+  function sendUploadChunk(uploadId, offset) {
     var reader = new FileReader();
     reader.onload = function() {
-      var parameters = {
-        'language': 'en-US',
-        'encoding': 'LINEAR16',
-        'sampleRate': 16000
-      };
+      socket.emit('uploadChunk', {
+        'uploadId': uploadId,
+        'offset': offset
+      }, reader.result);
+    };
+    reader.readAsArrayBuffer(uploads[uploadId].file.slice(offset,
+        offset + UPLOAD_CHUNK_SIZE));
+  }
 
-      var result = reader.result;
+  /**
+   * Uploads a file in chunks to be recognised.
+   *
+   * The upload carries on from where it got to if the connection drops, and
+   * long files are recognised a segment at a time, with onUploadProgress and
+   * onRecognitionProgress called as it goes.
+   *
+   * @param {!File} file The audio file.
+   * @param {?Object<string>} parameters Optional parameters to send through.
+   * @return {string} ID of the upload, which its progress, results and
+   * errors have as uploadId.
+   */
+  this.uploadFile = function(file, parameters) {
+    // The same file gets the same ID, so it can be resumed
+    var uploadId = [file.name, file.size, file.lastModified].join(':');
 
-      // Try and work out the encoding, based on the mime type
-      var fileType = result.substring(result.indexOf('audio/') + 6,
-                                      result.indexOf(';'));
+    uploads[uploadId] = {
+      'file': file,
+      'parameters': parameters
+    };
+    sendUploadStart(uploadId);
+    return uploadId;
+  };
 
-      if (fileType.toLowerCase() === 'flac') {
-        parameters.encoding = 'FLAC';
-      }
+  /**
+   * Process a file field.
+   *
+   * @param {!Element} formField The input field to process which holds the
+   * audio file.
+   * @param {?string} languageCode Language of the audio, or null for the
+   * server's default.
+   * @return {string} ID of the upload.
+   */
+  this.processFileField = function(formField, languageCode) {
+    var file = formField.files[0];
+    var parameters = {};
+    if (languageCode) {
+      parameters.languageCode = languageCode;
+    }
 
-      // Send audio data to the server
-      socket.emit('recogniseFile', result.substring(result.indexOf(',') + 1),
-                  parameters);
-    };
+    // The server works out the format from the file itself, so only files
+    // the browser doesn't know the type of, e.g. raw audio, need it given
+    if (!file.type) {
+      parameters.encoding = 'LINEAR16';
+      parameters.sampleRate = 16000;
+    }
 
-    // Read the form field data
-    reader.readAsDataURL(formField.files[0]);
+    return this.uploadFile(file, parameters);
   };
 
   /**
-   * Converts a 32 bit float integer into 16 bit one.
+   * Returns the stream a response from the server is for.
    *
-   * @param {!Float32Array} buffer 32 bit integer buffer.
-   * @return {Int16Array} 16 bit integer buffer.
+   * @param {!Object} response Response from the server.
+   * @return {?CloudSpeechApiStream} The stream, or null if the response isn't
+   * for a stream, e.g. file recognition.
    */
-  function convertFloat32ToInt16(buffer) {
-    var l = buffer.length;
-    var buf = new Int16Array(l);
-    while (l--) {
-      buf[l] = Math.min(1, buffer[l]) * 0x7FFF;
+  function getStream(response) {
+    if (response.streamId && streams.hasOwnProperty(response.streamId)) {
+      return streams[response.streamId];
     }
-    return buf.buffer;
+    return null;
   }
 
   /** When the recording status changes */
@@ -193,35 +847,90 @@ function CloudSpeechApiClient(socket, customCallbacks) {
     console.debug(devCssPrefix, devCssStyle, 'Recording status changed:',
                   response);
 
-    if (response.recording === true) {
-      isRecording = true;
-    } else {
-      isRecording = false;
-
-      // Close the existing audiocontext object if there is one
-      if (audioContext) {
-        try {
-          audioContext.close();  
-        } catch(e) {}
-      }
-    }
-
-    if (callbacks.onStatusChange) {
+    var stream = getStream(response);
+    if (stream) {
+      stream.handleStatusChange(response);
+    } else if (callbacks.onStatusChange) {
       callbacks.onStatusChange(response);
     }
   });
 
   /** When audio data is returned from the server */
   socket.on('recordingData', function(response) {
-    if (callbacks.onData) {
+    normaliseResults(response);
+
+    var stream = getStream(response);
+    if (stream) {
+      stream.handleData(response);
+    } else if (callbacks.onData) {
       callbacks.onData(response);
     }
   });
 
+  /** When the server has received more of an upload */
+  socket.on('uploadProgress', function(response) {
+    if (!uploads.hasOwnProperty(response.uploadId)) {
+      return;
+    }
+
+    if (response.received < response.size) {
+      sendUploadChunk(response.uploadId, response.received);
+    } else {
+      delete uploads[response.uploadId];
+    }
+
+    if (callbacks.onUploadProgress) {
+      callbacks.onUploadProgress(response);
+    }
+  });
+
+  /** When a segment of an uploaded file has been recognised */
+  socket.on('recognitionProgress', function(response) {
+    normaliseResults(response);
+
+    if (callbacks.onRecognitionProgress) {
+      callbacks.onRecognitionProgress(response);
+    }
+  });
+
+  /** When we've reconnected, carry on with any recordings and uploads */
+  socket.on('reconnect', function() {
+    Object.keys(streams).forEach(function(streamId) {
+      streams[streamId].resume();
+    });
+    Object.keys(uploads).forEach(sendUploadStart);
+  });
+
+  /** When the server has resumed a stream */
+  socket.on('recordingResumed', function(response) {
+    var stream = getStream(response);
+    if (stream) {
+      stream.handleResumed(response);
+    }
+  });
+
+  /** When a stream has been published to a caption room */
+  socket.on('published', function(response) {
+    var stream = getStream(response);
+    if (stream) {
+      stream.handlePublished(response);
+    }
+  });
+
   /** When an error is returned from the server */
   socket.on('recordingError', function(response) {
-    if (callbacks.onError) {
-      console.debug('Error', response);
+    console.debug('Error', response);
+    normaliseError(response);
+
+    // Give up on the upload
+    if (response.uploadId) {
+      delete uploads[response.uploadId];
+    }
+
+    var stream = getStream(response);
+    if (stream) {
+      stream.handleError(response);
+    } else if (callbacks.onError) {
       callbacks.onError(response);
     }
   });
@@ -0,0 +1,437 @@
+/**
+ * Cloud Speech API streaming example for Node.js using gRPC.
+ *
+ * This file matches final results against voice commands, so hands-free UIs
+ * can act on what's said rather than just show it.
+ */
+
+/**
+ * Voice command grammar.
+ *
+ * Commands have one or more patterns of words and slots, e.g. "go to page
+ * {page:number}" or "set volume to {level}". Slots are free text of up to
+ * four words, unless they're numbers, like {page:number} or just {number},
+ * or have a list of values given when the command is added.
+ *
+ * Matching is fuzzy: words only have to be spelt about right, a missing word
+ * costs some confidence, and extra words before, after or in the middle of
+ * the command cost a little. Every alternative of a result is tried, and the
+ * best match wins.
+ *
+ * @constructor
+ * @param {?Object<number>} options The threshold (0 to 1) a match's
+ * confidence has to reach to count.
+ */
+function CommandGrammar(options) {
+  options = options || {};
+
+  var threshold = options.hasOwnProperty('threshold') ?
+      options.threshold : 0.6;
+
+  // How similar a word has to be to count as the word in the pattern
+  var WORD_SIMILARITY = 0.75;
+
+  // Confidence lost for each extra word said with the command
+  var EXTRA_WORD_PENALTY = 0.1;
+
+  // Confidence kept by each alternative after the first, when the API
+  // doesn't give them a confidence of their own
+  var ALTERNATIVE_PENALTY = 0.9;
+
+  // Longest free text and number slots, in words
+  var MAX_SLOT_WORDS = 4;
+
+  // Values of the number words
+  var NUMBER_WORDS = {
+    'zero': 0, 'one': 1, 'two': 2, 'three': 3, 'four': 4, 'five': 5,
+    'six': 6, 'seven': 7, 'eight': 8, 'nine': 9, 'ten': 10, 'eleven': 11,
+    'twelve': 12, 'thirteen': 13, 'fourteen': 14, 'fifteen': 15,
+    'sixteen': 16, 'seventeen': 17, 'eighteen': 18, 'nineteen': 19,
+    'twenty': 20, 'thirty': 30, 'forty': 40, 'fifty': 50, 'sixty': 60,
+    'seventy': 70, 'eighty': 80, 'ninety': 90
+  };
+
+  // Registered commands
+  var commands = [];
+
+  /**
+   * Splits text into lower case words, without punctuation.
+   *
+   * @param {!string} text The text.
+   * @return {!Array<string>} The words.
+   */
+  function getWords(text) {
+    return text.toLowerCase().replace(/[^\w\s'.]|\.(?!\d)/g, ' ')
+        .split(/\s+/).filter(Boolean);
+  }
+
+  /**
+   * Returns how similar two words are, from their edit distance.
+   *
+   * @param {!string} a A word.
+   * @param {!string} b Another word.
+   * @return {number} The similarity, from 0 to 1.
+   */
+  function getSimilarity(a, b) {
+    if (a === b) {
+      return 1;
+    }
+
+    // Edit distance, counting swapped letters as one edit
+    var beforePrevious = null;
+    var previous = [];
+    for (var j = 0; j <= b.length; j++) {
+      previous.push(j);
+    }
+
+    for (var i = 1; i <= a.length; i++) {
+      var current = [i];
+      for (j = 1; j <= b.length; j++) {
+        var distance = Math.min(previous[j] + 1, current[j - 1] + 1,
+            previous[j - 1] + (a.charAt(i - 1) === b.charAt(j - 1) ? 0 : 1));
+        if (i > 1 && j > 1 && a.charAt(i - 1) === b.charAt(j - 2) &&
+            a.charAt(i - 2) === b.charAt(j - 1)) {
+          distance = Math.min(distance, beforePrevious[j - 2] + 1);
+        }
+        current.push(distance);
+      }
+      beforePrevious = previous;
+      previous = current;
+    }
+
+    return 1 - previous[b.length] / Math.max(a.length, b.length);
+  }
+
+  /**
+   * Reads a number from words, e.g. "42" or "one hundred and five".
+   *
+   * @param {!Array<string>} numberWords The words.
+   * @return {?number} The number, or null if they aren't one.
+   */
+  function parseNumber(numberWords) {
+    if (numberWords.length === 1 && /^-?\d+(\.\d+)?$/.test(numberWords[0])) {
+      return Number(numberWords[0]);
+    }
+
+    var total = 0;
+    var current = 0;
+    for (var w = 0; w < numberWords.length; w++) {
+      var word = numberWords[w];
+      if (NUMBER_WORDS.hasOwnProperty(word)) {
+        // Only units can follow tens, e.g. "twenty three"
+        if (current % 100 && (current % 10 || current % 100 < 20 ||
+                              NUMBER_WORDS[word] >= 10)) {
+          return null;
+        }
+        current += NUMBER_WORDS[word];
+      } else if (word === 'hundred' && current && current < 100) {
+        current *= 100;
+      } else if (word === 'thousand' && current && !total) {
+        total = current * 1000;
+        current = 0;
+      } else if (word !== 'and' || !w || w === numberWords.length - 1) {
+        return null;
+      }
+    }
+    return total + current;
+  }
+
+  /**
+   * Parses a pattern into words and slots.
+   *
+   * @param {!string} pattern The pattern, e.g. "go to page {page:number}".
+   * @param {!Object<Array<string>>} slotValues Values of the list slots, by
+   * slot name.
+   * @return {!Array<Object>} The parts of the pattern.
+   */
+  function parsePattern(pattern, slotValues) {
+    return pattern.split(/(\{[^}]+\})/).map(function(part) {
+      var slot = /^\{(\w+)(?::(\w+))?\}$/.exec(part);
+      if (!slot) {
+        return getWords(part).map(function(word) {
+          return {'word': word};
+        });
+      }
+
+      var type = slot[2] || (slot[1] === 'number' ? 'number' : 'text');
+      if (slotValues.hasOwnProperty(slot[1])) {
+        type = 'list';
+      }
+      return [{
+        'slot': slot[1],
+        'type': type,
+        'values': (slotValues[slot[1]] || []).map(function(value) {
+          return {'value': value, 'words': getWords(value)};
+        })
+      }];
+    }).reduce(function(parts, part) {
+      return parts.concat(part);
+    }, []);
+  }
+
+  /**
+   * Reads a slot's value from words.
+   *
+   * @param {!Object} part The slot.
+   * @param {!Array<string>} slotWords The words.
+   * @return {?Object} The value and how well it matched, or null if the
+   * words can't be the slot.
+   */
+  function readSlot(part, slotWords) {
+    if (part.type === 'number') {
+      var number = parseNumber(slotWords);
+      return number === null ? null : {'value': number, 'score': 1};
+    }
+
+    if (part.type === 'list') {
+      var best = null;
+      part.values.forEach(function(value) {
+        if (value.words.length !== slotWords.length) {
+          return;
+        }
+        var score = 0;
+        for (var w = 0; w < slotWords.length; w++) {
+          score += getSimilarity(value.words[w], slotWords[w]);
+        }
+        score /= slotWords.length;
+        if (score >= WORD_SIMILARITY && (!best || score > best.score)) {
+          best = {'value': value.value, 'score': score};
+        }
+      });
+      return best;
+    }
+
+    return {'value': slotWords.join(' '), 'score': 1};
+  }
+
+  /**
+   * Finds the best way to match the rest of a pattern to the rest of the
+   * words.
+   *
+   * @param {!Array<Object>} parts The pattern's parts.
+   * @param {!number} p Index of the next part.
+   * @param {!Array<string>} transcriptWords The words.
+   * @param {!number} w Index of the next word.
+   * @param {!Object} memo Matches already worked out, by p and w.
+   * @return {?Object} The total score of the parts, the slots and how many
+   * extra words were said, or null if it can't match.
+   */
+  function matchParts(parts, p, transcriptWords, w, memo) {
+    var key = p + ':' + w;
+    if (memo.hasOwnProperty(key)) {
+      return memo[key];
+    }
+
+    if (p === parts.length) {
+      memo[key] = {'score': 0, 'slots': {},
+                   'extra': transcriptWords.length - w};
+      return memo[key];
+    }
+
+    var part = parts[p];
+    var best = null;
+
+    /**
+     * Keeps a way of matching if it's the best so far.
+     *
+     * @param {?Object} rest How the rest of the pattern matched.
+     * @param {!number} score Score of this part.
+     * @param {?Object} slot This part's slot value, if it's a slot.
+     * @param {!number} extra Extra words said before this part.
+     */
+    function consider(rest, score, slot, extra) {
+      if (!rest) {
+        return;
+      }
+
+      var total = (rest.score + score) / parts.length -
+                  (rest.extra + extra) * EXTRA_WORD_PENALTY;
+      if (!best || total > best.score / parts.length -
+                           best.extra * EXTRA_WORD_PENALTY) {
+        var slots = {};
+        Object.keys(rest.slots).forEach(function(name) {
+          slots[name] = rest.slots[name];
+        });
+        if (slot) {
+          slots[part.slot] = slot.value;
+        }
+        best = {'score': rest.score + score, 'slots': slots,
+                'extra': rest.extra + extra};
+      }
+    }
+
+    if (part.word) {
+      // The word was said, or near enough
+      if (w < transcriptWords.length) {
+        var similarity = getSimilarity(part.word, transcriptWords[w]);
+        if (similarity >= WORD_SIMILARITY) {
+          consider(matchParts(parts, p + 1, transcriptWords, w + 1, memo),
+                   similarity, null, 0);
+        }
+
+        // An extra word was said in the middle, e.g. "set the volume"
+        if (p > 0) {
+          consider(matchParts(parts, p, transcriptWords, w + 1, memo), 0,
+                   null, 1);
+        }
+      }
+
+      // The word was missed out
+      consider(matchParts(parts, p + 1, transcriptWords, w, memo), 0, null,
+               0);
+    } else {
+      var maxWords = Math.min(MAX_SLOT_WORDS, transcriptWords.length - w);
+      for (var length = 1; length <= maxWords; length++) {
+        var slot = readSlot(part, transcriptWords.slice(w, w + length));
+        if (slot) {
+          consider(matchParts(parts, p + 1, transcriptWords, w + length,
+                              memo), slot.score, slot, 0);
+        }
+      }
+    }
+
+    memo[key] = best;
+    return best;
+  }
+
+  /**
+   * Matches a transcript against a pattern.
+   *
+   * @param {!Array<Object>} parts The pattern's parts.
+   * @param {!Array<string>} transcriptWords The transcript's words.
+   * @return {?Object} The slots and the match's score, from 0 to 1, or null
+   * if it doesn't match.
+   */
+  function matchPattern(parts, transcriptWords) {
+    var best = null;
+    var memo = {};
+
+    // The command can start after a few extra words, e.g. "okay"
+    for (var start = 0; start < transcriptWords.length; start++) {
+      var match = matchParts(parts, 0, transcriptWords, start, memo);
+      if (!match) {
+        continue;
+      }
+
+      var score = match.score / parts.length -
+                  (start + match.extra) * EXTRA_WORD_PENALTY;
+      if (!best || score > best.score) {
+        best = {'slots': match.slots, 'score': score};
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Adds a command.
+   *
+   * @param {!string} name Name of the command, passed to onCommand.
+   * @param {!string|Array<string>} patterns Patterns which say the command.
+   * @param {?Object<Array<string>>} slotValues Values of the slots which
+   * have a list of values, by slot name.
+   */
+  this.add = function(name, patterns, slotValues) {
+    slotValues = slotValues || {};
+
+    [].concat(patterns).forEach(function(pattern) {
+      commands.push({
+        'name': name,
+        'pattern': pattern,
+        'parts': parsePattern(pattern, slotValues),
+        'slotValues': slotValues
+      });
+    });
+  };
+
+  /**
+   * Removes a command.
+   *
+   * @param {!string} name Name of the command.
+   */
+  this.remove = function(name) {
+    commands = commands.filter(function(command) {
+      return command.name !== name;
+    });
+  };
+
+  /**
+   * Returns whether any commands have been added.
+   *
+   * @return {boolean} Whether there are commands.
+   */
+  this.hasCommands = function() {
+    return commands.length > 0;
+  };
+
+  /**
+   * Returns phrases to pass to the API as hints, so it listens out for the
+   * commands: the words of each pattern between its slots, and the values
+   * of list slots.
+   *
+   * @return {!Array<string>} The phrases.
+   */
+  this.getPhrases = function() {
+    var phrases = [];
+
+    /**
+     * Adds a phrase, unless it's empty or already there.
+     *
+     * @param {!string} phrase The phrase.
+     */
+    function addPhrase(phrase) {
+      phrase = phrase.trim();
+      if (phrase && phrases.indexOf(phrase) === -1) {
+        phrases.push(phrase);
+      }
+    }
+
+    commands.forEach(function(command) {
+      command.pattern.split(/\{[^}]+\}/).forEach(addPhrase);
+      Object.keys(command.slotValues).forEach(function(slot) {
+        command.slotValues[slot].forEach(addPhrase);
+      });
+    });
+
+    return phrases;
+  };
+
+  /**
+   * Matches a final result against the commands.
+   *
+   * @param {!Object} result A final result from the server.
+   * @return {?Object} The command's name, the pattern matched, the slots,
+   * the confidence and the transcript matched, or null if no command was
+   * matched well enough.
+   */
+  this.match = function(result) {
+    var best = null;
+
+    result.alternatives.forEach(function(alternative, a) {
+      var transcriptWords = getWords(alternative.transcript);
+      var alternativeConfidence = alternative.confidence ||
+                                  Math.pow(ALTERNATIVE_PENALTY, a);
+
+      commands.forEach(function(command) {
+        var match = matchPattern(command.parts, transcriptWords);
+        if (!match) {
+          return;
+        }
+
+        var confidence = Math.max(0, match.score) * alternativeConfidence;
+        if (confidence >= threshold &&
+            (!best || confidence > best.confidence)) {
+          best = {
+            'command': command.name,
+            'pattern': command.pattern,
+            'slots': match.slots,
+            'confidence': confidence,
+            'transcript': alternative.transcript.trim()
+          };
+        }
+      });
+    });
+
+    return best;
+  };
+}
@@ -0,0 +1,643 @@
+/**
+ * Cloud Speech API streaming example for Node.js using gRPC.
+ *
+ * This file is the demo's transcript panel. It keeps each recording and file
+ * as its own entry of timestamped utterances, lets users correct words from
+ * the alternatives or by typing, and copies or downloads the transcripts.
+ */
+
+/**
+ * Transcript editor.
+ *
+ * Words the API was less sure of than lowConfidence are highlighted, using
+ * the confidence of their alternative if they don't have their own.
+ * Clicking a word offers the words the other alternatives have at the same
+ * time, the other alternatives of the whole utterance, and editing it
+ * inline, which double clicking does straight away. Editing a word to
+ * nothing removes it, and edited words aren't highlighted any more.
+ *
+ * @constructor
+ * @param {!Element} container Element to show the transcript in.
+ * @param {?Object<number>} options lowConfidence, the confidence below which
+ * words are highlighted, 0.7 by default.
+ */
+function TranscriptEditor(container, options) {
+  options = options || {};
+
+  var lowConfidence = options.hasOwnProperty('lowConfidence') ?
+      options.lowConfidence : 0.7;
+
+  // Formats transcripts can be downloaded as, with their content types
+  var FORMATS = {
+    'txt': 'text/plain',
+    'srt': 'application/x-subrip',
+    'json': 'application/json'
+  };
+
+  // Entries, in the order they were started
+  var entries = [];
+  var entryCount = 0;
+
+  // The word menu, while it's open
+  var menu = null;
+
+  /**
+   * Formats a time as a subtitle timestamp, e.g. 00:01:02,345.
+   *
+   * @param {!number} seconds Time in seconds.
+   * @return {string} The timestamp.
+   */
+  function formatTimestamp(seconds) {
+    var milliseconds = Math.max(0, Math.round(seconds * 1000));
+
+    function pad(number, length) {
+      var padded = String(number);
+      while (padded.length < length) {
+        padded = '0' + padded;
+      }
+      return padded;
+    }
+
+    return pad(Math.floor(milliseconds / 3600000), 2) + ':' +
+           pad(Math.floor(milliseconds / 60000) % 60, 2) + ':' +
+           pad(Math.floor(milliseconds / 1000) % 60, 2) + ',' +
+           pad(milliseconds % 1000, 3);
+  }
+
+  /**
+   * Returns copies of timed words, so edits don't change the results they
+   * came from.
+   *
+   * @param {!Array<Object>} words The words.
+   * @return {!Array<Object>} The copies.
+   */
+  function copyWords(words) {
+    return words.map(function(word) {
+      return {
+        'word': word.word,
+        'start': word.start,
+        'end': word.end,
+        'confidence': word.confidence,
+        'edited': !!word.edited
+      };
+    });
+  }
+
+  /**
+   * Spreads words evenly across a span of time.
+   *
+   * @param {!Array<string>} words The words.
+   * @param {!number} start Where the span starts, in seconds.
+   * @param {!number} end Where it ends.
+   * @param {?number} confidence Confidence of every word.
+   * @param {!boolean} edited Whether the user typed them.
+   * @return {!Array<Object>} The timed words.
+   */
+  function spreadWords(words, start, end, confidence, edited) {
+    var duration = words.length ? (end - start) / words.length : 0;
+    return words.map(function(word, w) {
+      return {
+        'word': word,
+        'start': Math.round((start + duration * w) * 1000) / 1000,
+        'end': Math.round((start + duration * (w + 1)) * 1000) / 1000,
+        'confidence': confidence,
+        'edited': edited
+      };
+    });
+  }
+
+  /**
+   * Returns the timed words of an alternative, spreading its transcript
+   * across the utterance if it doesn't have any, e.g. if word timings are
+   * turned off.
+   *
+   * @param {!Object} alternative The alternative.
+   * @param {!number} start Where the utterance starts, in seconds.
+   * @param {!number} end Where it ends.
+   * @return {!Array<Object>} The timed words.
+   */
+  function getWords(alternative, start, end) {
+    if (alternative.words && alternative.words.length) {
+      return copyWords(alternative.words);
+    }
+    return spreadWords(alternative.transcript.split(/\s+/).filter(Boolean),
+                       start, end, null, false);
+  }
+
+  /**
+   * Returns the transcript of an utterance as it's been edited.
+   *
+   * @param {!Object} utterance The utterance.
+   * @return {string} The transcript.
+   */
+  function getTranscript(utterance) {
+    return utterance.words.map(function(word) {
+      return word.word;
+    }).join(' ');
+  }
+
+  /**
+   * Returns an entry.
+   *
+   * @param {!string} entryId ID of the entry.
+   * @return {!Object} The entry.
+   * @throws {Error} If there isn't one with that ID, e.g. it's been cleared.
+   */
+  function getEntry(entryId) {
+    for (var e = 0; e < entries.length; e++) {
+      if (entries[e].id === entryId) {
+        return entries[e];
+      }
+    }
+    throw new Error('Unknown transcript entry: ' + entryId);
+  }
+
+  /**
+   * Closes the word menu, if it's open.
+   */
+  function closeMenu() {
+    if (menu) {
+      menu.parentNode.removeChild(menu);
+      menu = null;
+    }
+  }
+
+  /**
+   * Replaces a word of an utterance with words the user picked or typed,
+   * which share its time.
+   *
+   * @param {!Object} utterance The utterance.
+   * @param {!number} index Which word to replace.
+   * @param {!Array<string>} words Words to replace it with, or none to
+   * remove it.
+   */
+  function replaceWord(utterance, index, words) {
+    var word = utterance.words[index];
+    var replacements = spreadWords(words, word.start, word.end, null, true);
+
+    utterance.words.splice.apply(utterance.words,
+                                 [index, 1].concat(replacements));
+    renderUtterance(utterance);
+  }
+
+  /**
+   * Replaces a whole utterance with one of its alternatives.
+   *
+   * @param {!Object} utterance The utterance.
+   * @param {!Object} alternative The alternative.
+   */
+  function chooseAlternative(utterance, alternative) {
+    utterance.words = copyWords(alternative.words);
+    utterance.confidence = alternative.confidence;
+    renderUtterance(utterance);
+  }
+
+  /**
+   * Edits a word in place, with a text box which is saved on enter or when
+   * it loses focus, and cancelled on escape.
+   *
+   * @param {!Object} utterance The utterance.
+   * @param {!number} index Which word to edit.
+   */
+  function editWord(utterance, index) {
+    closeMenu();
+
+    var word = utterance.words[index];
+    var wordSpan = utterance.element.querySelectorAll('.word')[index];
+    var input = document.createElement('input');
+    var finished = false;
+
+    input.type = 'text';
+    input.className = 'word-input';
+    input.value = word.word;
+    input.size = Math.max(word.word.length, 3);
+
+    /**
+     * Saves or cancels the edit.
+     *
+     * @param {!boolean} save Whether to save it.
+     */
+    function finish(save) {
+      if (finished) {
+        return;
+      }
+      finished = true;
+
+      var value = input.value.trim();
+      if (save && value !== word.word) {
+        replaceWord(utterance, index, value.split(/\s+/).filter(Boolean));
+      } else {
+        renderUtterance(utterance);
+      }
+    }
+
+    input.addEventListener('keydown', function(event) {
+      if (event.key === 'Enter') {
+        finish(true);
+      } else if (event.key === 'Escape') {
+        finish(false);
+      }
+    });
+    input.addEventListener('blur', function() {
+      finish(true);
+    });
+
+    utterance.element.replaceChild(input, wordSpan);
+    input.focus();
+    input.select();
+  }
+
+  /**
+   * Opens the menu of a word, under its utterance.
+   *
+   * @param {!Object} utterance The utterance.
+   * @param {!number} index Which word was clicked.
+   */
+  function openMenu(utterance, index) {
+    closeMenu();
+
+    var word = utterance.words[index];
+    var transcript = getTranscript(utterance);
+
+    menu = document.createElement('div');
+    menu.className = 'word-menu';
+
+    /**
+     * Adds a button to the menu.
+     *
+     * @param {!string} label Label of the button.
+     * @param {!string} className Class of the button.
+     * @param {!function} onClick Called when it's clicked.
+     */
+    function addButton(label, className, onClick) {
+      var button = document.createElement('button');
+      button.textContent = label;
+      button.className = className;
+      button.addEventListener('click', function() {
+        closeMenu();
+        onClick();
+      });
+      menu.appendChild(button);
+    }
+
+    // Words the other alternatives have at the same time
+    var choices = [];
+    utterance.alternatives.forEach(function(alternative) {
+      alternative.words.forEach(function(other) {
+        if (other.start < word.end && other.end > word.start &&
+            other.word !== word.word && choices.indexOf(other.word) === -1) {
+          choices.push(other.word);
+        }
+      });
+    });
+    choices.forEach(function(choice) {
+      addButton(choice, 'word-choice', function() {
+        replaceWord(utterance, index, [choice]);
+      });
+    });
+
+    utterance.alternatives.forEach(function(alternative) {
+      if (alternative.transcript !== transcript) {
+        addButton('"' + alternative.transcript + '"',
+                  'alternative-choice', function() {
+          chooseAlternative(utterance, alternative);
+        });
+      }
+    });
+
+    addButton('Edit', 'edit', function() {
+      editWord(utterance, index);
+    });
+
+    utterance.element.parentNode.insertBefore(menu,
+                                              utterance.element.nextSibling);
+  }
+
+  /**
+   * Shows an utterance with its timestamp and words.
+   *
+   * @param {!Object} utterance The utterance.
+   */
+  function renderUtterance(utterance) {
+    var element = utterance.element;
+    element.innerHTML = '';
+
+    var timestamp = document.createElement('span');
+    timestamp.className = 'timestamp';
+    timestamp.textContent = formatTimestamp(utterance.start).substring(0, 8);
+    element.appendChild(timestamp);
+
+    utterance.words.forEach(function(word, w) {
+      var confidence = word.confidence !== null ? word.confidence :
+                       utterance.confidence;
+
+      var wordSpan = document.createElement('span');
+      wordSpan.className = 'word';
+      wordSpan.textContent = word.word;
+      wordSpan.title = word.start.toFixed(2) + 's to ' + word.end.toFixed(2) +
+                       's' + (confidence === null || word.edited ? '' :
+                       ', ' + Math.round(confidence * 100) + '% sure');
+      if (word.edited) {
+        wordSpan.className += ' edited';
+      } else if (confidence !== null && confidence < lowConfidence) {
+        wordSpan.className += ' uncertain';
+      }
+
+      wordSpan.addEventListener('click', function() {
+        openMenu(utterance, w);
+      });
+      wordSpan.addEventListener('dblclick', function() {
+        editWord(utterance, w);
+      });
+
+      element.appendChild(document.createTextNode(' '));
+      element.appendChild(wordSpan);
+    });
+  }
+
+  /**
+   * Creates an entry's buttons for copying and downloading its transcript.
+   *
+   * @param {!Object} entry The entry.
+   * @return {!Element} The buttons.
+   */
+  function createToolbar(entry) {
+    var toolbar = document.createElement('div');
+    toolbar.className = 'toolbar';
+
+    var copyButton = document.createElement('button');
+    copyButton.textContent = 'Copy';
+    copyButton.addEventListener('click', function() {
+      copy(entry);
+    });
+    toolbar.appendChild(copyButton);
+
+    Object.keys(FORMATS).forEach(function(format) {
+      var button = document.createElement('button');
+      button.textContent = format.toUpperCase();
+      button.title = 'Download as ' + format.toUpperCase();
+      button.addEventListener('click', function() {
+        download(entry, format);
+      });
+      toolbar.appendChild(button);
+    });
+
+    return toolbar;
+  }
+
+  /**
+   * Formats an entry's transcript, as it's been edited.
+   *
+   * @param {!Object} entry The entry.
+   * @param {!string} format One of the keys of FORMATS.
+   * @return {string} The transcript.
+   */
+  function formatEntry(entry, format) {
+    if (format === 'srt') {
+      return entry.utterances.map(function(utterance, index) {
+        return (index + 1) + '\n' + formatTimestamp(utterance.start) +
+               ' --> ' + formatTimestamp(utterance.end) + '\n' +
+               getTranscript(utterance) + '\n';
+      }).join('\n');
+    } else if (format === 'json') {
+      return JSON.stringify({
+        'label': entry.label,
+        'startedAt': entry.startedAt.toISOString(),
+        'utterances': entry.utterances.map(function(utterance) {
+          return {
+            'start': utterance.start,
+            'end': utterance.end,
+            'transcript': getTranscript(utterance),
+            'confidence': utterance.confidence,
+            'words': copyWords(utterance.words),
+            'alternatives': utterance.alternatives.map(function(alternative) {
+              return {
+                'transcript': alternative.transcript,
+                'confidence': alternative.confidence
+              };
+            })
+          };
+        })
+      }, null, 2);
+    }
+
+    return entry.label + ', ' + entry.startedAt.toLocaleString() + '\n\n' +
+           entry.utterances.map(function(utterance) {
+             return '[' + formatTimestamp(utterance.start).substring(0, 8) +
+                    '] ' + getTranscript(utterance);
+           }).join('\n') + '\n';
+  }
+
+  /**
+   * Copies an entry's transcript to the clipboard as text, falling back to
+   * a hidden text box for browsers without the Clipboard API.
+   *
+   * @param {!Object} entry The entry.
+   */
+  function copy(entry) {
+    var text = formatEntry(entry, 'txt');
+
+    if (navigator.clipboard && navigator.clipboard.writeText) {
+      navigator.clipboard.writeText(text).catch(function(error) {
+        console.error('Couldn\'t copy the transcript:', error);
+      });
+      return;
+    }
+
+    var textArea = document.createElement('textarea');
+    textArea.value = text;
+    textArea.style.position = 'fixed';
+    textArea.style.opacity = '0';
+    document.body.appendChild(textArea);
+    textArea.select();
+    document.execCommand('copy');
+    document.body.removeChild(textArea);
+  }
+
+  /**
+   * Downloads an entry's transcript.
+   *
+   * @param {!Object} entry The entry.
+   * @param {!string} format One of the keys of FORMATS.
+   */
+  function download(entry, format) {
+    var blob = new Blob([formatEntry(entry, format)], {
+      'type': FORMATS[format] + ';charset=utf-8'
+    });
+    var url = URL.createObjectURL(blob);
+
+    var link = document.createElement('a');
+    link.href = url;
+    link.download = 'transcript-' +
+        entry.label.toLowerCase().replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-|-$/g, '') + '.' + format;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+
+    setTimeout(function() {
+      URL.revokeObjectURL(url);
+    }, 0);
+  }
+
+  // Close the word menu when clicking anywhere else, or on escape
+  document.addEventListener('click', function(event) {
+    if (menu && !menu.contains(event.target) &&
+        !(event.target.classList && event.target.classList.contains('word'))) {
+      closeMenu();
+    }
+  });
+  document.addEventListener('keydown', function(event) {
+    if (event.key === 'Escape') {
+      closeMenu();
+    }
+  });
+
+  /**
+   * Starts a new entry, e.g. for a recording or a file, which its results
+   * are added to.
+   *
+   * @param {!string} label Label of the entry, e.g. Microphone or the name of
+   * the file.
+   * @return {string} ID of the entry.
+   */
+  this.startEntry = function(label) {
+    var entry = {
+      'id': 'entry-' + (++entryCount),
+      'label': label,
+      'startedAt': new Date(),
+      'utterances': [],
+      'lastEnd': 0
+    };
+
+    entry.element = document.createElement('section');
+    entry.element.className = 'transcript-entry';
+
+    var heading = document.createElement('h3');
+    heading.textContent = label + ', ' + entry.startedAt.toLocaleString();
+    entry.element.appendChild(heading);
+    entry.element.appendChild(createToolbar(entry));
+
+    entry.utterancesElement = document.createElement('div');
+    entry.utterancesElement.className = 'utterances';
+    entry.element.appendChild(entry.utterancesElement);
+
+    entry.statusElement = document.createElement('p');
+    entry.statusElement.className = 'interim';
+    entry.element.appendChild(entry.statusElement);
+
+    container.appendChild(entry.element);
+    entries.push(entry);
+    return entry.id;
+  };
+
+  /**
+   * Shows a message at the end of an entry, e.g. how far a file has got, in
+   * place of any interim results.
+   *
+   * @param {!string} entryId ID of the entry.
+   * @param {!string} message The message, or an empty string to clear it.
+   */
+  this.setStatus = function(entryId, message) {
+    getEntry(entryId).statusElement.textContent = message;
+  };
+
+  /**
+   * Shows the top alternatives of interim results at the end of an entry,
+   * until the final results come in.
+   *
+   * @param {!string} entryId ID of the entry.
+   * @param {!Array<Object>} results The results.
+   */
+  this.showInterim = function(entryId, results) {
+    this.setStatus(entryId, results.filter(function(result) {
+      return !result.isFinal && result.alternatives.length;
+    }).map(function(result) {
+      return result.alternatives[0].transcript;
+    }).join(''));
+  };
+
+  /**
+   * Adds the final results of a recording or file to an entry, one
+   * utterance each.
+   *
+   * Utterances are timestamped from their words, in seconds since the
+   * recording or file started. Results without words are timed from when
+   * they came in.
+   *
+   * @param {!string} entryId ID of the entry.
+   * @param {!Array<Object>} results The results, of which only the final
+   * ones are added.
+   */
+  this.addResults = function(entryId, results) {
+    var entry = getEntry(entryId);
+
+    results.forEach(function(result) {
+      if (!result.isFinal || !result.alternatives.length) {
+        return;
+      }
+
+      var top = result.alternatives[0];
+      var start = entry.lastEnd;
+      var end = Math.max(start,
+                         (Date.now() - entry.startedAt.getTime()) / 1000);
+      if (top.words.length) {
+        start = top.words[0].start;
+        end = top.words[top.words.length - 1].end;
+      }
+
+      var utterance = {
+        'start': start,
+        'end': end,
+        'confidence': top.confidence,
+        'alternatives': result.alternatives.map(function(alternative) {
+          return {
+            'transcript': alternative.transcript.trim(),
+            'confidence': alternative.confidence,
+            'words': getWords(alternative, start, end)
+          };
+        })
+      };
+      utterance.words = copyWords(utterance.alternatives[0].words);
+
+      // Nothing was said, or it was all redacted
+      if (!utterance.words.length) {
+        return;
+      }
+
+      entry.lastEnd = end;
+      utterance.element = document.createElement('p');
+      utterance.element.className = 'utterance';
+      entry.utterancesElement.appendChild(utterance.element);
+      entry.utterances.push(utterance);
+      renderUtterance(utterance);
+    });
+
+    entry.statusElement.textContent = '';
+  };
+
+  /**
+   * Returns an entry's transcript, as it's been edited.
+   *
+   * @param {!string} entryId ID of the entry.
+   * @param {!string} format txt, srt or json.
+   * @return {string} The transcript.
+   */
+  this.format = function(entryId, format) {
+    if (!FORMATS.hasOwnProperty(format)) {
+      throw new Error('Unknown transcript format: ' + format);
+    }
+    return formatEntry(getEntry(entryId), format);
+  };
+
+  /**
+   * Removes every entry.
+   */
+  this.clear = function() {
+    closeMenu();
+    entries.forEach(function(entry) {
+      container.removeChild(entry.element);
+    });
+    entries = [];
+  };
+}
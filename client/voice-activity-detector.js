@@ -0,0 +1,151 @@
+/**
+ * Cloud Speech API streaming example for Node.js using gRPC.
+ *
+ * This file works out when someone is speaking from the energy of the
+ * microphone audio, so silence doesn't have to be sent to the server.
+ */
+
+/**
+ * Energy based voice activity detector.
+ *
+ * Audio counts as speech when its RMS energy is above both the threshold
+ * and a few times the background noise level, which is learnt from the
+ * silence. Speech carries on for a hangover period after the energy drops,
+ * so short pauses between words aren't cut out, and the audio just before
+ * speech starts is kept as pre-roll so the start of the first word isn't
+ * either.
+ *
+ * @constructor
+ * @param {?Object<number>} options The threshold (RMS energy, 0 to 1),
+ * preRollMs, hangoverMs, and silenceTimeoutMs after which onSilenceTimeout
+ * is called, or 0 to never time out.
+ * @param {!Object<function>} callbacks onFrame, called with each frame of
+ * audio to send, and optionally onSpeechStart, onSpeechEnd and
+ * onSilenceTimeout.
+ */
+function VoiceActivityDetector(options, callbacks) {
+  options = options || {};
+
+  var threshold = options.threshold || 0.01;
+  var preRollMs = options.hasOwnProperty('preRollMs') ?
+      options.preRollMs : 300;
+  var hangoverMs = options.hasOwnProperty('hangoverMs') ?
+      options.hangoverMs : 500;
+  var silenceTimeoutMs = options.silenceTimeoutMs || 0;
+
+  // How many times the noise level audio has to be to count as speech
+  var NOISE_RATIO = 3;
+
+  // How quickly the noise level follows the silence, from 0 to 1
+  var NOISE_ADAPTATION = 0.05;
+
+  var speaking = false;
+  var noiseLevel = 0;
+  var quietMs = 0; // Since the energy dropped
+  var silenceMs = 0; // Since speech ended, or we started
+  var timedOut = false;
+
+  // Recent frames, kept in case speech starts
+  var preRoll = [];
+  var preRollLength = 0;
+
+  /**
+   * Returns the RMS energy of a frame.
+   *
+   * @param {!Int16Array} frame 16 bit audio samples.
+   * @return {number} The energy, from 0 to 1.
+   */
+  function getEnergy(frame) {
+    var sum = 0;
+    for (var s = 0; s < frame.length; s++) {
+      sum += (frame[s] / 0x8000) * (frame[s] / 0x8000);
+    }
+    return frame.length ? Math.sqrt(sum / frame.length) : 0;
+  }
+
+  /**
+   * Keeps a frame of silence as pre-roll, dropping the oldest frames once
+   * there's enough.
+   *
+   * @param {!Int16Array} frame 16 bit audio samples.
+   * @param {!number} frameMs Length of the frame in milliseconds.
+   */
+  function keepPreRoll(frame, frameMs) {
+    if (!preRollMs) {
+      return;
+    }
+
+    preRoll.push({'frame': frame, 'ms': frameMs});
+    preRollLength += frameMs;
+
+    while (preRoll.length > 1 && preRollLength - preRoll[0].ms >= preRollMs) {
+      preRollLength -= preRoll.shift().ms;
+    }
+  }
+
+  /**
+   * Processes a frame of audio, sending it on if it's speech.
+   *
+   * @param {!Int16Array} frame 16 bit audio samples. Frames are kept for
+   * pre-roll, so a new array should be passed each time.
+   * @param {!number} sampleRate Sample rate of the audio.
+   */
+  this.process = function(frame, sampleRate) {
+    var frameMs = frame.length / sampleRate * 1000;
+    var energy = getEnergy(frame);
+    var loud = energy > Math.max(threshold, noiseLevel * NOISE_RATIO);
+
+    if (loud) {
+      quietMs = 0;
+      silenceMs = 0;
+
+      if (!speaking) {
+        speaking = true;
+        if (callbacks.onSpeechStart) {
+          callbacks.onSpeechStart();
+        }
+
+        // Send what came just before, so the start of the word is there
+        for (var p = 0; p < preRoll.length; p++) {
+          callbacks.onFrame(preRoll[p].frame);
+        }
+        preRoll = [];
+        preRollLength = 0;
+      }
+    } else {
+      noiseLevel += (energy - noiseLevel) * NOISE_ADAPTATION;
+      quietMs += frameMs;
+
+      if (speaking && quietMs >= hangoverMs) {
+        speaking = false;
+        if (callbacks.onSpeechEnd) {
+          callbacks.onSpeechEnd();
+        }
+      }
+    }
+
+    if (speaking) {
+      callbacks.onFrame(frame);
+      return;
+    }
+
+    keepPreRoll(frame, frameMs);
+
+    silenceMs += frameMs;
+    if (silenceTimeoutMs && silenceMs >= silenceTimeoutMs && !timedOut) {
+      timedOut = true;
+      if (callbacks.onSilenceTimeout) {
+        callbacks.onSilenceTimeout();
+      }
+    }
+  };
+
+  /**
+   * Returns whether someone is speaking.
+   *
+   * @return {boolean} Whether they're speaking.
+   */
+  this.isSpeaking = function() {
+    return speaking;
+  };
+}
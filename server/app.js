@@ -8,20 +8,178 @@
 
 var cors = require('cors');
 var express = require('express');
+var fs = require('fs');
 var http = require('http');
+var https = require('https');
 var request = require('request');
+var AudioArchive = require('./audio-archive');
+var Auth = require('./auth');
+var CaptionRooms = require('./caption-rooms');
+var CloudSpeechApi = require('./cloud-speech-api-server');
+var FileRecogniser = require('./file-recogniser');
+var JobQueue = require('./job-queue');
+var QuotaManager = require('./quota-manager');
+var RecognitionStream = require('./recognition-stream');
+var TranscriptStore = require('./transcript-store');
+var UploadManager = require('./upload-manager');
+var Webhooks = require('./webhooks');
+var metrics = require('./metrics');
+var recognitionOptions = require('./recognition-options');
+var speechErrors = require('./speech-errors');
+
+// Load the config from the environment and the config file, stopping if
+// there's anything wrong with it
+var config;
+try {
+  config = require('./config').load(process.env);
+} catch (e) {
+  console.error(e.message);
+  process.exit(1);
+}
+CloudSpeechApi.configure(config.recognition);
+
+// Stream ID of clients which only use one stream at a time
+var DEFAULT_STREAM_ID = 'default';
+
+// How many streams each client can recognise at once
+var MAX_STREAMS_PER_SOCKET = config.limits.maxStreamsPerSocket;
+
+// How long streams keep going after their client disconnects, so it can
+// reconnect and resume them
+var RESUME_GRACE_SECONDS = config.limits.resumeGraceSeconds;
+
+// Origins allowed to connect, or any origin if there are none
+var ALLOWED_ORIGINS = config.allowedOrigins;
 
 var app = express();
 
+// Connected WebSockets clients
+var activeSockets = metrics.gauge('speech_active_sockets',
+    'WebSockets clients currently connected');
+
+// Authenticate clients with API keys or signed tokens, if there are any
+var auth = new Auth({
+  apiKeys: config.auth.clients,
+  tokenSecret: config.auth.tokenSecret,
+  allowedOrigins: ALLOWED_ORIGINS
+});
+if (!auth.enabled) {
+  console.warn('No API keys or token secret set, authentication is off');
+}
+
+// Default quotas for each client, where 0 is unlimited
+var quotaManager = new QuotaManager({
+  concurrentStreams: config.limits.concurrentStreams,
+  audioSecondsPerDay: config.limits.audioSecondsPerDay,
+  fileRecognitionsPerMinute: config.limits.fileRecognitionsPerMinute
+});
+
+// Keep the transcripts of every session
+var transcriptStore = new TranscriptStore(config.storage.transcriptsDir);
+
+// Keep the audio of sessions which ask for it, for as long as the retention
+// policy allows
+var audioArchive = new AudioArchive(config.storage.audioArchiveDir,
+                                    config.storage.audioRetentionDays);
+audioArchive.startCleanup();
+
+// Let other systems know about sessions and their final results
+var webhooks = new Webhooks({
+  subscriptions: config.webhooks.subscriptions,
+  maxAttempts: config.webhooks.maxAttempts,
+  retryDelaySeconds: config.webhooks.retryDelaySeconds,
+  deadLetterFile: config.webhooks.deadLetterFile
+});
+
+// Recognises files from both WebSockets and HTTP clients
+var fileRecogniser = new FileRecogniser({
+  transcriptStore: transcriptStore,
+  quotaManager: quotaManager,
+  webhooks: webhooks
+});
+
+// Files being uploaded in chunks
+var uploadManager = new UploadManager(config.storage.uploadDir,
+                                      config.limits.maxUploadSize);
+
+// Batch recognition jobs from HTTP clients
+var jobQueue = new JobQueue(function(data, done) {
+  fileRecogniser.recogniseLong(data.audioData, data.parameters, data.client,
+      function() {}, function(response) {
+    if (!response.success) {
+      return done(response.error);
+    }
+
+    done(null, {
+      sessionId: response.sessionId,
+      data: response.data
+    });
+  });
+}, {
+  concurrency: config.limits.jobConcurrency,
+  maxQueued: config.limits.jobQueueLimit,
+  retentionMinutes: config.limits.jobRetentionMinutes
+});
+
 // Enable CORS for the server
-app.use(cors());
+app.use(cors(ALLOWED_ORIGINS.length ? {origin: ALLOWED_ORIGINS} : null));
+
+// Health checks and metrics
+app.use(require('./health-routes')(CloudSpeechApi()));
+
+// Routes to list, fetch, delete and export transcript sessions and their
+// audio, for the clients they belong to
+app.use(require('./transcript-routes')(auth, transcriptStore, audioArchive));
+
+// Routes for batch recognition over HTTP
+app.use(require('./recognize-routes')({
+  auth: auth,
+  quotaManager: quotaManager,
+  jobQueue: jobQueue
+}, config.limits.maxRecognizeFileSize));
 
-// Create the HTTP server
-var socketServer = http.createServer(app);
+// Tells clients where the server is and what it defaults to, so they
+// don't need it hardcoded
+app.get('/client-config', function(req, res) {
+  var protocol = req.headers['x-forwarded-proto'] || req.protocol;
+
+  res.json({
+    serverUrl: config.publicUrl || protocol + '://' + req.headers.host,
+    authRequired: auth.enabled,
+    recognition: {
+      languageCode: config.recognition.languageCode,
+      profanityFilter: config.recognition.profanityFilter,
+      maxAlternatives: config.recognition.maxAlternatives
+    },
+    limits: {
+      maxStreamsPerSocket: config.limits.maxStreamsPerSocket,
+      maxUploadSize: config.limits.maxUploadSize,
+      maxAlternatives: recognitionOptions.MAX_ALTERNATIVES
+    }
+  });
+});
+
+// Create the HTTPS server if there's a certificate, or the HTTP server
+var socketServer = config.tls.certFile ? https.createServer({
+  cert: fs.readFileSync(config.tls.certFile),
+  key: fs.readFileSync(config.tls.keyFile),
+  ca: config.tls.caFile ? fs.readFileSync(config.tls.caFile) : undefined
+}, app) : http.createServer(app);
 
 // Attach Socket.IO to the socket server
 var io = require('socket.io')(socketServer);
 
+// Rooms viewers can watch a speaker's captions in
+var captionRooms = new CaptionRooms(io, {
+  tokenSecret: config.auth.tokenSecret,
+  tokenSeconds: config.captions.tokenHours * 60 * 60,
+  historySize: config.captions.historySize,
+  expiryMinutes: config.captions.roomExpiryMinutes
+});
+
+// Only let in authenticated clients, and viewers with a viewer token
+io.use(auth.socketMiddleware(captionRooms.verifyViewerToken));
+
 // Create a default home page to return the IP of this virtual machine
 app.get('/', function(req, res) {
   var host = req.headers.host;
@@ -34,60 +192,200 @@ app.get('/', function(req, res) {
 
 // When someone connects on WebSockets
 io.on('connection', function(socket) {
-  // Create the server
-  var cloudSpeechApi = require('./cloud-speech-api-server')();
-  var recording = false;
+  // Who the client is, from the auth middleware
+  var client = socket.speechClient;
+
+  activeSockets.inc();
+
+  // Anyone with a viewer token can watch captions
+  captionRooms.addViewer(socket);
+
+  // Viewers who connected with their viewer token can't do anything else
+  if (client.claims && client.claims.view) {
+    socket.on('disconnect', function() {
+      activeSockets.dec();
+    });
+    return;
+  }
+
+  // Recognition streams of this client, by stream ID
+  var streams = Object.create(null);
+
+  // Parameters of files being uploaded, by upload ID
+  var uploadParameters = Object.create(null);
+
+  /**
+   * Returns the stream ID a message is for.
+   *
+   * Clients which only use one stream don't need to send an ID.
+   *
+   * @param {?string} streamId The stream ID from the client.
+   * @return {string} The stream ID.
+   */
+  function getStreamId(streamId) {
+    return streamId ? String(streamId) : DEFAULT_STREAM_ID;
+  }
+
+  /**
+   * Returns one of the client's streams, if it's still on this connection.
+   *
+   * Streams can be resumed from another connection, in which case they're
+   * forgotten here.
+   *
+   * @param {!string} streamId The stream ID.
+   * @return {?RecognitionStream} The stream.
+   */
+  function getStream(streamId) {
+    var stream = streams[streamId];
+    if (stream && stream.owner !== socket.id) {
+      delete streams[streamId];
+      stream = null;
+    }
+    return stream || null;
+  }
+
+  /**
+   * Returns whether the client can have another stream on this connection.
+   *
+   * @param {!string} streamId The stream ID it would have.
+   * @return {boolean} Whether it can.
+   */
+  function canAddStream(streamId) {
+    if (Object.keys(streams).filter(getStream).length <
+        MAX_STREAMS_PER_SOCKET) {
+      return true;
+    }
+
+    socket.emit('recordingError', {
+      streamId: streamId,
+      recording: false,
+      error: speechErrors.create('TOO_MANY_STREAMS',
+          'Too many streams, the limit is ' + MAX_STREAMS_PER_SOCKET)
+    });
+    return false;
+  }
 
-  // When client wants to start/stop recording
+  // When client wants to start/stop/resume recording
   socket.on('recording', function(parameters) {
+    if (!parameters || typeof parameters !== 'object') {
+      return socket.emit('recordingError', {
+        error: speechErrors.create('INVALID_REQUEST',
+                                   'Recording needs an action')
+      });
+    }
+
+    var streamId = getStreamId(parameters.streamId);
+    var stream = getStream(streamId);
+
     if (parameters.action === 'start') {
-      // Start the service
-      cloudSpeechApi.startRecording(parameters.options, function(status) {
-        // Set whether we're ready to record or not
-        recording = status.recording;
+      if (stream) {
+        // Restarting a stream, so stop what it was doing first
+        stream.stop();
+      } else if (!canAddStream(streamId)) {
+        return;
+      } else {
+        stream = new RecognitionStream(streamId, client,
+                                       socket.emit.bind(socket), {
+          transcriptStore: transcriptStore,
+          audioArchive: audioArchive,
+          quotaManager: quotaManager,
+          captionRooms: captionRooms,
+          webhooks: webhooks
+        });
+        stream.owner = socket.id;
+        streams[streamId] = stream;
+      }
 
-        if (status.type === 'data') {
-          socket.emit('recordingData', {
-            recording: status.recording,
-            data: status.data,
-            error: status.error
-          });
-        } else if (status.type === 'status') {
-          // Let the client know
-          socket.emit('recordingStatusChange', {
-            recording: status.recording,
-            error: status.error
-          });
-        } else if (status.type === 'error') {
-          socket.emit('recordingError', {
-            recording: status.recording,
-            error: status.error
-          });
+      stream.start(parameters.options);
+    } else if (parameters.action === 'resume') {
+      // Only the client a stream belongs to can resume it, with the same ID
+      var resumed = RecognitionStream.find(String(parameters.sessionId));
+      if (!resumed || resumed.clientId !== client.id ||
+          resumed.id !== streamId) {
+        return socket.emit('recordingError', {
+          streamId: streamId,
+          recording: false,
+          error: speechErrors.create('SESSION_NOT_FOUND')
+        });
+      }
+
+      if (stream !== resumed) {
+        if (stream) {
+          stream.stop();
+          delete streams[streamId];
         }
-      });
-    } else if (parameters.action === 'stop') {
-      // Stop the service
-      cloudSpeechApi.stopRecording();
+        if (!canAddStream(streamId)) {
+          return;
+        }
+      }
 
-      // We've stopped recording
-      recording = false;
+      streams[streamId] = resumed;
+      resumed.attach(socket.id, socket.emit.bind(socket),
+                     Number(parameters.lastSeq) || 0);
+    } else if (parameters.action === 'stop') {
+      if (stream) {
+        stream.stop();
+        delete streams[streamId];
+      }
 
       // Let the client know
       socket.emit('recordingStatus', {
-        recording: recording,
+        streamId: streamId,
+        recording: false,
         error: null
       });
     }
   });
 
+  // When the client wants to broadcast a stream's captions to viewers
+  socket.on('publish', function(parameters) {
+    var streamId = getStreamId(parameters && parameters.streamId);
+    var stream = getStream(streamId);
+    var room = stream &&
+               captionRooms.open(client.id, (parameters && parameters.room) ||
+                                 null);
+
+    if (!room) {
+      return socket.emit('recordingError', {
+        streamId: streamId,
+        recording: stream ? stream.isRecording() : false,
+        error: speechErrors.create('INVALID_REQUEST', stream ?
+            'Caption room not found' : 'Start recording before publishing')
+      });
+    }
+
+    stream.publish(room.room);
+    socket.emit('published', {
+      streamId: streamId,
+      room: room.room,
+      token: room.token
+    });
+  });
+
+  // When the client wants to stop broadcasting a stream's captions
+  socket.on('unpublish', function(parameters) {
+    var stream = getStream(getStreamId(parameters && parameters.streamId));
+    if (stream) {
+      stream.publish(null);
+    }
+  });
+
   // When the client sends a file to recognise
   socket.on('recogniseFile', function(audioData, parameters) {
+    if (!quotaManager.addFileRecognition(client)) {
+      return socket.emit('recordingError', {
+        error: speechErrors.create('QUOTA_FILE_RECOGNITIONS')
+      });
+    }
+
     // Pass the data along
-    cloudSpeechApi.recogniseFile(audioData, parameters, function(response) {
+    fileRecogniser.recognise(audioData, parameters, client,
+                             function(response) {
       // If it was a success
       if (response.success) {
         socket.emit('recordingData', {
           data: response.data,
+          sessionId: response.sessionId,
           error: response.error
         });
       } else {
@@ -99,20 +397,133 @@ io.on('connection', function(socket) {
     });
   });
 
+  // When the client starts uploading a file in chunks, or resumes an upload
+  socket.on('uploadStart', function(upload) {
+    if (!upload || typeof upload !== 'object') {
+      return socket.emit('recordingError', {
+        error: speechErrors.create('INVALID_REQUEST',
+                                   'Uploads need an uploadId and size')
+      });
+    }
+
+    var uploadId = String(upload.uploadId);
+    uploadParameters[uploadId] = upload.parameters || null;
+
+    uploadManager.start(client.id, uploadId, Number(upload.size),
+        function(err, status) {
+      if (err) {
+        return socket.emit('recordingError', {
+          uploadId: uploadId,
+          error: speechErrors.create('INVALID_REQUEST', err.message)
+        });
+      }
+
+      // Let the client know where to carry on from
+      socket.emit('uploadProgress', {
+        uploadId: uploadId,
+        received: status.received,
+        size: status.size
+      });
+    });
+  });
+
+  // When the client sends a chunk of a file
+  socket.on('uploadChunk', function(upload, chunk) {
+    if (!upload || typeof upload !== 'object') {
+      return socket.emit('recordingError', {
+        error: speechErrors.create('INVALID_REQUEST',
+                                   'Chunks need an uploadId and offset')
+      });
+    }
+
+    var uploadId = String(upload.uploadId);
+
+    uploadManager.append(client.id, uploadId, Number(upload.offset), chunk,
+        function(err, status) {
+      if (err) {
+        return socket.emit('recordingError', {
+          uploadId: uploadId,
+          error: speechErrors.create('INVALID_REQUEST', err.message)
+        });
+      }
+
+      socket.emit('uploadProgress', {
+        uploadId: uploadId,
+        received: status.received,
+        size: status.size
+      });
+
+      if (status.received === status.size) {
+        recogniseUpload(uploadId, uploadParameters[uploadId]);
+        delete uploadParameters[uploadId];
+      }
+    });
+  });
+
+  /**
+   * Recognises a file once it's been uploaded, letting the client know how
+   * it's getting on.
+   *
+   * @param {!string} uploadId ID of the upload.
+   * @param {?Object<string>} parameters Optional parameters to send through.
+   */
+  function recogniseUpload(uploadId, parameters) {
+    uploadManager.finish(client.id, uploadId, function(err, audioData) {
+      // Someone else is already recognising it
+      if (err) {
+        return;
+      }
+
+      if (!quotaManager.addFileRecognition(client)) {
+        return socket.emit('recordingError', {
+          uploadId: uploadId,
+          error: speechErrors.create('QUOTA_FILE_RECOGNITIONS')
+        });
+      }
+
+      fileRecogniser.recogniseLong(audioData, parameters, client,
+                                   function(progress) {
+        progress.uploadId = uploadId;
+        socket.emit('recognitionProgress', progress);
+      }, function(response) {
+        if (response.success) {
+          socket.emit('recordingData', {
+            uploadId: uploadId,
+            data: response.data,
+            sessionId: response.sessionId,
+            error: response.error
+          });
+        } else {
+          socket.emit('recordingError', {
+            uploadId: uploadId,
+            error: response.error
+          });
+        }
+      });
+    });
+  }
+
   // When the client disconnects
   socket.on('disconnect', function() {
-    // Stop the streaming client
-    cloudSpeechApi.stopRecording();
+    activeSockets.dec();
 
-    // We've stopped recording
-    recording = false;
+    // Give recording streams a chance to be resumed, and stop the rest
+    Object.keys(streams).forEach(function(streamId) {
+      var stream = getStream(streamId);
+      if (stream && stream.isRecording()) {
+        stream.detach(RESUME_GRACE_SECONDS * 1000);
+      } else if (stream) {
+        stream.stop();
+      }
+    });
+    streams = Object.create(null);
   });
 
   // When we receive audio data from the client
-  socket.on('data', function(audioData) {
-    // Only pass through the audio data if we're meant to be recording
-    if (recording) {
-      var response = cloudSpeechApi.recognise(audioData);
+  socket.on('data', function(audioData, streamId, seq) {
+    var stream = getStream(getStreamId(streamId));
+    if (stream) {
+      stream.write(audioData, seq);
     }
   });
 });
@@ -145,7 +556,8 @@ function getExternalIp(cb) {
 }
 
 // Start the websocket server
-socketServer.listen('8080', function() {
-  console.log('Websocket server listening on port %s',
-              socketServer.address().port);
+socketServer.listen(config.port, function() {
+  console.log('Websocket server listening on port %s%s',
+              socketServer.address().port,
+              config.tls.certFile ? ' over TLS' : '');
 });
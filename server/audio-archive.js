@@ -0,0 +1,219 @@
+/**
+ * Cloud Speech API streaming example for Node.js using gRPC.
+ *
+ * This file archives the audio of recording sessions as WAV files, so it can
+ * be listened to or recognised again later, and cleans up old recordings.
+ */
+var fs = require('fs');
+var path = require('path');
+
+module.exports = AudioArchive;
+
+/**
+ * Length of a WAV header.
+ *
+ * @const {number}
+ */
+var WAV_HEADER_LENGTH = 44;
+
+/**
+ * How often old recordings are cleaned up.
+ *
+ * @const {number}
+ */
+var CLEANUP_INTERVAL = 60 * 60 * 1000; // Every hour
+
+/**
+ * Audio archive for recording sessions.
+ *
+ * @constructor
+ * @param {!string} directory Directory to save the recordings in.
+ * @param {!number} retentionDays How many days recordings are kept for, or 0
+ * to keep them forever.
+ */
+function AudioArchive(directory, retentionDays) {
+  'use strict';
+
+  if (!(this instanceof AudioArchive)) {
+    return new AudioArchive(directory, retentionDays);
+  }
+
+  var cleanupTimer = null;
+
+  /**
+   * Builds a WAV header for 16 bit mono PCM audio.
+   *
+   * @param {!number} sampleRate Sample rate of the audio.
+   * @param {!number} dataLength Length of the audio data in bytes.
+   * @return {!Buffer} The header.
+   */
+  function createWavHeader(sampleRate, dataLength) {
+    var header = new Buffer(WAV_HEADER_LENGTH);
+
+    header.write('RIFF', 0, 'ascii');
+    header.writeUInt32LE(36 + dataLength, 4);
+    header.write('WAVE', 8, 'ascii');
+    header.write('fmt ', 12, 'ascii');
+    header.writeUInt32LE(16, 16); // Length of the format chunk
+    header.writeUInt16LE(1, 20); // PCM
+    header.writeUInt16LE(1, 22); // Mono
+    header.writeUInt32LE(sampleRate, 24);
+    header.writeUInt32LE(sampleRate * 2, 28); // Bytes per second
+    header.writeUInt16LE(2, 32); // Bytes per sample
+    header.writeUInt16LE(16, 34); // Bits per sample
+    header.write('data', 36, 'ascii');
+    header.writeUInt32LE(dataLength, 40);
+
+    return header;
+  }
+
+  /**
+   * Returns where a session's recording is saved.
+   *
+   * @param {!string} id The session ID.
+   * @return {?string} Path to the recording, or null if it's not a valid
+   * session ID.
+   */
+  this.getPath = function(id) {
+    if (!/^[a-f0-9]{16}$/.test(id)) {
+      return null;
+    }
+    return path.join(directory, id + '.wav');
+  };
+
+  /**
+   * Starts archiving a session's audio.
+   *
+   * The WAV header is written with an empty length to begin with, and filled
+   * in once the recording has ended.
+   *
+   * @param {!string} id The session ID.
+   * @param {!number} sampleRate Sample rate of the 16 bit mono audio.
+   * @return {!Object} Writer with write(audioData) and end() functions.
+   */
+  this.createWriter = function(id, sampleRate) {
+    var filePath = this.getPath(id);
+    var dataLength = 0;
+    var ended = false;
+    var pending = [createWavHeader(sampleRate, 0)];
+    var stream = null;
+
+    fs.mkdir(directory, function() {
+      stream = fs.createWriteStream(filePath);
+      stream.on('error', function(err) {
+        console.error('Error archiving audio', id, err);
+      });
+
+      for (var p = 0; p < pending.length; p++) {
+        stream.write(pending[p]);
+      }
+      pending = null;
+
+      if (ended) {
+        finish();
+      }
+    });
+
+    /**
+     * Closes the file and fills in the lengths in the WAV header.
+     */
+    function finish() {
+      stream.end(function() {
+        fs.open(filePath, 'r+', function(err, fd) {
+          if (err) {
+            return console.error('Error finishing audio archive', id, err);
+          }
+
+          var header = createWavHeader(sampleRate, dataLength);
+          fs.write(fd, header, 0, header.length, 0, function() {
+            fs.close(fd, function() {});
+          });
+        });
+      });
+    }
+
+    return {
+      write: function(audioData) {
+        if (ended) {
+          return;
+        }
+
+        dataLength += audioData.length;
+        if (pending) {
+          pending.push(audioData);
+        } else {
+          stream.write(audioData);
+        }
+      },
+      end: function() {
+        if (ended) {
+          return;
+        }
+
+        ended = true;
+        if (stream) {
+          finish();
+        }
+      }
+    };
+  };
+
+  /**
+   * Deletes a session's recording.
+   *
+   * @param {!string} id The session ID.
+   * @param {?function(?Error)} callback Called when it's been deleted.
+   */
+  this.remove = function(id, callback) {
+    callback = callback || function() {};
+
+    var filePath = this.getPath(id);
+    if (!filePath) {
+      return process.nextTick(callback);
+    }
+
+    fs.unlink(filePath, function(err) {
+      callback(err && err.code !== 'ENOENT' ? err : null);
+    });
+  };
+
+  /**
+   * Deletes recordings older than the retention period.
+   */
+  this.cleanup = function() {
+    if (!retentionDays) {
+      return;
+    }
+
+    var cutoff = Date.now() - retentionDays * 24 * 60 * 60 * 1000;
+
+    fs.readdir(directory, function(err, files) {
+      if (err) {
+        return;
+      }
+
+      files.forEach(function(file) {
+        if (!/\.wav$/.test(file)) {
+          return;
+        }
+
+        var filePath = path.join(directory, file);
+        fs.stat(filePath, function(err, stats) {
+          if (!err && stats.mtime.getTime() < cutoff) {
+            fs.unlink(filePath, function() {});
+          }
+        });
+      });
+    });
+  };
+
+  /**
+   * Cleans up old recordings now, and then every hour.
+   */
+  this.startCleanup = function() {
+    clearInterval(cleanupTimer);
+    this.cleanup();
+    cleanupTimer = setInterval(this.cleanup.bind(this), CLEANUP_INTERVAL);
+    cleanupTimer.unref();
+  };
+}
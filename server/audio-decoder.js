@@ -0,0 +1,474 @@
+/**
+ * Cloud Speech API streaming example for Node.js using gRPC.
+ *
+ * This file works out what's in an uploaded audio file from its header, and
+ * turns it into audio the Cloud Speech API accepts. WAV files are decoded
+ * here, mono FLAC files are sent as they are, and everything else is
+ * transcoded with ffmpeg.
+ */
+'use strict';
+
+var childProcess = require('child_process');
+var AudioResampler = require('./audio-resampler');
+
+module.exports = {
+  SAMPLE_RATE: 16000,
+  detect: detect,
+  parseWav: parseWav,
+  parseFlac: parseFlac,
+  decode: decode,
+  transcode: transcode,
+  toAmrFile: toAmrFile
+};
+
+/**
+ * Longest ffmpeg is given to transcode a file.
+ *
+ * @const {number}
+ */
+var TRANSCODE_TIMEOUT = 5 * 60 * 1000; // 5 minutes
+
+/**
+ * How many bytes of decoded audio are resampled at a time, so large files
+ * aren't all held as samples at once.
+ *
+ * @const {number}
+ */
+var RESAMPLE_CHUNK_SIZE = 1024 * 1024;
+
+/**
+ * Bytes in each AMR frame, including its header, by the frame type in the
+ * header. Every frame is 20ms of audio.
+ *
+ * @const {!Object<Array<number>>}
+ */
+var AMR_FRAME_SIZES = {
+  AMR: [13, 14, 16, 18, 20, 21, 27, 32, 6, 1, 1, 1, 1, 1, 1, 1],
+  AMR_WB: [18, 24, 33, 37, 41, 47, 51, 59, 61, 6, 1, 1, 1, 1, 1, 1]
+};
+
+/**
+ * Header of AMR files, which raw AMR frames can come with or without.
+ *
+ * @const {!Object<string>}
+ */
+var AMR_HEADERS = {
+  AMR: '#!AMR\n',
+  AMR_WB: '#!AMR-WB\n'
+};
+
+/**
+ * Returns whether there's an MPEG audio frame header at the start of a
+ * buffer: its sync bits, then a version, layer, bitrate and sample rate
+ * which aren't reserved or free-format.
+ *
+ * @param {!Buffer} buffer The buffer.
+ * @return {boolean} Whether it starts with a frame header.
+ */
+function isMpegFrame(buffer) {
+  return buffer[0] === 0xFF && (buffer[1] & 0xE0) === 0xE0 &&
+         (buffer[1] & 0x18) !== 0x08 && // Version
+         (buffer[1] & 0x06) !== 0x00 && // Layer
+         (buffer[2] & 0xF0) !== 0x00 && (buffer[2] & 0xF0) !== 0xF0 &&
+         (buffer[2] & 0x0C) !== 0x0C; // Sample rate
+}
+
+/**
+ * Works out the container format of a file from its first few bytes.
+ *
+ * Raw audio can start with anything, including what looks like an MPEG frame
+ * header, so files said to be raw are only taken as MP3 if they have an ID3
+ * tag.
+ *
+ * @param {!Buffer} buffer The file.
+ * @param {boolean=} raw Whether the file is said to be raw audio, e.g. by
+ * the encoding or sampleRate it was sent with.
+ * @return {?string} 'wav', 'flac', 'ogg', 'webm' or 'mp3', or null if it
+ * isn't one we know, e.g. raw audio.
+ */
+function detect(buffer, raw) {
+  if (buffer.length < 12) {
+    return null;
+  }
+
+  if (buffer.toString('ascii', 0, 4) === 'RIFF' &&
+      buffer.toString('ascii', 8, 12) === 'WAVE') {
+    return 'wav';
+  }
+  if (buffer.toString('ascii', 0, 4) === 'fLaC') {
+    return 'flac';
+  }
+  if (buffer.toString('ascii', 0, 4) === 'OggS') {
+    return 'ogg';
+  }
+  if (buffer.readUInt32BE(0) === 0x1A45DFA3) { // EBML header
+    return 'webm';
+  }
+  if (buffer.toString('ascii', 0, 3) === 'ID3' ||
+      (!raw && isMpegFrame(buffer))) {
+    return 'mp3';
+  }
+
+  return null;
+}
+
+/**
+ * Reads the format and audio data of a WAV file.
+ *
+ * @param {!Buffer} buffer The file.
+ * @return {!Object} The format (1 for PCM, 3 for floating point), channels,
+ * sampleRate, bitsPerSample, and the audio as data.
+ * @throws {Error} If the file is missing its fmt or data chunk.
+ */
+function parseWav(buffer) {
+  var wav = null;
+  var position = 12;
+
+  while (position + 8 <= buffer.length) {
+    var chunkId = buffer.toString('ascii', position, position + 4);
+    var chunkSize = buffer.readUInt32LE(position + 4);
+    var chunkStart = position + 8;
+
+    if (chunkId === 'fmt ' && chunkStart + 16 <= buffer.length) {
+      wav = {
+        format: buffer.readUInt16LE(chunkStart),
+        channels: buffer.readUInt16LE(chunkStart + 2),
+        sampleRate: buffer.readUInt32LE(chunkStart + 4),
+        bitsPerSample: buffer.readUInt16LE(chunkStart + 14),
+        data: null
+      };
+
+      // WAVE_FORMAT_EXTENSIBLE keeps the real format in its sub-format GUID
+      if (wav.format === 0xFFFE && chunkStart + 26 <= buffer.length) {
+        wav.format = buffer.readUInt16LE(chunkStart + 24);
+      }
+    } else if (chunkId === 'data' && wav) {
+      // Streamed WAVs can have a made up size, so only take what's there
+      wav.data = buffer.slice(chunkStart,
+          Math.min(chunkStart + chunkSize, buffer.length));
+      return wav;
+    }
+
+    // Chunks are padded to an even length
+    position = chunkStart + chunkSize + chunkSize % 2;
+  }
+
+  throw new Error('WAV file is missing its ' + (wav ? 'data' : 'fmt') +
+                  ' chunk');
+}
+
+/**
+ * Reads the stream info of a FLAC file.
+ *
+ * @param {!Buffer} buffer The file.
+ * @return {!Object} The channels, sampleRate, bitsPerSample and duration in
+ * seconds, or null for duration if it isn't known.
+ * @throws {Error} If the file doesn't start with its stream info.
+ */
+function parseFlac(buffer) {
+  // The STREAMINFO metadata block always comes first
+  if (buffer.length < 26 || (buffer[4] & 0x7F) !== 0) {
+    throw new Error('FLAC file is missing its stream info');
+  }
+
+  var sampleRate = (buffer[18] << 12) | (buffer[19] << 4) | (buffer[20] >> 4);
+  var totalSamples = (buffer[21] & 0x0F) * 0x100000000 +
+                     buffer.readUInt32BE(22);
+
+  return {
+    channels: ((buffer[20] >> 1) & 0x07) + 1,
+    sampleRate: sampleRate,
+    bitsPerSample: (((buffer[20] & 0x01) << 4) | (buffer[21] >> 4)) + 1,
+    duration: totalSamples && sampleRate ? totalSamples / sampleRate : null
+  };
+}
+
+/**
+ * Converts WAV audio data to 16 bit little-endian PCM.
+ *
+ * @param {!Object} wav The WAV file, from parseWav.
+ * @return {!Buffer} The audio data.
+ * @throws {Error} If the sample format isn't supported.
+ */
+function toInt16(wav) {
+  var bytesPerSample = wav.bitsPerSample / 8;
+  var read = null;
+
+  if (wav.format === 1 && wav.bitsPerSample === 16) {
+    return wav.data.slice(0, wav.data.length - wav.data.length % 2);
+  } else if (wav.format === 1 && wav.bitsPerSample === 8) {
+    read = function(offset) {
+      return (wav.data[offset] - 128) << 8;
+    };
+  } else if (wav.format === 1 && wav.bitsPerSample === 24) {
+    read = function(offset) {
+      return wav.data.readIntLE(offset, 3) >> 8;
+    };
+  } else if (wav.format === 1 && wav.bitsPerSample === 32) {
+    read = function(offset) {
+      return wav.data.readInt32LE(offset) >> 16;
+    };
+  } else if (wav.format === 3 && wav.bitsPerSample === 32) {
+    read = function(offset) {
+      return Math.max(-1, Math.min(1, wav.data.readFloatLE(offset))) * 0x7FFF;
+    };
+  } else if (wav.format === 3 && wav.bitsPerSample === 64) {
+    read = function(offset) {
+      return Math.max(-1, Math.min(1, wav.data.readDoubleLE(offset))) *
+             0x7FFF;
+    };
+  } else {
+    throw new Error('WAV files with format ' + wav.format + ' and ' +
+                    wav.bitsPerSample + ' bit samples aren\'t supported');
+  }
+
+  var samples = Math.floor(wav.data.length / bytesPerSample);
+  var output = new Buffer(samples * 2);
+  for (var s = 0; s < samples; s++) {
+    output.writeInt16LE(Math.round(read(s * bytesPerSample)), s * 2);
+  }
+  return output;
+}
+
+/**
+ * Downmixes and resamples 16 bit PCM audio to mono at SAMPLE_RATE.
+ *
+ * @param {!Buffer} audioData Interleaved 16 bit audio data.
+ * @param {!number} sampleRate Sample rate of the audio.
+ * @param {!number} channels Number of channels of the audio.
+ * @return {!Buffer} The resampled audio data.
+ */
+function resample(audioData, sampleRate, channels) {
+  if (sampleRate === module.exports.SAMPLE_RATE && channels === 1) {
+    return audioData;
+  }
+
+  var resampler = new AudioResampler(sampleRate, channels,
+                                     module.exports.SAMPLE_RATE);
+  var chunkSize = RESAMPLE_CHUNK_SIZE - RESAMPLE_CHUNK_SIZE % (channels * 2);
+  var output = [];
+  for (var start = 0; start < audioData.length; start += chunkSize) {
+    output.push(resampler.process(audioData.slice(start, start + chunkSize)));
+  }
+  return Buffer.concat(output);
+}
+
+/**
+ * Counts the frames of raw AMR audio, going from the header of each frame
+ * to the next.
+ *
+ * @param {!Buffer} audioData The audio data, with or without the AMR file
+ * header.
+ * @param {!string} encoding AMR or AMR_WB.
+ * @return {number} How many frames there are.
+ */
+function countAmrFrames(audioData, encoding) {
+  var header = AMR_HEADERS[encoding];
+  var position = audioData.toString('binary', 0, header.length) === header ?
+                 header.length : 0;
+  var frames = 0;
+
+  while (position < audioData.length) {
+    position += AMR_FRAME_SIZES[encoding][(audioData[position] >> 3) & 0x0F];
+    frames++;
+  }
+  return frames;
+}
+
+/**
+ * Works out how long raw audio is.
+ *
+ * @param {!Buffer} audioData The audio data.
+ * @param {!string} encoding Its encoding.
+ * @param {!number} sampleRate Its sample rate.
+ * @return {?number} The duration in seconds, or null if it can't be told.
+ */
+function rawDuration(audioData, encoding, sampleRate) {
+  if (encoding === 'LINEAR16') {
+    return audioData.length / (sampleRate * 2);
+  } else if (encoding === 'MULAW') {
+    return audioData.length / sampleRate;
+  } else if (AMR_FRAME_SIZES.hasOwnProperty(encoding)) {
+    return countAmrFrames(audioData, encoding) * 0.02;
+  }
+  return null;
+}
+
+/**
+ * Returns raw AMR audio as an AMR file, with the header which lets ffmpeg
+ * tell what it is.
+ *
+ * @param {!Buffer} audioData The audio data, with or without the header.
+ * @param {!string} encoding AMR or AMR_WB.
+ * @return {!Buffer} The file.
+ */
+function toAmrFile(audioData, encoding) {
+  var header = AMR_HEADERS[encoding];
+  if (audioData.toString('binary', 0, header.length) === header) {
+    return audioData;
+  }
+  return Buffer.concat([new Buffer(header, 'binary'), audioData]);
+}
+
+/**
+ * Transcodes a file to mono 16 bit PCM at SAMPLE_RATE with ffmpeg, which is
+ * run from the FFMPEG_PATH environment variable, or the PATH.
+ *
+ * @param {!Buffer} buffer The file.
+ * @param {!string} format The container format, for errors.
+ * @param {!function(?Error, Buffer=)} callback Called with the audio data.
+ */
+function transcode(buffer, format, callback) {
+  var ffmpeg = childProcess.spawn(process.env.FFMPEG_PATH || 'ffmpeg', [
+    '-hide_banner', '-loglevel', 'error',
+    '-i', 'pipe:0',
+    '-f', 's16le', '-acodec', 'pcm_s16le',
+    '-ac', '1', '-ar', String(module.exports.SAMPLE_RATE),
+    'pipe:1'
+  ]);
+  var output = [];
+  var errorOutput = '';
+  var finished = false;
+
+  /**
+   * Calls back, once.
+   *
+   * @param {?Error} err The error, if there was one.
+   */
+  function finish(err) {
+    if (finished) {
+      return;
+    }
+    finished = true;
+    clearTimeout(timer);
+    callback(err, err ? undefined : Buffer.concat(output));
+  }
+
+  var timer = setTimeout(function() {
+    ffmpeg.kill();
+    finish(new Error('Timed out decoding ' + format + ' audio'));
+  }, TRANSCODE_TIMEOUT);
+
+  ffmpeg.on('error', function(err) {
+    finish(new Error(err.code === 'ENOENT' ?
+        'Decoding ' + format + ' audio needs ffmpeg, which isn\'t installed' :
+        'Unable to decode ' + format + ' audio: ' + err.message));
+  });
+  ffmpeg.on('close', function(code) {
+    finish(code === 0 ? null : new Error('Unable to decode ' + format +
+        ' audio' + (errorOutput ? ': ' + errorOutput.trim() : '')));
+  });
+
+  ffmpeg.stdout.on('data', function(data) {
+    output.push(data);
+  });
+  ffmpeg.stderr.on('data', function(data) {
+    errorOutput += data;
+  });
+
+  // ffmpeg can stop reading early if it can't make sense of the file
+  ffmpeg.stdin.on('error', function() {});
+  ffmpeg.stdin.end(buffer);
+}
+
+/**
+ * Turns a file into audio the API accepts.
+ *
+ * The format comes from the file's header, not the parameters, except that
+ * files the parameters give the encoding or sampleRate of aren't taken as
+ * MP3 without an ID3 tag, as raw audio can look like an MPEG frame. Files
+ * without a header we know are taken as raw audio, but only if the
+ * parameters say what its encoding or sampleRate is, and raw LINEAR16 with
+ * more than one channel is downmixed.
+ *
+ * @param {!Buffer} buffer The file.
+ * @param {?Object} parameters Parameters from the client.
+ * @param {!function(?Error, Object=)} callback Called with the audio as
+ * audioData, its encoding and sampleRate, the container it came in, and its
+ * duration in seconds, or null for duration if it isn't known.
+ */
+function decode(buffer, parameters, callback) {
+  parameters = parameters || {};
+
+  var container = detect(buffer,
+                         !!(parameters.encoding || parameters.sampleRate));
+  var decoded = null;
+
+  try {
+    if (container === 'wav') {
+      var wav = parseWav(buffer);
+      if (!(wav.channels >= 1) || !(wav.sampleRate > 0)) {
+        throw new Error('WAV file has an invalid format');
+      }
+
+      decoded = {
+        audioData: resample(toInt16(wav), wav.sampleRate, wav.channels),
+        encoding: 'LINEAR16',
+        sampleRate: module.exports.SAMPLE_RATE,
+        container: container
+      };
+      decoded.duration = decoded.audioData.length /
+                         (module.exports.SAMPLE_RATE * 2);
+    } else if (container === 'flac') {
+      var flac = parseFlac(buffer);
+
+      // The API takes mono FLAC as it is, but not more channels
+      if (flac.channels === 1 &&
+          (flac.bitsPerSample === 16 || flac.bitsPerSample === 24)) {
+        decoded = {
+          audioData: buffer,
+          encoding: 'FLAC',
+          sampleRate: flac.sampleRate,
+          container: container,
+          duration: flac.duration
+        };
+      }
+    } else if (container === null) {
+      if (!parameters.encoding && !parameters.sampleRate) {
+        throw new Error('Unrecognised audio format. Send a WAV, FLAC, Ogg, ' +
+                        'WebM or MP3 file, or give the encoding and ' +
+                        'sampleRate of raw audio');
+      }
+
+      var encoding = parameters.encoding || 'LINEAR16';
+      var sampleRate = Number(parameters.sampleRate) ||
+                       module.exports.SAMPLE_RATE;
+      var channels = Number(parameters.channels) || 1;
+      var raw = encoding === 'LINEAR16' && channels > 1;
+
+      decoded = {
+        audioData: raw ? resample(buffer, sampleRate, channels) : buffer,
+        encoding: encoding,
+        sampleRate: raw ? module.exports.SAMPLE_RATE : sampleRate,
+        container: container
+      };
+      decoded.duration = rawDuration(decoded.audioData, decoded.encoding,
+                                     decoded.sampleRate);
+    }
+  } catch (err) {
+    return process.nextTick(function() {
+      callback(err);
+    });
+  }
+
+  if (decoded) {
+    return process.nextTick(function() {
+      callback(null, decoded);
+    });
+  }
+
+  // Everything else goes through ffmpeg, including FLAC we can't send as is
+  transcode(buffer, container, function(err, audioData) {
+    if (err) {
+      return callback(err);
+    }
+
+    callback(null, {
+      audioData: audioData,
+      encoding: 'LINEAR16',
+      sampleRate: module.exports.SAMPLE_RATE,
+      container: container,
+      duration: audioData.length / (module.exports.SAMPLE_RATE * 2)
+    });
+  });
+}
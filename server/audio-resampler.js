@@ -0,0 +1,162 @@
+/**
+ * Cloud Speech API streaming example for Node.js using gRPC.
+ *
+ * This file converts raw audio data into the format sent to the Cloud Speech
+ * API. It downmixes the audio to mono and resamples it to the output sample
+ * rate, keeping track of the audio between chunks so they join up.
+ */
+module.exports = AudioResampler;
+
+/**
+ * Audio resampler for 16 bit little-endian PCM audio.
+ *
+ * When downsampling, each output sample is the average of the input samples
+ * it covers, which filters out most of the frequencies that would otherwise
+ * alias. When upsampling, output samples are linearly interpolated.
+ *
+ * @constructor
+ * @param {!number} inputSampleRate Sample rate of the incoming audio.
+ * @param {!number} channels Number of interleaved channels of the incoming
+ * audio.
+ * @param {!number} outputSampleRate Sample rate to resample to.
+ */
+function AudioResampler(inputSampleRate, channels, outputSampleRate) {
+  'use strict';
+
+  if (!(this instanceof AudioResampler)) {
+    return new AudioResampler(inputSampleRate, channels, outputSampleRate);
+  }
+
+  if (!(inputSampleRate > 0) || !(outputSampleRate > 0)) {
+    throw new Error('Invalid sample rate: ' + inputSampleRate + ' to ' +
+                    outputSampleRate);
+  }
+  if (!(channels >= 1) || Math.floor(channels) !== channels) {
+    throw new Error('Invalid number of channels: ' + channels);
+  }
+
+  // How many input samples make up one output sample
+  var ratio = inputSampleRate / outputSampleRate;
+  var frameLength = channels * 2; // Bytes per sample across all channels
+
+  // Bytes of a frame which got split across chunks
+  var leftover = new Buffer(0);
+
+  // Downsampling state
+  var sum = 0;
+  var count = 0;
+  var inputPosition = 0; // Where we are in the current output sample's window
+
+  // Upsampling state
+  var previousSample = null;
+  var interpolatePosition = 0;
+
+  this.inputSampleRate = inputSampleRate;
+  this.channels = channels;
+  this.outputSampleRate = outputSampleRate;
+
+  /**
+   * Downmixes the complete frames of a buffer to mono.
+   *
+   * @param {!Buffer} buffer Interleaved 16 bit audio data.
+   * @return {!Array<number>} Mono samples.
+   */
+  function downmix(buffer) {
+    var frames = Math.floor(buffer.length / frameLength);
+    var samples = new Array(frames);
+
+    for (var f = 0; f < frames; f++) {
+      var total = 0;
+      for (var c = 0; c < channels; c++) {
+        total += buffer.readInt16LE(f * frameLength + c * 2);
+      }
+      samples[f] = total / channels;
+    }
+
+    return samples;
+  }
+
+  /**
+   * Downsamples mono samples, averaging each output sample's window.
+   *
+   * @param {!Array<number>} samples Mono input samples.
+   * @return {!Array<number>} Output samples.
+   */
+  function downsample(samples) {
+    var output = [];
+
+    for (var s = 0; s < samples.length; s++) {
+      sum += samples[s];
+      count++;
+      inputPosition++;
+
+      if (inputPosition >= ratio) {
+        output.push(sum / count);
+        sum = 0;
+        count = 0;
+        inputPosition -= ratio;
+      }
+    }
+
+    return output;
+  }
+
+  /**
+   * Upsamples mono samples by interpolating between them.
+   *
+   * @param {!Array<number>} samples Mono input samples.
+   * @return {!Array<number>} Output samples.
+   */
+  function upsample(samples) {
+    var output = [];
+
+    for (var s = 0; s < samples.length; s++) {
+      if (previousSample === null) {
+        previousSample = samples[s];
+      }
+
+      while (interpolatePosition < 1) {
+        output.push(previousSample +
+                    (samples[s] - previousSample) * interpolatePosition);
+        interpolatePosition += ratio;
+      }
+
+      interpolatePosition -= 1;
+      previousSample = samples[s];
+    }
+
+    return output;
+  }
+
+  /**
+   * Converts a chunk of audio data.
+   *
+   * @param {!Buffer} audioData Interleaved 16 bit little-endian audio data at
+   * the input sample rate.
+   * @return {!Buffer} Mono 16 bit little-endian audio data at the output
+   * sample rate.
+   */
+  this.process = function(audioData) {
+    var buffer = leftover.length ?
+        Buffer.concat([leftover, audioData]) : audioData;
+    var usableLength = buffer.length - buffer.length % frameLength;
+    leftover = buffer.slice(usableLength);
+
+    var samples = downmix(buffer.slice(0, usableLength));
+
+    if (ratio > 1) {
+      samples = downsample(samples);
+    } else if (ratio < 1) {
+      samples = upsample(samples);
+    } else if (channels === 1) {
+      return buffer.slice(0, usableLength);
+    }
+
+    var output = new Buffer(samples.length * 2);
+    for (var o = 0; o < samples.length; o++) {
+      var sample = Math.round(samples[o]);
+      output.writeInt16LE(Math.max(-32768, Math.min(32767, sample)), o * 2);
+    }
+    return output;
+  };
+}
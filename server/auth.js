@@ -0,0 +1,286 @@
+/**
+ * Cloud Speech API streaming example for Node.js using gRPC.
+ *
+ * This file authenticates clients, with either an API key or a token signed
+ * with a shared secret, and checks where their connections come from.
+ */
+var crypto = require('crypto');
+var fs = require('fs');
+var speechErrors = require('./speech-errors');
+
+module.exports = Auth;
+
+/**
+ * Client authentication.
+ *
+ * Authentication is turned off when there are no API keys and no token
+ * secret, so every client is let in as the same anonymous client.
+ *
+ * API keys are mapped to the client they belong to, which can have its own
+ * quotas, e.g. {"my-key": {"id": "reception", "quotas": {...}}}. Tokens are
+ * a URL-safe base64 JSON payload with the client's ID as "sub", an "exp"
+ * timestamp in seconds and optional "quotas", followed by a dot and the
+ * payload's HMAC-SHA256 signature in hex.
+ *
+ * @constructor
+ * @param {!Object} options The apiKeys, tokenSecret and allowedOrigins.
+ * allowedOrigins is a list of origins, or empty to allow any origin.
+ */
+function Auth(options) {
+  'use strict';
+
+  if (!(this instanceof Auth)) {
+    return new Auth(options);
+  }
+
+  var apiKeys = options.apiKeys || {};
+  var tokenSecret = options.tokenSecret || null;
+  var allowedOrigins = options.allowedOrigins || [];
+
+  this.enabled = Object.keys(apiKeys).length > 0 || !!tokenSecret;
+
+  /**
+   * Signs a token payload.
+   *
+   * @param {!string} payload The base64 payload.
+   * @return {string} The signature, in hex.
+   */
+  function sign(payload) {
+    return crypto.createHmac('sha256', tokenSecret).update(payload)
+        .digest('hex');
+  }
+
+  /**
+   * Compares two strings in constant time.
+   *
+   * @param {!string} a A string.
+   * @param {!string} b Another string.
+   * @return {boolean} Whether they're the same.
+   */
+  function safeEqual(a, b) {
+    if (a.length !== b.length) {
+      return false;
+    }
+
+    var difference = 0;
+    for (var i = 0; i < a.length; i++) {
+      difference |= a.charCodeAt(i) ^ b.charCodeAt(i);
+    }
+    return difference === 0;
+  }
+
+  /**
+   * Verifies a signed token.
+   *
+   * @param {!string} token The token.
+   * @return {?Object} The token's payload, or null if it's invalid or has
+   * expired.
+   */
+  this.verifyToken = function(token) {
+    if (!tokenSecret) {
+      return null;
+    }
+
+    var parts = String(token).split('.');
+    if (parts.length !== 2 || !safeEqual(sign(parts[0]), parts[1])) {
+      return null;
+    }
+
+    var payload;
+    try {
+      payload = JSON.parse(new Buffer(parts[0], 'base64').toString('utf8'));
+    } catch (e) {
+      return null;
+    }
+
+    if (!payload || !payload.sub ||
+        (payload.exp && payload.exp * 1000 < Date.now())) {
+      return null;
+    }
+    return payload;
+  };
+
+  /**
+   * Creates a signed token.
+   *
+   * @param {!Object} payload The token's payload, with the client's ID as
+   * "sub".
+   * @param {!number} ttlSeconds How long the token is valid for.
+   * @return {string} The token.
+   */
+  this.createToken = function(payload, ttlSeconds) {
+    if (!tokenSecret) {
+      throw new Error('Tokens need a token secret');
+    }
+
+    var claims = {};
+    Object.keys(payload).forEach(function(key) {
+      claims[key] = payload[key];
+    });
+    claims.exp = Math.floor(Date.now() / 1000) + ttlSeconds;
+
+    var encoded = new Buffer(JSON.stringify(claims)).toString('base64')
+        .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    return encoded + '.' + sign(encoded);
+  };
+
+  /**
+   * Authenticates a client from its API key or token.
+   *
+   * Caption viewer tokens, which have a "view" claim, only let viewers watch
+   * captions, so they aren't taken here.
+   *
+   * @param {?string} apiKey The client's API key.
+   * @param {?string} token The client's signed token.
+   * @return {?Object} The client, with its id and quotas, or null if it
+   * couldn't be authenticated.
+   */
+  this.authenticate = function(apiKey, token) {
+    if (!this.enabled) {
+      return {id: 'anonymous', quotas: {}};
+    }
+
+    if (apiKey && apiKeys.hasOwnProperty(apiKey)) {
+      return {
+        id: apiKeys[apiKey].id || 'key-' + crypto.createHash('sha256')
+            .update(apiKey).digest('hex').substring(0, 8),
+        quotas: apiKeys[apiKey].quotas || {}
+      };
+    }
+
+    var payload = token ? this.verifyToken(token) : null;
+    if (payload && !payload.view) {
+      return {
+        id: String(payload.sub),
+        quotas: payload.quotas || {},
+        claims: payload
+      };
+    }
+
+    return null;
+  };
+
+  /**
+   * Returns whether connections from an origin are allowed.
+   *
+   * @param {?string} origin The origin, e.g. https://example.com.
+   * @return {boolean} Whether it's allowed.
+   */
+  this.isOriginAllowed = function(origin) {
+    return !allowedOrigins.length || !origin ||
+           allowedOrigins.indexOf(origin) !== -1;
+  };
+
+  /**
+   * Creates the Socket.IO middleware, which authenticates each connection
+   * from the apiKey or token in its query string.
+   *
+   * The client is set as socket.speechClient. Rejected connections get an
+   * 'error' event with the error code and message.
+   *
+   * Connections with a caption viewer token are let in as a viewer of the
+   * room it's for, with the room as the client's "view" claim, whether or
+   * not authentication is on.
+   *
+   * @param {function(?string): ?string=} verifyViewerToken Verifies a viewer
+   * token, returning the ID of the room it's for, or null if it isn't one.
+   * @return {function(Object, function)} The middleware.
+   */
+  this.socketMiddleware = function(verifyViewerToken) {
+    var auth = this;
+
+    return function(socket, next) {
+      var handshake = socket.handshake;
+      var error;
+
+      if (!auth.isOriginAllowed(handshake.headers.origin)) {
+        error = new Error('Origin not allowed');
+        error.data = speechErrors.create('ORIGIN_NOT_ALLOWED');
+        return next(error);
+      }
+
+      var roomId = verifyViewerToken ?
+                   verifyViewerToken(handshake.query.token) : null;
+      var client = roomId ? {
+        id: 'viewer:' + roomId,
+        quotas: {},
+        claims: {view: roomId}
+      } : auth.authenticate(handshake.query.apiKey, handshake.query.token);
+      if (!client) {
+        error = new Error('Unauthorized');
+        error.data = speechErrors.create('UNAUTHORIZED');
+        return next(error);
+      }
+
+      socket.speechClient = client;
+      next();
+    };
+  };
+
+  /**
+   * Creates the Express middleware, which authenticates each request from
+   * its X-API-Key header or "Authorization: Bearer" token.
+   *
+   * The client is set as req.speechClient. Rejected requests get a 401 or
+   * 403 response with the error code and message.
+   *
+   * @return {function(Object, Object, function)} The middleware.
+   */
+  this.httpMiddleware = function() {
+    var auth = this;
+
+    return function(req, res, next) {
+      if (!auth.isOriginAllowed(req.headers.origin)) {
+        return res.status(403).send({
+          error: speechErrors.create('ORIGIN_NOT_ALLOWED')
+        });
+      }
+
+      var authorization = req.headers.authorization || '';
+      var bearer = /^Bearer (.+)$/.exec(authorization);
+
+      var client = auth.authenticate(req.headers['x-api-key'],
+                                     bearer ? bearer[1] : null);
+      if (!client) {
+        return res.status(401).send({
+          error: speechErrors.create('UNAUTHORIZED')
+        });
+      }
+
+      req.speechClient = client;
+      next();
+    };
+  };
+}
+
+/**
+ * Loads the API keys.
+ *
+ * @param {?string} keysFile Path to a JSON file mapping API keys to their
+ * client, if there is one.
+ * @param {?Array<string>} keysList API keys without their own quotas.
+ * @return {!Object<Object>} The API keys.
+ * @throws {Error} If the file can't be read, or doesn't map each key to an
+ * object.
+ */
+Auth.loadApiKeys = function(keysFile, keysList) {
+  var apiKeys = keysFile ? JSON.parse(fs.readFileSync(keysFile, 'utf8')) : {};
+
+  if (!apiKeys || typeof apiKeys !== 'object' || Array.isArray(apiKeys)) {
+    throw new Error('API keys must be an object mapping keys to clients');
+  }
+  Object.keys(apiKeys).forEach(function(key) {
+    var client = apiKeys[key];
+    if (!client || typeof client !== 'object' || Array.isArray(client)) {
+      throw new Error('API key ' + key + ' must map to an object');
+    }
+  });
+
+  (keysList || []).forEach(function(key) {
+    if (key && !Object.prototype.hasOwnProperty.call(apiKeys, key)) {
+      apiKeys[key] = {};
+    }
+  });
+
+  return apiKeys;
+};
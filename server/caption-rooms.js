@@ -0,0 +1,209 @@
+/**
+ * Cloud Speech API streaming example for Node.js using gRPC.
+ *
+ * This file broadcasts the captions of a speaker's recording to viewers,
+ * e.g. a projector display or a remote attendee page. Each room has a
+ * view-only token which lets viewers watch it, and nothing else.
+ */
+var crypto = require('crypto');
+var Auth = require('./auth');
+var speechErrors = require('./speech-errors');
+
+module.exports = CaptionRooms;
+
+/**
+ * Caption broadcast rooms.
+ *
+ * A speaker opens a room and publishes a stream into it. Everyone watching
+ * the room gets the stream's results as 'captions' messages, and viewers
+ * who join late get the most recent final results first. Rooms which aren't
+ * being published to are closed after the expiry time.
+ *
+ * @constructor
+ * @param {!Object} io The Socket.IO server.
+ * @param {!Object} options The tokenSecret to sign viewer tokens with (a
+ * random one is used if there isn't one), tokenSeconds (how long viewer
+ * tokens last), historySize (how many final results late joiners get) and
+ * expiryMinutes.
+ */
+function CaptionRooms(io, options) {
+  'use strict';
+
+  if (!(this instanceof CaptionRooms)) {
+    return new CaptionRooms(io, options);
+  }
+
+  // The socket auth lets in viewers whose token verifyViewerToken accepts,
+  // so viewer tokens work whichever way clients authenticate
+  var signer = new Auth({
+    tokenSecret: options.tokenSecret || crypto.randomBytes(32).toString('hex')
+  });
+  var rooms = Object.create(null);
+
+  /**
+   * Returns the Socket.IO room of a caption room.
+   *
+   * @param {!string} roomId The caption room's ID.
+   * @return {string} The Socket.IO room.
+   */
+  function getSocketRoom(roomId) {
+    return 'captions:' + roomId;
+  }
+
+  /**
+   * Lets a room's viewers know whether it's live.
+   *
+   * @param {!string} roomId The room's ID.
+   */
+  function sendStatus(roomId) {
+    io.to(getSocketRoom(roomId)).emit('captionStatus', {
+      room: roomId,
+      live: rooms[roomId].live
+    });
+  }
+
+  /**
+   * Closes a room once it's been left unpublished for the expiry time.
+   *
+   * @param {!string} roomId The room's ID.
+   */
+  function startExpiry(roomId) {
+    clearTimeout(rooms[roomId].expiryTimer);
+    rooms[roomId].expiryTimer = setTimeout(function() {
+      delete rooms[roomId];
+    }, options.expiryMinutes * 60 * 1000);
+    rooms[roomId].expiryTimer.unref();
+  }
+
+  /**
+   * Verifies a viewer token.
+   *
+   * @param {?string} token The token.
+   * @return {?string} The ID of the room it's for, or null if it's invalid
+   * or the room has closed.
+   */
+  this.verifyViewerToken = function(token) {
+    var payload = token ? signer.verifyToken(token) : null;
+    if (!payload || typeof payload.view !== 'string' || !rooms[payload.view]) {
+      return null;
+    }
+    return payload.view;
+  };
+
+  /**
+   * Opens a room, or reopens one of the owner's rooms, e.g. to carry on
+   * publishing into it after recording again.
+   *
+   * @param {!string} ownerId ID of the client opening it.
+   * @param {?string} roomId ID of the room to reopen, if there is one.
+   * @return {?Object} The room's ID as room, and a viewer token, or null if
+   * the room belongs to someone else or has closed.
+   */
+  this.open = function(ownerId, roomId) {
+    if (roomId) {
+      if (!rooms[roomId] || rooms[roomId].ownerId !== ownerId) {
+        return null;
+      }
+    } else {
+      roomId = crypto.randomBytes(8).toString('hex');
+      rooms[roomId] = {
+        ownerId: ownerId,
+        live: false,
+        history: [],
+        expiryTimer: null
+      };
+    }
+
+    if (!rooms[roomId].live) {
+      startExpiry(roomId);
+    }
+
+    return {
+      room: roomId,
+      token: signer.createToken({
+        sub: 'viewer:' + roomId,
+        view: roomId
+      }, options.tokenSeconds)
+    };
+  };
+
+  /**
+   * Sends results to a room's viewers.
+   *
+   * @param {!string} roomId The room's ID.
+   * @param {!Object} message The recordingData message with the results.
+   */
+  this.broadcast = function(roomId, message) {
+    var room = rooms[roomId];
+    if (!room) {
+      return;
+    }
+
+    if (!room.live) {
+      room.live = true;
+      clearTimeout(room.expiryTimer);
+      sendStatus(roomId);
+    }
+
+    var captions = {
+      room: roomId,
+      data: message.data,
+      offset: message.offset
+    };
+
+    // Keep the final results for viewers who join late
+    if (message.data.some(function(result) {
+      return result.isFinal;
+    })) {
+      room.history.push(captions);
+      if (room.history.length > options.historySize) {
+        room.history.shift();
+      }
+    }
+
+    io.to(getSocketRoom(roomId)).emit('captions', captions);
+  };
+
+  /**
+   * Marks a room as no longer live, e.g. when the recording stops.
+   *
+   * @param {!string} roomId The room's ID.
+   */
+  this.end = function(roomId) {
+    if (rooms[roomId] && rooms[roomId].live) {
+      rooms[roomId].live = false;
+      sendStatus(roomId);
+      startExpiry(roomId);
+    }
+  };
+
+  /**
+   * Lets a socket watch rooms, by sending 'watch' with a viewer token.
+   *
+   * @param {!Object} socket The Socket.IO socket.
+   */
+  this.addViewer = function(socket) {
+    var captionRooms = this;
+
+    socket.on('watch', function(parameters) {
+      var token = parameters && parameters.token;
+      var roomId = captionRooms.verifyViewerToken(token);
+      if (!roomId) {
+        return socket.emit('captionError', {
+          error: speechErrors.create('UNAUTHORIZED',
+                                     'Invalid viewer token, or the room ' +
+                                     'has closed')
+        });
+      }
+
+      socket.join(getSocketRoom(roomId));
+
+      // Catch them up
+      socket.emit('captionHistory', {
+        room: roomId,
+        live: rooms[roomId].live,
+        history: rooms[roomId].history
+      });
+    });
+  };
+}
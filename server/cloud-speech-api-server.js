@@ -1,91 +1,243 @@
 /**
  * Cloud Speech API streaming example for Node.js using gRPC.
  *
- * This file takes care of the Cloud Speech API service. It creates the
- * service, handles the audio data processing, and responds back to the
- * client/Node.js server as required.
+ * This file takes care of the Cloud Speech API service. It handles the
+ * recognition options, passes the audio data through to a recognition
+ * provider, and responds back to the client/Node.js server as required.
  */
+var AudioResampler = require('./audio-resampler');
+var PostProcessor = require('./post-processor');
+var Redactor = require('./redactor');
+var metrics = require('./metrics');
+var recognitionOptions = require('./recognition-options');
+var speechErrors = require('./speech-errors');
+
 module.exports = CloudSpeechApi;
 
+// Metrics for every recognition, across all clients
+var activeStreams = metrics.gauge('speech_active_streams',
+    'Recognition streams currently open');
+var audioBytes = metrics.counter('speech_audio_bytes_total',
+    'Bytes of audio streamed to the recognition provider');
+var audioSecondsStreamed = metrics.counter('speech_audio_seconds_total',
+    'Seconds of audio streamed to the recognition provider');
+var firstResultTime = metrics.histogram(
+    'speech_time_to_first_result_seconds',
+    'Time from the first audio of a stream to its first result');
+var finalResultLatency = metrics.histogram(
+    'speech_final_result_latency_seconds',
+    'Time from the first interim result of an utterance to its final result');
+var errors = metrics.counter('speech_errors_total',
+    'Recognition errors, by gRPC status code');
+
+/**
+ * Counts an error from a provider.
+ *
+ * @param {*} error The error, which has a numeric code if it came from gRPC.
+ */
+function countError(error) {
+  errors.inc(1, {code: speechErrors.getStatusName(error)});
+}
+
+/**
+ * Sample rate streaming audio is resampled to before it's sent to the API.
+ *
+ * @const {number}
+ */
+CloudSpeechApi.SAMPLE_RATE = 16000;
+
+/**
+ * Language recognised when none is given, which configure can change.
+ *
+ * @type {string}
+ */
+CloudSpeechApi.LANGUAGE_CODE = 'en-US';
+
+/**
+ * Available recognition providers, mapped to the module implementing them.
+ *
+ * Every provider implements startRecording, recognise, stopRecording,
+ * recogniseFile and checkCredentials, with the same callback responses as
+ * CloudSpeechApi. Providers retry retryable errors themselves, and only
+ * pass back the ones they've given up on, as they got them, e.g. gRPC
+ * errors, which are turned into speechErrors here.
+ *
+ * Every provider returns results in the same shape: the result's
+ * alternatives, best first, whether it's final and its stability. Each
+ * alternative has its transcript, its confidence and its words, each with
+ * the word, its start and end in seconds from the start of the recording,
+ * or of the audio for files, and its confidence. Confidences are null when
+ * they aren't known.
+ *
+ * @const {!Object<string>}
+ */
+CloudSpeechApi.PROVIDERS = {
+  'google': './providers/google-speech-provider',
+  'mock': './providers/mock-speech-provider'
+};
+
+/**
+ * Default streaming request, which every session gets a copy of.
+ *
+ * @const {!Object}
+ */
+var STREAMING_DEFAULTS = {
+  config: {
+    encoding: 'LINEAR16',
+    sampleRate: CloudSpeechApi.SAMPLE_RATE,
+    languageCode: CloudSpeechApi.LANGUAGE_CODE,
+    profanityFilter: true,
+    maxAlternatives: 1,
+    enableWordTimeOffsets: true,
+    speechContext: null
+  },
+  interimResults: true,
+  singleUtterance: false
+};
+
+/**
+ * Default file request, which every file gets a copy of.
+ *
+ * @const {!Object}
+ */
+var FILE_DEFAULTS = {
+  encoding: 'LINEAR16',
+  sampleRate: 16000,
+  languageCode: CloudSpeechApi.LANGUAGE_CODE,
+  profanityFilter: false,
+  maxAlternatives: 1,
+  enableWordTimeOffsets: true
+};
+
+// Provider used when none is given, and the options every provider is
+// created with
+var defaultProviderName = 'google';
+var providerOptions = {};
+
+/**
+ * Sets the recognition defaults from the server's configuration. Sessions
+ * started afterwards get them, unless they set their own.
+ *
+ * @param {!Object} recognition The recognition settings of the config: the
+ * provider, the API endpoint, languageCode, profanityFilter for streams,
+ * fileProfanityFilter for files, maxAlternatives, and the provider's
+ * stream rotation and retry settings.
+ * @throws {Error} If the provider doesn't exist.
+ */
+CloudSpeechApi.configure = function(recognition) {
+  if (!CloudSpeechApi.PROVIDERS.hasOwnProperty(recognition.provider)) {
+    throw new Error('Unknown speech provider: ' + recognition.provider);
+  }
+  defaultProviderName = recognition.provider;
+  providerOptions = {
+    endpoint: recognition.endpoint,
+    streamRotateSeconds: recognition.streamRotateSeconds,
+    streamOverlapSeconds: recognition.streamOverlapSeconds,
+    maxRetries: recognition.maxRetries,
+    retryDelaySeconds: recognition.retryDelaySeconds
+  };
+
+  CloudSpeechApi.LANGUAGE_CODE = recognition.languageCode;
+  STREAMING_DEFAULTS.config.languageCode = recognition.languageCode;
+  STREAMING_DEFAULTS.config.profanityFilter = recognition.profanityFilter;
+  STREAMING_DEFAULTS.config.maxAlternatives = recognition.maxAlternatives;
+  FILE_DEFAULTS.languageCode = recognition.languageCode;
+  FILE_DEFAULTS.profanityFilter = recognition.fileProfanityFilter;
+  FILE_DEFAULTS.maxAlternatives = recognition.maxAlternatives;
+};
+
+/**
+ * Returns a copy of a request's defaults with the options which are part of
+ * the request set, going into objects, e.g. config, a field at a time.
+ *
+ * @param {!Object} defaults The defaults, which aren't changed.
+ * @param {!Object} options Checked options.
+ * @return {!Object} The request.
+ */
+function createRequest(defaults, options) {
+  var request = {};
+
+  Object.keys(defaults).forEach(function(key) {
+    var value = options.hasOwnProperty(key) ? options[key] : defaults[key];
+    if (defaults[key] && typeof defaults[key] === 'object') {
+      value = createRequest(defaults[key], value || {});
+    }
+    request[key] = value;
+  });
+
+  return request;
+}
+
 /**
  * Cloud Speech API streaming module.
  *
  * @constructor
+ * @param {?string} providerName Name of the recognition provider to use.
+ * Defaults to the configured provider, or 'google'.
  */
-function CloudSpeechApi() {
+function CloudSpeechApi(providerName) {
   'use strict';
 
   if (!(this instanceof CloudSpeechApi)) {
-    return new CloudSpeechApi();
+    return new CloudSpeechApi(providerName);
   }
 
-  // Imports
-  var googleAuth = require('google-auto-auth');
-  var googleProtoFiles = require('google-proto-files');
-  var grpc = require('grpc');
-  var path = require('path');
-
-  // Load the speech protos
-  var PROTO_ROOT_DIR = googleProtoFiles('..');
-  var protoDescriptor = grpc.load({
-    root: PROTO_ROOT_DIR,
-    file: path.relative(PROTO_ROOT_DIR, googleProtoFiles.speech.v1beta1)
-  }, 'proto', {
-    binaryAsBase64: true,
-    convertFieldsToCamelCase: true
-  });
-  var speechProto = protoDescriptor.google.cloud.speech.v1beta1;
-
-  // Client-specific
-  var speechClient = null;
-  var initialRequest = true; // Do we need to send the initial request?
-  var streamingOptions = {
-    config: {
-      encoding: 'LINEAR16',
-      sampleRate: 41000,
-      languageCode: 'en-US',
-      profanityFilter: true,
-      speechContext: null
-    },
-    interimResults: true,
-    singleUtterance: false
-  };
-  var nonStreamingOptions = {
-    encoding: 'LINEAR16',
-    sampleRate: 16000,
-    languageCode: 'en-US',
-    continuous: false,
-    // speechContext: null, // Missing from proto (bug?)
-    enableEndpointerEvents: false // Default is false anyway
-  };
+  // Pick the recognition provider
+  providerName = providerName || defaultProviderName;
+  if (!CloudSpeechApi.PROVIDERS.hasOwnProperty(providerName)) {
+    throw new Error('Unknown speech provider: ' + providerName);
+  }
+  var provider = require(CloudSpeechApi.PROVIDERS[providerName])(
+      providerOptions);
+  var resampler = null;
+  var postProcessor = null;
+  var redactor = null;
+  var audioSeconds = 0; // Audio sent since recording started
+  var resultsOffset = 0; // Offset of the last results
+
+  // For metrics
+  var streamActive = false;
+  var firstAudioTime = null; // When the first audio was sent
+  var gotFirstResult = false;
+  var utteranceStartTime = null; // When the current utterance's first
+                                 // result came in
 
   /**
-   * Creates the Cloud Speech API service.
+   * Sets whether the stream counts as open in the metrics.
    *
-   * @param {!function} callback Callback function when it's done.
+   * @param {!boolean} active Whether it's open.
    */
-  function getSpeechService(callback) {
-    // Create the auth client
-    var googleAuthClient = googleAuth({
-      scopes: ['https://www.googleapis.com/auth/cloud-platform']
-    });
+  function setStreamActive(active) {
+    if (active !== streamActive) {
+      streamActive = active;
+      activeStreams.inc(active ? 1 : -1);
+    }
+  }
 
-    googleAuthClient.getAuthClient(function(err, authClient) {
-      // Did we have an error? Report back
-      if (err) {
-        return callback(err);
-      }
+  /**
+   * Observes the latency metrics for results from the provider.
+   *
+   * @param {!Array<Object>} results The results.
+   */
+  function observeResults(results) {
+    var now = Date.now();
 
-      // Create the credentials
-      var credentials = grpc.credentials.combineChannelCredentials(
-        grpc.credentials.createSsl(),
-        grpc.credentials.createFromGoogleCredential(authClient)
-      );
+    if (!gotFirstResult && firstAudioTime !== null) {
+      gotFirstResult = true;
+      firstResultTime.observe((now - firstAudioTime) / 1000);
+    }
+
+    if (utteranceStartTime === null) {
+      utteranceStartTime = now;
+    }
 
-      // Create the stubby
-      return callback(new speechProto.Speech('speech.googleapis.com',
-                                             credentials));
+    var isFinal = results.some(function(result) {
+      return result.isFinal;
     });
+    if (isFinal) {
+      finalResultLatency.observe((now - utteranceStartTime) / 1000);
+      utteranceStartTime = null;
+    }
   }
 
   /**
@@ -94,52 +246,46 @@ function CloudSpeechApi() {
    * Technically this isn't the streaming version of the API, but including
    * support for it for completeness.
    *
+   * The parameters are checked by recognitionOptions, and invalid ones fail
+   * with an INVALID_REQUEST error which has the details of each field.
+   * Errors from the provider are passed back as speechErrors, with the
+   * provider's status.
+   *
    * @param {!string} audioData Base64 encoding string of audio data to be
    * processed.
    * @param {?Object<string>} parameters Optional parameters to send through.
-   * @param {function} callback Callback function when there's a response.
+   * @param {function} callback Callback function when there's a response,
+   * along with the duration of the audio in seconds if it's known.
    */
   this.recogniseFile = function(audioData, parameters, callback) {
-    var initialRequest = nonStreamingOptions;
-
-    // Do we have any custom parameters? If so, set them
-    if (parameters) {
-      var requestKeys = Object.keys(initialRequest);
-      for (var p = 0; p < requestKeys.length; p++) {
-        if (parameters.hasOwnProperty(requestKeys[p])) {
-          initialRequest[requestKeys[p]] = parameters[requestKeys[p]];
-        }
-      }
+    var validated = recognitionOptions.validateFile(parameters);
+    if (validated.error) {
+      return process.nextTick(function() {
+        callback({
+          success: false,
+          data: [],
+          error: validated.error
+        });
+      });
     }
 
-    // Build the request
-    var request = {
-      initialRequest: new speechProto.InitialRecognizeRequest(initialRequest),
-      audioRequest: new speechProto.AudioRequest({
-        content: audioData
-      })
-    };
-
-    // Create a speech service
-    getSpeechService(function(speechService) {
-      // Send the request
-      speechService.nonStreamingRecognize(request, function(error, response) {
-
-        // If there's an error, return it
-        if (error) {
-          callback({
-            success: false,
-            error: error
-          });
-        } else {
-          // Else return the data
-          callback({
-            success: true,
-            data: response.responses[0].results,
-            error: error
-          });
-        }
-      });
+    var initialRequest = createRequest(FILE_DEFAULTS, validated.options);
+
+    // Raw audio length is known, so work out how long it is
+    var duration = null;
+    if (initialRequest.encoding === 'LINEAR16') {
+      duration = Math.floor(audioData.length * 3 / 4) /
+                 (initialRequest.sampleRate * 2);
+    }
+
+    provider.recogniseFile(audioData, initialRequest, function(response) {
+      if (!response.success) {
+        countError(response.error);
+        response.error = speechErrors.fromProvider(response.error);
+      }
+
+      response.duration = duration;
+      callback(response);
     });
   };
 
@@ -149,108 +295,145 @@ function CloudSpeechApi() {
    * This creates the speech service, and then returns its status when
    * finished.
    *
+   * The incoming audio can be at any sample rate and number of channels, set
+   * with options.input, and is converted to 16 kHz mono LINEAR16. For older
+   * clients, the sample rate falls back to options.config.sampleRate.
+   *
+   * Results are run through the post-processing transformers in
+   * options.postProcessing, if there are any, and then have personal
+   * information redacted as options.redaction says, before they're passed
+   * on. Digits the redactor held back from the last final result are passed
+   * on as a final result of their own when recording stops.
+   *
+   * The options are checked by recognitionOptions, and invalid ones are
+   * called back as an error with the details of each field. Every session
+   * starts from a fresh copy of the defaults. Errors from the provider are
+   * called back as speechErrors, with the provider's status.
+   *
    * @param {?Object<string>} options Streaming options, e.g. sample rate.
    * @param {!function} callback Function to call when ready to accept
    * streaming audio data.
    */
   this.startRecording = function(options, callback) {
-    getSpeechService(function(speechService) {
-      // Set custom parameters if there are any
-      if (options) {
-        var optionsKeys = Object.keys(options);
-        for (var i = 0; i < optionsKeys.length; i++) {
-          if (streamingOptions.hasOwnProperty(optionsKeys[i])) {
-            if (typeof options[optionsKeys[i]] === 'object') {
-              var innerOptionsKeys = Object.keys(options[optionsKeys[i]]);
-              var innerOptions = options[optionsKeys[i]];
-              for (var oi = 0; oi < innerOptionsKeys.length; oi++) {
-                if (streamingOptions[optionsKeys[i]].hasOwnProperty(innerOptionsKeys[oi])) {
-                  streamingOptions[optionsKeys[i]][innerOptionsKeys[oi]] = innerOptions[innerOptionsKeys[oi]];
-                }
-              }
-            } else {
-              if (streamingOptions.hasOwnProperty(optionsKeys[i])) {
-                streamingOptions[optionsKeys[i]] = options[optionsKeys[i]];
-              }  
-            }
-          }
-        }
-      }
+    var validated = recognitionOptions.validateStreaming(options);
+    if (validated.error) {
+      resampler = null;
+      return callback({
+        type: 'error',
+        recording: false,
+        error: validated.error
+      });
+    }
+    options = validated.options;
 
-      // Start the speech service
-      speechClient = speechService.streamingRecognize();
+    var input = options.input || {};
+    var inputSampleRate = input.sampleRate ||
+        (options.config && options.config.sampleRate) ||
+        CloudSpeechApi.SAMPLE_RATE;
 
-      // Reset, so we send the initial request
-      initialRequest = true;
+    resampler = new AudioResampler(inputSampleRate, input.channels || 1,
+                                   CloudSpeechApi.SAMPLE_RATE);
+    postProcessor = new PostProcessor(options.postProcessing);
+    redactor = new Redactor(options.redaction);
 
-      // If we get any errors
-      speechClient.on('error', function(error) {
-        callback({
-          type: 'error',
-          recording: false,
-          error: error
-        });
-      });
+    var streamingOptions = createRequest(STREAMING_DEFAULTS, options);
+
+    audioSeconds = 0;
+    resultsOffset = 0;
+    firstAudioTime = null;
+    gotFirstResult = false;
+    utteranceStartTime = null;
+
+    // The API always gets the resampled audio
+    streamingOptions.config.encoding = 'LINEAR16';
+    streamingOptions.config.sampleRate = CloudSpeechApi.SAMPLE_RATE;
+
+    provider.startRecording(streamingOptions, function(status) {
+      // Let the client know what the audio is being recognised at
+      if (status.type === 'status') {
+        status.sampleRate = CloudSpeechApi.SAMPLE_RATE;
+      }
 
-      // When we get a result
-      speechClient.on('data', function(response) {
-        if (response.error) {
+      // No more results are coming, so pass on any digits held back
+      if (status.type !== 'data' && !status.recording) {
+        var held = redactor.flush();
+        if (held.length) {
           callback({
-            type: 'error',
-            recording: false,
-            error: response.error
+            type: 'data',
+            data: held,
+            offset: resultsOffset,
+            recording: true,
+            error: null
           });
-        } else {
-          if (response.results && response.results.length) {
-            callback({
-              type: 'data',
-              data: response.results,
-              recording: true,
-              error: response.error
-            });
-          }
         }
-      });
+      }
 
-      // When we're done streaming
-      speechClient.on('end', function() {
-        callback({
-          type: 'status',
-          recording: false,
-          error: null
-        });
-      });
+      if (status.type === 'data') {
+        observeResults(status.data);
+        status.data = redactor.process(postProcessor.process(status.data));
+        resultsOffset = status.offset;
+      } else if (status.type === 'error') {
+        countError(status.error);
+        status.error = speechErrors.fromProvider(status.error);
+      }
+      setStreamActive(status.recording);
 
-      // We're all set, trigger the callback
-      callback({
-        type: 'status',
-        recording: true,
-        error: null
-      });
+      callback(status);
     });
   };
 
   /**
    * Recognises streaming audio data.
    *
-   * Passes the audio data through to the Cloud Speech API, with an initial
-   * request to set the right metadata (sample rate, etc).
-   *
-   * @param {!ArrayBuffer} audioData Arraybuffer of raw audio data.
+   * @param {!Buffer|!ArrayBuffer} audioData Raw 16 bit audio data, in the
+   * input format given when recording started. Anything else is dropped.
+   * @return {?Buffer} The audio data sent to the API, after it's been
+   * resampled, or null if it wasn't sent.
    */
   this.recognise = function(audioData) {
-    // If this is the first request to the API, send the metadata
-    if (initialRequest) {
-      speechClient.write({
-        streamingConfig: streamingOptions
-      });
+    if (!resampler) {
+      return null;
+    }
 
-      initialRequest = false;
+    // Clients can send anything, and a number would be taken as a length
+    if (audioData instanceof ArrayBuffer) {
+      audioData = new Buffer(new Uint8Array(audioData));
+    } else if (!Buffer.isBuffer(audioData)) {
+      return null;
     }
 
-    speechClient.write({
-      audioContent: audioData
-    });
+    audioData = resampler.process(audioData);
+    var seconds = audioData.length / (CloudSpeechApi.SAMPLE_RATE * 2);
+    audioSeconds += seconds;
+
+    if (firstAudioTime === null && audioData.length) {
+      firstAudioTime = Date.now();
+    }
+    audioBytes.inc(audioData.length);
+    audioSecondsStreamed.inc(seconds);
+
+    provider.recognise(audioData);
+
+    return audioData;
+  };
+
+  /**
+   * Returns how much audio has been recognised since recording started.
+   *
+   * @return {number} Time in seconds.
+   */
+  this.getAudioTime = function() {
+    return audioSeconds;
+  };
+
+  /**
+   * Returns how much personal information has been redacted from the final
+   * results since recording started.
+   *
+   * @return {!Object<number>} Counts of the entities redacted, by entity.
+   */
+  this.getRedactions = function() {
+    return redactor ? redactor.getCounts() : {};
   };
 
   /**
@@ -259,12 +442,18 @@ function CloudSpeechApi() {
    * This also closes the speech service if it's currently open.
    */
   this.stopRecording = function() {
-    // Stop the speech client if it's open
-    if (speechClient) {
-      speechClient.end();
-    }
+    resampler = null;
+    setStreamActive(false);
+    provider.stopRecording();
+  };
 
-    // Reset the speech client
-    speechClient = null;
+  /**
+   * Checks the provider can get the credentials it needs, e.g. for a
+   * readiness check.
+   *
+   * @param {!function(?Error)} callback Called with an error if it can't.
+   */
+  this.checkCredentials = function(callback) {
+    provider.checkCredentials(callback);
   };
 }
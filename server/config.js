@@ -0,0 +1,370 @@
+/**
+ * Cloud Speech API streaming example for Node.js using gRPC.
+ *
+ * This file loads the server's configuration: its port, TLS certificate,
+ * allowed origins, API keys, recognition defaults, limits, storage, webhooks
+ * and caption rooms. Settings come from an optional JSON config file, named
+ * by CONFIG_FILE, and then from environment variables, which win, and are
+ * checked when the server starts, so a typo stops it rather than being
+ * ignored.
+ */
+'use strict';
+
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var Auth = require('./auth');
+var Webhooks = require('./webhooks');
+var recognitionOptions = require('./recognition-options');
+
+/**
+ * Schema of the configuration, as taken by recognitionOptions.validate,
+ * with the environment variable each setting can be set with as env.
+ *
+ * @const {!Object}
+ */
+var SCHEMA = {
+  type: 'object',
+  fields: {
+    port: {type: 'integer', min: 1, max: 65535, env: 'PORT'},
+    // URL clients connect to, if it isn't the one they got the client
+    // config from, e.g. behind a proxy
+    publicUrl: {type: 'string', pattern: /^https?:\/\/[^\/]+$/,
+                env: 'PUBLIC_URL'},
+    tls: {
+      type: 'object',
+      fields: {
+        certFile: {type: 'string', env: 'TLS_CERT_FILE'},
+        keyFile: {type: 'string', env: 'TLS_KEY_FILE'},
+        caFile: {type: 'string', env: 'TLS_CA_FILE'}
+      }
+    },
+    allowedOrigins: {type: 'array', items: {type: 'string'},
+                     env: 'ALLOWED_ORIGINS'},
+    auth: {
+      type: 'object',
+      fields: {
+        // JSON file mapping API keys to their client and its quotas
+        apiKeysFile: {type: 'string', env: 'API_KEYS_FILE'},
+        apiKeys: {type: 'array', items: {type: 'string'}, env: 'API_KEYS'},
+        tokenSecret: {type: 'string', env: 'AUTH_TOKEN_SECRET'}
+      }
+    },
+    recognition: {
+      type: 'object',
+      fields: {
+        provider: {type: 'string', values: ['google', 'mock'],
+                   env: 'SPEECH_PROVIDER'},
+        endpoint: {type: 'string', env: 'SPEECH_API_ENDPOINT'},
+        languageCode: {type: 'string',
+                       pattern: recognitionOptions.LANGUAGE_CODE_PATTERN,
+                       env: 'SPEECH_LANGUAGE_CODE'},
+        profanityFilter: {type: 'boolean', env: 'SPEECH_PROFANITY_FILTER'},
+        fileProfanityFilter: {type: 'boolean',
+                              env: 'SPEECH_FILE_PROFANITY_FILTER'},
+        maxAlternatives: {type: 'integer', min: 1,
+                          max: recognitionOptions.MAX_ALTERNATIVES,
+                          env: 'SPEECH_MAX_ALTERNATIVES'},
+        // The API closes streams after about a minute
+        streamRotateSeconds: {type: 'number', min: 1, max: 55,
+                              env: 'SPEECH_STREAM_ROTATE_SECONDS'},
+        streamOverlapSeconds: {type: 'number', min: 0,
+                               env: 'SPEECH_STREAM_OVERLAP_SECONDS'},
+        maxRetries: {type: 'integer', min: 0, env: 'SPEECH_MAX_RETRIES'},
+        retryDelaySeconds: {type: 'number', min: 0.01,
+                            env: 'SPEECH_RETRY_DELAY_SECONDS'}
+      }
+    },
+    limits: {
+      type: 'object',
+      fields: {
+        maxStreamsPerSocket: {type: 'integer', min: 1,
+                              env: 'MAX_STREAMS_PER_SOCKET'},
+        resumeGraceSeconds: {type: 'number', min: 0,
+                             env: 'RESUME_GRACE_SECONDS'},
+        maxUploadSize: {type: 'integer', min: 1, env: 'MAX_UPLOAD_SIZE'},
+        maxRecognizeFileSize: {type: 'integer', min: 1,
+                               env: 'MAX_RECOGNIZE_FILE_SIZE'},
+        jobConcurrency: {type: 'integer', min: 1, env: 'JOB_CONCURRENCY'},
+        jobQueueLimit: {type: 'integer', min: 0, env: 'JOB_QUEUE_LIMIT'},
+        jobRetentionMinutes: {type: 'number', min: 0,
+                              env: 'JOB_RETENTION_MINUTES'},
+        concurrentStreams: {type: 'integer', min: 0,
+                            env: 'QUOTA_CONCURRENT_STREAMS'},
+        audioSecondsPerDay: {type: 'number', min: 0,
+                             env: 'QUOTA_AUDIO_SECONDS_PER_DAY'},
+        fileRecognitionsPerMinute: {type: 'integer', min: 0,
+            env: 'QUOTA_FILE_RECOGNITIONS_PER_MINUTE'}
+      }
+    },
+    storage: {
+      type: 'object',
+      fields: {
+        transcriptsDir: {type: 'string', env: 'TRANSCRIPTS_DIR'},
+        audioArchiveDir: {type: 'string', env: 'AUDIO_ARCHIVE_DIR'},
+        // 0 keeps archived audio forever
+        audioRetentionDays: {type: 'number', min: 0,
+                             env: 'AUDIO_RETENTION_DAYS'},
+        uploadDir: {type: 'string', env: 'UPLOAD_DIR'}
+      }
+    },
+    webhooks: {
+      type: 'object',
+      fields: {
+        // JSON file with a list of subscriptions, each with their own
+        // events and secret
+        file: {type: 'string', env: 'WEBHOOKS_FILE'},
+        urls: {type: 'array', items: {type: 'string'}, env: 'WEBHOOK_URLS'},
+        secret: {type: 'string', env: 'WEBHOOK_SECRET'},
+        maxAttempts: {type: 'integer', min: 1, env: 'WEBHOOK_MAX_ATTEMPTS'},
+        retryDelaySeconds: {type: 'number', min: 0.01,
+                            env: 'WEBHOOK_RETRY_DELAY_SECONDS'},
+        deadLetterFile: {type: 'string', env: 'WEBHOOK_DEAD_LETTER_FILE'}
+      }
+    },
+    captions: {
+      type: 'object',
+      fields: {
+        tokenHours: {type: 'number', min: 0.01, env: 'CAPTION_TOKEN_HOURS'},
+        historySize: {type: 'integer', min: 0, env: 'CAPTION_HISTORY_SIZE'},
+        roomExpiryMinutes: {type: 'number', min: 0,
+                            env: 'CAPTION_ROOM_EXPIRY_MINUTES'}
+      }
+    }
+  }
+};
+
+/**
+ * Configuration used for anything which isn't set.
+ *
+ * @const {!Object}
+ */
+var DEFAULTS = {
+  port: 8080,
+  publicUrl: null,
+  tls: {
+    certFile: null,
+    keyFile: null,
+    caFile: null
+  },
+  allowedOrigins: [],
+  auth: {
+    apiKeysFile: null,
+    apiKeys: [],
+    tokenSecret: null,
+    // Loaded from apiKeysFile and apiKeys
+    clients: {}
+  },
+  recognition: {
+    provider: 'google',
+    endpoint: 'speech.googleapis.com',
+    languageCode: 'en-US',
+    profanityFilter: true,
+    fileProfanityFilter: false,
+    maxAlternatives: 1,
+    streamRotateSeconds: 50,
+    streamOverlapSeconds: 2,
+    maxRetries: 5,
+    retryDelaySeconds: 0.5
+  },
+  limits: {
+    maxStreamsPerSocket: 4,
+    resumeGraceSeconds: 30,
+    maxUploadSize: 200 * 1024 * 1024,
+    maxRecognizeFileSize: 10 * 1024 * 1024,
+    jobConcurrency: 2,
+    jobQueueLimit: 100,
+    jobRetentionMinutes: 60,
+    concurrentStreams: 0,
+    audioSecondsPerDay: 0,
+    fileRecognitionsPerMinute: 0
+  },
+  storage: {
+    transcriptsDir: path.join(__dirname, 'transcripts'),
+    audioArchiveDir: path.join(__dirname, 'audio'),
+    audioRetentionDays: 30,
+    uploadDir: path.join(os.tmpdir(), 'speech-uploads')
+  },
+  webhooks: {
+    file: null,
+    urls: [],
+    secret: null,
+    maxAttempts: 6,
+    retryDelaySeconds: 5,
+    deadLetterFile: path.join(__dirname, 'webhook-dead-letters.log'),
+    // Loaded from file and urls
+    subscriptions: []
+  },
+  captions: {
+    tokenHours: 12,
+    historySize: 50,
+    roomExpiryMinutes: 60
+  }
+};
+
+module.exports = {
+  SCHEMA: SCHEMA,
+  DEFAULTS: DEFAULTS,
+  load: load
+};
+
+/**
+ * Reads the settings in the environment, as the types their schema says.
+ * Values which can't be read are passed on as they are, so they fail
+ * validation with the rest.
+ *
+ * @param {!Object} schema Schema of the settings.
+ * @param {!Object<string>} env Environment variables.
+ * @return {!Object} The settings which are set.
+ */
+function readEnv(schema, env) {
+  var settings = {};
+
+  Object.keys(schema.fields).forEach(function(name) {
+    var field = schema.fields[name];
+    var value = field.env ? env[field.env] : undefined;
+
+    if (field.type === 'object') {
+      value = readEnv(field, env);
+      if (Object.keys(value).length) {
+        settings[name] = value;
+      }
+      return;
+    }
+    if (value === undefined || value === '') {
+      return;
+    }
+
+    if (field.type === 'integer' || field.type === 'number') {
+      settings[name] = isNaN(Number(value)) ? value : Number(value);
+    } else if (field.type === 'boolean') {
+      settings[name] = value === 'true' ? true :
+                       value === 'false' ? false : value;
+    } else if (field.type === 'array') {
+      settings[name] = value.split(',').map(function(item) {
+        return item.trim();
+      }).filter(Boolean);
+    } else {
+      settings[name] = value;
+    }
+  });
+
+  return settings;
+}
+
+/**
+ * Returns a copy of settings with others laid over them, going into
+ * objects a field at a time.
+ *
+ * @param {!Object} base The settings underneath, which aren't changed.
+ * @param {?Object} overrides The settings on top.
+ * @return {!Object} The merged settings.
+ */
+function merge(base, overrides) {
+  var merged = {};
+
+  Object.keys(base).forEach(function(key) {
+    merged[key] = base[key];
+  });
+  Object.keys(overrides || {}).forEach(function(key) {
+    var value = overrides[key];
+    merged[key] = value && typeof value === 'object' &&
+                  !Array.isArray(value) && merged[key] &&
+                  typeof merged[key] === 'object' ?
+                  merge(merged[key], value) : value;
+  });
+
+  return merged;
+}
+
+/**
+ * Loads the configuration.
+ *
+ * @param {!Object<string>} env Environment variables, with the path of the
+ * JSON config file as CONFIG_FILE, if there is one.
+ * @return {!Object} The configuration, in the shape of DEFAULTS, with the
+ * API keys loaded as auth.clients and the webhooks as webhooks.subscriptions.
+ * @throws {Error} If the config file, API keys or webhooks can't be read, or
+ * any setting is invalid, with every problem in its message.
+ */
+function load(env) {
+  var fileSettings = {};
+  if (env.CONFIG_FILE) {
+    try {
+      fileSettings = JSON.parse(fs.readFileSync(env.CONFIG_FILE, 'utf8'));
+    } catch (e) {
+      throw new Error('Couldn\'t read config file ' + env.CONFIG_FILE +
+                      ': ' + e.message);
+    }
+  }
+
+  var validated = recognitionOptions.validate(
+      merge(fileSettings, readEnv(SCHEMA, env)), SCHEMA);
+  var errors = validated.error ? validated.error.details : [];
+  var config = merge(DEFAULTS, validated.options);
+
+  // The certificate and its key only work together
+  var tls = config.tls;
+  if (!validated.error && !tls.certFile !== !tls.keyFile) {
+    errors.push({
+      field: tls.certFile ? 'tls.keyFile' : 'tls.certFile',
+      message: 'must be set as well as ' +
+               (tls.certFile ? 'tls.certFile' : 'tls.keyFile')
+    });
+  }
+  if (!validated.error) {
+    ['certFile', 'keyFile', 'caFile'].forEach(function(name) {
+      if (tls[name] && !fs.existsSync(tls[name])) {
+        errors.push({
+          field: 'tls.' + name,
+          message: 'doesn\'t exist: ' + tls[name]
+        });
+      }
+    });
+  }
+
+  // Replaying more audio than a stream gets would never catch up
+  var recognition = config.recognition;
+  if (!validated.error &&
+      recognition.streamOverlapSeconds >= recognition.streamRotateSeconds) {
+    errors.push({
+      field: 'recognition.streamOverlapSeconds',
+      message: 'must be less than recognition.streamRotateSeconds'
+    });
+  }
+
+  var loaded = {auth: {}, webhooks: {}};
+  if (!validated.error) {
+    try {
+      loaded.auth.clients = Auth.loadApiKeys(config.auth.apiKeysFile,
+                                             config.auth.apiKeys);
+    } catch (e) {
+      errors.push({
+        field: config.auth.apiKeysFile ? 'auth.apiKeysFile' : 'auth.apiKeys',
+        message: 'can\'t be loaded: ' + e.message
+      });
+    }
+    try {
+      loaded.webhooks.subscriptions = Webhooks.loadSubscriptions(
+          config.webhooks.file, config.webhooks.urls, config.webhooks.secret);
+    } catch (e) {
+      errors.push({
+        field: config.webhooks.file ? 'webhooks.file' : 'webhooks.urls',
+        message: 'can\'t be loaded: ' + e.message
+      });
+    }
+  }
+
+  if (errors.length) {
+    throw new Error('Invalid configuration: ' + errors.map(function(error) {
+      var field = error.field.replace(/\[\d+\]$/, '').split('.')
+          .reduce(function(schema, name) {
+        return schema && schema.fields && schema.fields[name];
+      }, SCHEMA);
+      return error.field + (field && field.env ? ' (' + field.env + ')' :
+                            '') + ' ' + error.message;
+    }).join('; '));
+  }
+
+  return merge(config, loaded);
+}
@@ -0,0 +1,23 @@
+/**
+ * Cloud Speech API streaming example for Node.js using gRPC.
+ *
+ * This file creates a signed token for a client to connect with, using the
+ * AUTH_TOKEN_SECRET the server is configured with.
+ *
+ * Usage: node create-token.js <client ID> [seconds valid, default a day]
+ */
+'use strict';
+
+var Auth = require('./auth');
+
+var clientId = process.argv[2];
+var ttlSeconds = Number(process.argv[3]) || 24 * 60 * 60;
+
+if (!clientId || !process.env.AUTH_TOKEN_SECRET) {
+  console.error('Usage: AUTH_TOKEN_SECRET=... node create-token.js ' +
+                '<client ID> [seconds valid]');
+  process.exit(1);
+}
+
+var auth = new Auth({tokenSecret: process.env.AUTH_TOKEN_SECRET});
+console.log(auth.createToken({sub: clientId}, ttlSeconds));
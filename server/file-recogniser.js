@@ -0,0 +1,337 @@
+/**
+ * Cloud Speech API streaming example for Node.js using gRPC.
+ *
+ * This file recognises audio files, whether they come in over WebSockets or
+ * HTTP, and keeps their transcripts. Files are decoded first, and long files
+ * are split into segments the API can recognise in one go.
+ */
+var audioDecoder = require('./audio-decoder');
+var CloudSpeechApi = require('./cloud-speech-api-server');
+var PostProcessor = require('./post-processor');
+var recognitionOptions = require('./recognition-options');
+var Redactor = require('./redactor');
+var speechErrors = require('./speech-errors');
+var wordTimings = require('./word-timings');
+
+module.exports = FileRecogniser;
+
+/**
+ * Longest audio recognised in one request, in seconds. The API only
+ * recognises about a minute of audio at a time.
+ *
+ * @const {number}
+ */
+FileRecogniser.SEGMENT_SECONDS = 50;
+
+/**
+ * File recogniser.
+ *
+ * @constructor
+ * @param {!Object} services The transcriptStore, quotaManager and webhooks to
+ * use.
+ */
+function FileRecogniser(services) {
+  'use strict';
+
+  if (!(this instanceof FileRecogniser)) {
+    return new FileRecogniser(services);
+  }
+
+  var cloudSpeechApi = CloudSpeechApi();
+
+  /**
+   * Recognises a file in one go, without progress.
+   *
+   * @param {!string} audioData Base64 encoding string of audio data to be
+   * processed.
+   * @param {?Object<string>} parameters Optional parameters to send through.
+   * @param {!Object} client The authenticated client the file comes from.
+   * @param {!function(Object)} callback Called with the success, results as
+   * data, the transcript's sessionId and the error, if there was one.
+   */
+  this.recognise = function(audioData, parameters, client, callback) {
+    if (typeof audioData !== 'string') {
+      return process.nextTick(function() {
+        callback({
+          success: false,
+          data: [],
+          sessionId: null,
+          error: speechErrors.create('INVALID_REQUEST',
+                                     'Files must be sent as base64 strings')
+        });
+      });
+    }
+
+    this.recogniseLong(new Buffer(audioData, 'base64'), parameters, client,
+                       function() {}, callback);
+  };
+
+  /**
+   * Recognises a file which could be longer than the API takes at once.
+   *
+   * The file is decoded by audioDecoder, so its encoding and sampleRate come
+   * from its header rather than the parameters, unless it's raw audio.
+   * LINEAR16 and MULAW audio is split into segments of
+   * FileRecogniser.SEGMENT_SECONDS which are recognised one after another,
+   * with the results of each passed to onProgress as they arrive. FLAC and
+   * AMR audio longer than a segment is decoded to LINEAR16 with ffmpeg so it
+   * can be split, and shorter audio is recognised in one go. Personal
+   * information is redacted from the results as parameters.redaction says,
+   * and they're run through the post-processing transformers in
+   * parameters.postProcessing, if there are any. Invalid parameters fail
+   * straight away with an INVALID_REQUEST error which has the details of
+   * each field.
+   *
+   * @param {!Buffer} audioData Audio data to be processed.
+   * @param {?Object<string>} parameters Optional parameters to send through.
+   * @param {!Object} client The authenticated client the file comes from,
+   * which its transcript belongs to.
+   * @param {!function(Object)} onProgress Called after each segment with the
+   * sessionId, the segment number, how many segments there are, the time in
+   * seconds the segment starts at, and its results as data.
+   * @param {!function(Object)} callback Called with the success, all the
+   * results as data, the sessionId and the error, if there was one.
+   */
+  this.recogniseLong = function(audioData, parameters, client, onProgress,
+                                callback) {
+    // The API checks each segment's parameters, but check them up front
+    var validated = recognitionOptions.validateFile(parameters);
+    if (validated.error) {
+      return callback({
+        success: false,
+        data: [],
+        sessionId: null,
+        error: validated.error
+      });
+    }
+    parameters = validated.options;
+    var postProcessor = new PostProcessor(parameters.postProcessing);
+    var redactor = new Redactor(parameters.redaction);
+
+    /**
+     * Fails the recognition because the audio couldn't be decoded.
+     *
+     * @param {!Error} err Why it couldn't be decoded.
+     */
+    function failDecoding(err) {
+      services.webhooks.send('error', {
+        sessionId: null,
+        source: 'file',
+        error: speechErrors.create('UNSUPPORTED_AUDIO', err.message)
+      });
+      callback({
+        success: false,
+        data: [],
+        sessionId: null,
+        error: speechErrors.create('UNSUPPORTED_AUDIO', err.message)
+      });
+    }
+
+    /**
+     * Recognises the decoded audio.
+     *
+     * @param {!Object} decoded The audio, from audioDecoder.decode.
+     */
+    function recogniseDecoded(decoded) {
+      // Files count towards the daily audio quota, as streams do
+      if (!services.quotaManager.addFileAudio(client, decoded.duration)) {
+        return callback({
+          success: false,
+          data: [],
+          sessionId: null,
+          error: speechErrors.create('QUOTA_AUDIO_SECONDS')
+        });
+      }
+
+      // Send what the audio really is
+      var decodedParameters = {};
+      Object.keys(parameters).forEach(function(key) {
+        decodedParameters[key] = parameters[key];
+      });
+      decodedParameters.encoding = decoded.encoding;
+      decodedParameters.sampleRate = decoded.sampleRate;
+      delete decodedParameters.channels;
+
+      recogniseSegments(decoded.audioData, decodedParameters, client,
+                        postProcessor, redactor, onProgress, callback);
+    }
+
+    audioDecoder.decode(audioData, parameters, function(err, decoded) {
+      if (err) {
+        return failDecoding(err);
+      }
+
+      // FLAC and AMR can't be split into segments, so anything too long for
+      // one request is decoded to LINEAR16, which can
+      var compressed = decoded.encoding === 'FLAC' ||
+                       decoded.encoding === 'AMR' ||
+                       decoded.encoding === 'AMR_WB';
+      if (compressed && (decoded.duration === null ||
+          decoded.duration > FileRecogniser.SEGMENT_SECONDS)) {
+        var file = decoded.encoding === 'FLAC' ? decoded.audioData :
+            audioDecoder.toAmrFile(decoded.audioData, decoded.encoding);
+        return audioDecoder.transcode(file,
+                                      decoded.container || decoded.encoding,
+                                      function(err, linearData) {
+          if (err) {
+            return failDecoding(err);
+          }
+
+          recogniseDecoded({
+            audioData: linearData,
+            encoding: 'LINEAR16',
+            sampleRate: audioDecoder.SAMPLE_RATE,
+            container: decoded.container,
+            duration: linearData.length / (audioDecoder.SAMPLE_RATE * 2)
+          });
+        });
+      }
+
+      recogniseDecoded(decoded);
+    });
+  };
+
+  /**
+   * Recognises decoded audio a segment at a time.
+   *
+   * @param {!Buffer} audioData Audio data to be processed.
+   * @param {!Object<string>} parameters Parameters to send through, including
+   * the encoding and sampleRate.
+   * @param {!Object} client The client the file comes from.
+   * @param {!PostProcessor} postProcessor Transforms the results.
+   * @param {!Redactor} redactor Redacts the results, once they've been
+   * transformed.
+   * @param {!function(Object)} onProgress Called after each segment.
+   * @param {!function(Object)} callback Called when all the segments are
+   * done, or one fails.
+   */
+  function recogniseSegments(audioData, parameters, client, postProcessor,
+                             redactor, onProgress, callback) {
+    var encoding = parameters.encoding || 'LINEAR16';
+    var bytesPerSample = encoding === 'MULAW' ? 1 : 2;
+    var bytesPerSecond = (parameters.sampleRate || 16000) * bytesPerSample;
+    var segmentLength = encoding === 'LINEAR16' || encoding === 'MULAW' ?
+        Math.floor(FileRecogniser.SEGMENT_SECONDS * bytesPerSecond /
+                   bytesPerSample) * bytesPerSample :
+        audioData.length;
+    var segments = Math.max(1, Math.ceil(audioData.length / segmentLength));
+
+    // Keep the transcript of the file
+    var sessionId = services.transcriptStore.create('file',
+        parameters.languageCode || CloudSpeechApi.LANGUAGE_CODE,
+        parameters, client.id).id;
+    var results = [];
+    var redactions = {}; // Counts of the entities redacted, by entity
+
+    /**
+     * Sends an event about the session to the webhooks.
+     *
+     * @param {!string} event The event name.
+     * @param {!Object} data The event's data, which gets the session added.
+     */
+    function notify(event, data) {
+      data.sessionId = sessionId;
+      data.source = 'file';
+      services.webhooks.send(event, data);
+    }
+
+    notify('session.started', {
+      languageCode: parameters.languageCode || CloudSpeechApi.LANGUAGE_CODE
+    });
+
+    /**
+     * Keeps results of the file, and lets the webhooks know about them.
+     *
+     * @param {!Array<Object>} data The results.
+     * @param {!number} offset Time in seconds where their audio starts.
+     * @param {?number} end Time in seconds where their audio ends, if it's
+     * known.
+     */
+    function addResults(data, offset, end) {
+      services.transcriptStore.addResults(sessionId, data, offset, end);
+      results = results.concat(data);
+
+      // Every result of a file is final
+      if (data.length) {
+        notify('result.final', {
+          offset: offset,
+          results: data
+        });
+      }
+    }
+
+    /**
+     * Recognises a segment, and then the next one.
+     *
+     * @param {!number} segment Index of the segment.
+     */
+    function recogniseSegment(segment) {
+      if (segment === segments) {
+        services.transcriptStore.end(sessionId);
+        notify('session.ended', {
+          redactions: redactions
+        });
+        return callback({
+          success: true,
+          data: results,
+          sessionId: sessionId,
+          error: null
+        });
+      }
+
+      var start = segment * segmentLength;
+      var segmentAudio = audioData.slice(start, start + segmentLength);
+
+      cloudSpeechApi.recogniseFile(segmentAudio.toString('base64'),
+          parameters, function(response) {
+        if (!response.success) {
+          // Keep any digits held back from the segment before
+          addResults(redactor.flush(), start / bytesPerSecond, null);
+
+          services.transcriptStore.end(sessionId);
+          notify('error', {
+            error: response.error
+          });
+          notify('session.ended', {
+            redactions: redactions
+          });
+          return callback({
+            success: false,
+            data: results,
+            sessionId: sessionId,
+            error: response.error
+          });
+        }
+
+        var offset = start / bytesPerSecond;
+
+        // Time words from the start of the file, not the segment, so digits
+        // held back by the redactor keep their times in the next segment,
+        // and transform the results before redacting them, as streams do
+        response.data = redactor.process(wordTimings.shift(
+            postProcessor.process(response.data), offset),
+            segment === segments - 1);
+
+        redactions = redactor.getCounts();
+        if (Object.keys(redactions).length) {
+          services.transcriptStore.setRedactions(sessionId, redactions);
+        }
+
+        addResults(response.data, offset,
+            response.duration === null ? null : offset + response.duration);
+
+        onProgress({
+          sessionId: sessionId,
+          segment: segment + 1,
+          segments: segments,
+          offset: offset,
+          data: response.data
+        });
+
+        recogniseSegment(segment + 1);
+      });
+    }
+
+    recogniseSegment(0);
+  }
+}
@@ -0,0 +1,66 @@
+/**
+ * Cloud Speech API streaming example for Node.js using gRPC.
+ *
+ * This file has the HTTP routes for load balancer health checks and
+ * Prometheus metrics.
+ */
+'use strict';
+
+var express = require('express');
+var metrics = require('./metrics');
+
+module.exports = createHealthRoutes;
+
+/**
+ * How long a successful readiness check is trusted for, so checks don't ask
+ * for credentials every time.
+ *
+ * @const {number}
+ */
+var READY_CACHE_MS = 30 * 1000;
+
+/**
+ * Creates the health and metrics routes.
+ *
+ * GET /healthz responds as long as the server is running. GET /readyz only
+ * responds with a 200 once the recognition provider can get its
+ * credentials, and a 503 otherwise. GET /metrics has the metrics in the
+ * Prometheus text format.
+ *
+ * @param {!CloudSpeechApi} cloudSpeechApi Checks the provider's credentials.
+ * @return {!express.Router} The routes.
+ */
+function createHealthRoutes(cloudSpeechApi) {
+  var router = express.Router();
+  var readyUntil = 0;
+
+  router.get('/healthz', function(req, res) {
+    res.status(200).send({status: 'ok'});
+  });
+
+  router.get('/readyz', function(req, res) {
+    if (Date.now() < readyUntil) {
+      return res.status(200).send({status: 'ready'});
+    }
+
+    cloudSpeechApi.checkCredentials(function(err) {
+      if (err) {
+        readyUntil = 0;
+        return res.status(503).send({
+          status: 'not ready',
+          error: err.message || String(err)
+        });
+      }
+
+      readyUntil = Date.now() + READY_CACHE_MS;
+      res.status(200).send({status: 'ready'});
+    });
+  });
+
+  router.get('/metrics', function(req, res) {
+    res.set('Content-Type', 'text/plain; version=0.0.4');
+    res.status(200).send(metrics.render());
+  });
+
+  return router;
+}
@@ -0,0 +1,182 @@
+/**
+ * Cloud Speech API streaming example for Node.js using gRPC.
+ *
+ * This file runs queued jobs with a bounded number of workers, keeps track of
+ * their status, and lets a callback URL know when each one has finished.
+ */
+var crypto = require('crypto');
+var request = require('request');
+
+module.exports = JobQueue;
+
+/**
+ * Job queue.
+ *
+ * Jobs go from 'queued' to 'running', and then to 'done' or 'failed'.
+ * Finished jobs are kept for the retention period so their results can be
+ * fetched, and then forgotten.
+ *
+ * @constructor
+ * @param {!function(Object, function(?Object, Object=))} worker Runs a job's
+ * data, calling back with an error or the result.
+ * @param {!Object<number>} options The concurrency (how many jobs run at
+ * once), maxQueued (how many jobs can wait at once, or 0 for any number)
+ * and retentionMinutes.
+ */
+function JobQueue(worker, options) {
+  'use strict';
+
+  if (!(this instanceof JobQueue)) {
+    return new JobQueue(worker, options);
+  }
+
+  var jobs = {}; // All jobs we know about, by ID
+  var queue = []; // Jobs waiting to run
+  var running = 0;
+
+  /**
+   * Returns what's public about a job.
+   *
+   * @param {!Object} job The job.
+   * @return {!Object} The job's ID, owner, status, timestamps, result and
+   * error.
+   */
+  function describe(job) {
+    return {
+      id: job.id,
+      ownerId: job.ownerId,
+      status: job.status,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt,
+      result: job.result,
+      error: job.error
+    };
+  }
+
+  /**
+   * Lets a job's callback URL know it's finished.
+   *
+   * @param {!Object} job The job.
+   */
+  function notify(job) {
+    if (!job.callbackUrl) {
+      return;
+    }
+
+    request({
+      method: 'POST',
+      url: job.callbackUrl,
+      json: describe(job),
+      timeout: 10000
+    }, function(err, resp) {
+      if (err || resp.statusCode >= 300) {
+        console.error('Error calling back for job', job.id, job.callbackUrl,
+                      err || resp.statusCode);
+      }
+    });
+  }
+
+  /**
+   * Runs as many queued jobs as there are free workers.
+   */
+  function runNext() {
+    while (running < options.concurrency && queue.length) {
+      run(queue.shift());
+    }
+  }
+
+  /**
+   * Runs a job.
+   *
+   * @param {!Object} job The job.
+   */
+  function run(job) {
+    running++;
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+
+    worker(job.data, function(error, result) {
+      running--;
+      job.status = error ? 'failed' : 'done';
+      job.finishedAt = new Date().toISOString();
+      job.result = error ? null : result;
+      job.error = error || null;
+      job.data = null; // Don't hold on to the audio
+
+      notify(job);
+
+      // Forget the job once it's past the retention period
+      setTimeout(function() {
+        delete jobs[job.id];
+      }, options.retentionMinutes * 60 * 1000).unref();
+
+      runNext();
+    });
+  }
+
+  /**
+   * Queues a job.
+   *
+   * @param {!Object} data Data for the worker.
+   * @param {!string} ownerId ID of the client the job belongs to.
+   * @param {?string} callbackUrl URL to POST the job to when it's finished.
+   * @return {?Object} The job, or null if the queue is full.
+   */
+  this.add = function(data, ownerId, callbackUrl) {
+    if (this.isFull()) {
+      return null;
+    }
+
+    var job = {
+      id: crypto.randomBytes(8).toString('hex'),
+      ownerId: ownerId,
+      status: 'queued',
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      result: null,
+      error: null,
+      data: data,
+      callbackUrl: callbackUrl || null
+    };
+
+    jobs[job.id] = job;
+    queue.push(job);
+    process.nextTick(runNext);
+
+    return describe(job);
+  };
+
+  /**
+   * Returns whether the queue is full, so jobs added now would be turned
+   * away.
+   *
+   * @return {boolean} Whether it's full.
+   */
+  this.isFull = function() {
+    return options.maxQueued > 0 && queue.length >= options.maxQueued;
+  };
+
+  /**
+   * Fetches a job.
+   *
+   * @param {!string} id The job ID.
+   * @return {?Object} The job, or null if it doesn't exist.
+   */
+  this.get = function(id) {
+    return jobs.hasOwnProperty(id) ? describe(jobs[id]) : null;
+  };
+
+  /**
+   * Returns how many jobs are queued and running.
+   *
+   * @return {!Object<number>} The number of queued and running jobs.
+   */
+  this.getStats = function() {
+    return {
+      queued: queue.length,
+      running: running
+    };
+  };
+}
@@ -0,0 +1,214 @@
+/**
+ * Cloud Speech API streaming example for Node.js using gRPC.
+ *
+ * This file keeps the server's metrics, and renders them in the Prometheus
+ * text format for GET /metrics. Metrics are registered once, when the module
+ * which uses them is loaded, and shared by the whole server.
+ */
+'use strict';
+
+module.exports = {
+  counter: counter,
+  gauge: gauge,
+  histogram: histogram,
+  render: render
+};
+
+/**
+ * Default histogram buckets, in seconds.
+ *
+ * @const {!Array<number>}
+ */
+var DEFAULT_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+// Registered metrics, in the order they're rendered
+var registry = [];
+
+/**
+ * Registers a metric.
+ *
+ * @param {!string} type The Prometheus type, e.g. counter.
+ * @param {!string} name The metric name.
+ * @param {!string} help What the metric measures.
+ * @return {!Object} The metric, with its values by label string.
+ * @throws {Error} If there's already a metric with the name.
+ */
+function register(type, name, help) {
+  for (var m = 0; m < registry.length; m++) {
+    if (registry[m].name === name) {
+      throw new Error('Metric already registered: ' + name);
+    }
+  }
+
+  var metric = {
+    type: type,
+    name: name,
+    help: help,
+    values: {}
+  };
+  registry.push(metric);
+  return metric;
+}
+
+/**
+ * Returns the label string of a set of labels, e.g. {code="UNAVAILABLE"}.
+ *
+ * @param {?Object<string>} labels The labels.
+ * @return {string} The label string, or '' if there aren't any.
+ */
+function formatLabels(labels) {
+  var names = Object.keys(labels || {}).sort();
+  if (!names.length) {
+    return '';
+  }
+
+  return '{' + names.map(function(name) {
+    var value = String(labels[name]).replace(/\\/g, '\\\\')
+        .replace(/"/g, '\\"').replace(/\n/g, '\\n');
+    return name + '="' + value + '"';
+  }).join(',') + '}';
+}
+
+/**
+ * Adds a label to a label string.
+ *
+ * @param {!string} labelString The label string, from formatLabels.
+ * @param {!string} label The label to add, e.g. le="0.5".
+ * @return {string} The new label string.
+ */
+function addLabel(labelString, label) {
+  return labelString ? labelString.slice(0, -1) + ',' + label + '}' :
+                       '{' + label + '}';
+}
+
+/**
+ * Registers a counter, which only goes up.
+ *
+ * @param {!string} name The metric name.
+ * @param {!string} help What the metric counts.
+ * @return {!Object} The counter, with inc(value, labels).
+ */
+function counter(name, help) {
+  var metric = register('counter', name, help);
+
+  return {
+    inc: function(value, labels) {
+      var key = formatLabels(labels);
+      metric.values[key] = (metric.values[key] || 0) +
+                           (value === undefined ? 1 : value);
+    }
+  };
+}
+
+/**
+ * Registers a gauge, which goes up and down.
+ *
+ * @param {!string} name The metric name.
+ * @param {!string} help What the metric measures.
+ * @return {!Object} The gauge, with inc(value, labels), dec(value, labels)
+ * and set(value, labels).
+ */
+function gauge(name, help) {
+  var metric = register('gauge', name, help);
+
+  /**
+   * Adds to the gauge.
+   *
+   * @param {!number} value How much to add.
+   * @param {?Object<string>} labels The labels.
+   */
+  function add(value, labels) {
+    var key = formatLabels(labels);
+    metric.values[key] = (metric.values[key] || 0) + value;
+  }
+
+  // Start at zero, rather than missing until it's first changed
+  metric.values[''] = 0;
+
+  return {
+    inc: function(value, labels) {
+      add(value === undefined ? 1 : value, labels);
+    },
+    dec: function(value, labels) {
+      add(-(value === undefined ? 1 : value), labels);
+    },
+    set: function(value, labels) {
+      metric.values[formatLabels(labels)] = value;
+    }
+  };
+}
+
+/**
+ * Registers a histogram, which counts observations into buckets.
+ *
+ * @param {!string} name The metric name.
+ * @param {!string} help What the metric observes.
+ * @param {?Array<number>} buckets Upper bounds of the buckets, in ascending
+ * order. Defaults to DEFAULT_BUCKETS.
+ * @return {!Object} The histogram, with observe(value, labels).
+ */
+function histogram(name, help, buckets) {
+  var metric = register('histogram', name, help);
+  metric.buckets = buckets || DEFAULT_BUCKETS;
+
+  return {
+    observe: function(value, labels) {
+      var key = formatLabels(labels);
+      if (!metric.values.hasOwnProperty(key)) {
+        metric.values[key] = {
+          counts: metric.buckets.map(function() {
+            return 0;
+          }),
+          sum: 0,
+          count: 0
+        };
+      }
+
+      var observations = metric.values[key];
+      for (var b = 0; b < metric.buckets.length; b++) {
+        if (value <= metric.buckets[b]) {
+          observations.counts[b]++;
+        }
+      }
+      observations.sum += value;
+      observations.count++;
+    }
+  };
+}
+
+/**
+ * Renders all the metrics in the Prometheus text format.
+ *
+ * @return {string} The metrics.
+ */
+function render() {
+  var lines = [];
+
+  registry.forEach(function(metric) {
+    lines.push('# HELP ' + metric.name + ' ' + metric.help);
+    lines.push('# TYPE ' + metric.name + ' ' + metric.type);
+
+    Object.keys(metric.values).forEach(function(key) {
+      var value = metric.values[key];
+
+      if (metric.type !== 'histogram') {
+        lines.push(metric.name + key + ' ' + value);
+        return;
+      }
+
+      // Buckets are already cumulative, as each observation is counted in
+      // every bucket it fits
+      metric.buckets.forEach(function(bucket, b) {
+        lines.push(metric.name + '_bucket' +
+                   addLabel(key, 'le="' + bucket + '"') + ' ' +
+                   value.counts[b]);
+      });
+      lines.push(metric.name + '_bucket' + addLabel(key, 'le="+Inf"') + ' ' +
+                 value.count);
+      lines.push(metric.name + '_sum' + key + ' ' + value.sum);
+      lines.push(metric.name + '_count' + key + ' ' + value.count);
+    });
+  });
+
+  return lines.join('\n') + '\n';
+}
@@ -0,0 +1,141 @@
+/**
+ * Cloud Speech API streaming example for Node.js using gRPC.
+ *
+ * This file runs the results of a session through a chain of transformers
+ * before they go anywhere else, e.g. to replace jargon, turn spoken numbers
+ * into digits or punctuate.
+ */
+var wordTimings = require('./word-timings');
+
+module.exports = PostProcessor;
+
+/**
+ * Available transformers, mapped to the module implementing them.
+ *
+ * Every transformer has transform(transcript), returning the new transcript.
+ * Transformers which keep track of the session, e.g. to know where sentences
+ * start, also have commit(transcript), which is called with each final
+ * result once it's been transformed.
+ *
+ * @const {!Object<string>}
+ */
+PostProcessor.TRANSFORMERS = {
+  'vocabulary': './transformers/vocabulary-transformer',
+  'numbers': './transformers/number-transformer',
+  'punctuation': './transformers/punctuation-transformer',
+  'capitalisation': './transformers/capitalisation-transformer'
+};
+
+/**
+ * Transformers used when a session asks for post-processing without saying
+ * which, in the order they run.
+ *
+ * @const {!Array<string>}
+ */
+PostProcessor.DEFAULT_TRANSFORMERS = ['vocabulary', 'numbers', 'punctuation',
+                                      'capitalisation'];
+
+/**
+ * Transcript post-processor.
+ *
+ * The options can be true for the default transformers, a list of
+ * transformer names, or an object with the list of transformers and their
+ * options: vocabulary for the vocabulary transformer, and interim to
+ * transform interim results as well as final ones.
+ *
+ * @constructor
+ * @param {?Object|Array<string>|string|boolean} options Post-processing
+ * options, from the session's options. A comma separated list of names works
+ * too, for HTTP forms.
+ * @throws {Error} If there's a transformer which doesn't exist, or its
+ * options are wrong.
+ */
+function PostProcessor(options) {
+  'use strict';
+
+  if (!(this instanceof PostProcessor)) {
+    return new PostProcessor(options);
+  }
+
+  if (typeof options === 'string') {
+    options = options.split(',').map(function(name) {
+      return name.trim();
+    }).filter(Boolean);
+  }
+  if (Array.isArray(options)) {
+    options = {transformers: options};
+  } else if (!options || typeof options !== 'object') {
+    options = {transformers: options ? PostProcessor.DEFAULT_TRANSFORMERS : []};
+  }
+
+  var transformers = (options.transformers ||
+                      PostProcessor.DEFAULT_TRANSFORMERS).map(function(name) {
+    if (!PostProcessor.TRANSFORMERS.hasOwnProperty(name)) {
+      throw new Error('Unknown transcript transformer: ' + name);
+    }
+    return require(PostProcessor.TRANSFORMERS[name])(options);
+  });
+
+  this.enabled = transformers.length > 0;
+
+  /**
+   * Transforms a transcript with every transformer in turn.
+   *
+   * @param {!string} transcript The transcript.
+   * @param {!boolean} commit Whether it's the top alternative of a final
+   * result, which transformers should remember.
+   * @return {string} The transformed transcript.
+   */
+  function transform(transcript, commit) {
+    transformers.forEach(function(transformer) {
+      transcript = transformer.transform(transcript);
+      if (commit && transformer.commit) {
+        transformer.commit(transcript);
+      }
+    });
+    return transcript;
+  }
+
+  /**
+   * Transforms results.
+   *
+   * Results without isFinal, like those of files, count as final. The
+   * results passed in aren't changed.
+   *
+   * @param {!Array<Object>} results The results.
+   * @return {!Array<Object>} Copies of the results with their transcripts
+   * transformed, or the same results if there's nothing to do.
+   */
+  this.process = function(results) {
+    if (!transformers.length) {
+      return results;
+    }
+
+    return results.map(function(result) {
+      var isFinal = result.isFinal !== false;
+      if (!isFinal && !options.interim) {
+        return result;
+      }
+
+      var transformed = {};
+      Object.keys(result).forEach(function(key) {
+        transformed[key] = result[key];
+      });
+
+      transformed.alternatives = result.alternatives.map(function(alternative,
+                                                                  a) {
+        var transformedAlternative = {};
+        Object.keys(alternative).forEach(function(key) {
+          transformedAlternative[key] = alternative[key];
+        });
+        transformedAlternative.transcript = transform(alternative.transcript,
+                                                      isFinal && a === 0);
+        transformedAlternative.words = wordTimings.align(
+            alternative.words, transformedAlternative.transcript);
+        return transformedAlternative;
+      });
+
+      return transformed;
+    });
+  };
+}
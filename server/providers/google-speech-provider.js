@@ -0,0 +1,688 @@
+/**
+ * Cloud Speech API streaming example for Node.js using gRPC.
+ *
+ * This file is the Google recognition provider. It creates the Cloud Speech
+ * API service over gRPC and passes the audio data and requests through to it.
+ */
+var speechErrors = require('../speech-errors');
+var wordTimings = require('../word-timings');
+
+module.exports = GoogleSpeechProvider;
+
+/**
+ * Google Cloud Speech API recognition provider.
+ *
+ * Retryable errors, e.g. UNAVAILABLE or DEADLINE_EXCEEDED, are tried again
+ * with exponential backoff, up to maxRetries times, starting
+ * retryDelaySeconds apart. Files are sent again, and streams are reconnected
+ * with the audio which came in while they were down.
+ *
+ * Requests go to version 1p1beta1 of the API, which times each word and
+ * gives its confidence.
+ *
+ * @constructor
+ * @param {?Object} options Provider options: the host of the API as
+ * endpoint, which defaults to speech.googleapis.com, streamRotateSeconds
+ * (50), streamOverlapSeconds (2), maxRetries (5) and retryDelaySeconds
+ * (0.5).
+ */
+function GoogleSpeechProvider(options) {
+  'use strict';
+
+  if (!(this instanceof GoogleSpeechProvider)) {
+    return new GoogleSpeechProvider(options);
+  }
+
+  options = options || {};
+  var endpoint = options.endpoint || 'speech.googleapis.com';
+
+  // Imports
+  var googleAuth = require('google-auto-auth');
+  var googleProtoFiles = require('google-proto-files');
+  var grpc = require('grpc');
+  var path = require('path');
+
+  // Load the speech protos
+  var PROTO_ROOT_DIR = googleProtoFiles('..');
+  var protoDescriptor = grpc.load({
+    root: PROTO_ROOT_DIR,
+    file: path.relative(PROTO_ROOT_DIR, googleProtoFiles('cloud', 'speech',
+        'v1p1beta1', 'cloud_speech.proto'))
+  }, 'proto', {
+    binaryAsBase64: true,
+    convertFieldsToCamelCase: true
+  });
+  var speechProto = protoDescriptor.google.cloud.speech.v1p1beta1;
+
+  // How long a stream is used before it's rotated for a new one, as the API
+  // closes streams after about a minute, and how much audio is replayed into
+  // the new stream so words on the boundary aren't lost
+  var ROTATE_AFTER_SECONDS = options.streamRotateSeconds || 50;
+  var OVERLAP_SECONDS = typeof options.streamOverlapSeconds === 'number' ?
+      options.streamOverlapSeconds : 2;
+
+  // How many times a request is retried, and how long to wait before the
+  // first retry. Each retry waits twice as long as the one before, up to
+  // the maximum
+  var MAX_RETRIES = typeof options.maxRetries === 'number' ?
+      options.maxRetries : 5;
+  var RETRY_DELAY_SECONDS = options.retryDelaySeconds || 0.5;
+  var MAX_RETRY_DELAY_SECONDS = 10;
+
+  // Most audio kept while a stream is reconnecting
+  var RECONNECT_BUFFER_SECONDS = 30;
+
+  // gRPC status codes for streams which went over the maximum duration, and
+  // for credentials which couldn't be obtained
+  var GRPC_OUT_OF_RANGE = 11;
+  var GRPC_UNAUTHENTICATED = 16;
+
+  // Client-specific
+  var speechService = null;
+  var speechStream = null; // The stream audio is currently written to
+  var recordingCallback = null;
+  var recording = false; // Until recording is stopped
+  var streamingOptions = null;
+  var rotateTimer = null;
+  var retryTimer = null; // Reconnects while the stream is down
+  var streamRetries = 0; // Retries since the stream last returned results
+  var bytesPerSecond = 0;
+  var audioSeconds = 0; // Audio written since recording started
+  var overlapBuffer = []; // Most recent audio, for replaying on rotation
+  var overlapBytes = 0;
+  var lastFinalTranscript = '';
+
+  /**
+   * Creates the Cloud Speech API service.
+   *
+   * @param {!function(?Object, Object=)} callback Called with an error if
+   * the credentials couldn't be obtained, as an UNAUTHENTICATED gRPC error,
+   * or the service.
+   */
+  function getSpeechService(callback) {
+    // Create the auth client
+    var googleAuthClient = googleAuth({
+      scopes: ['https://www.googleapis.com/auth/cloud-platform']
+    });
+
+    googleAuthClient.getAuthClient(function(err, authClient) {
+      // Did we have an error? Report back
+      if (err) {
+        return callback({
+          code: GRPC_UNAUTHENTICATED,
+          message: err.message || String(err)
+        });
+      }
+
+      // Create the credentials
+      var credentials = grpc.credentials.combineChannelCredentials(
+        grpc.credentials.createSsl(),
+        grpc.credentials.createFromGoogleCredential(authClient)
+      );
+
+      // Create the stubby
+      return callback(null, new speechProto.Speech(endpoint, credentials));
+    });
+  }
+
+  /**
+   * Tries something again after a backoff, if the error it failed with is
+   * retryable and it hasn't run out of retries.
+   *
+   * @param {!Object} error The error.
+   * @param {!number} retries How many times it's been retried already.
+   * @param {!function} retry Tries it again.
+   * @return {?number} The timer for the retry, or null if it won't be
+   * retried.
+   */
+  function scheduleRetry(error, retries, retry) {
+    if (retries >= MAX_RETRIES || !speechErrors.isRetryable(error)) {
+      return null;
+    }
+
+    // Back off, with some jitter so retries don't all land at once
+    var delay = Math.min(RETRY_DELAY_SECONDS * Math.pow(2, retries),
+                         MAX_RETRY_DELAY_SECONDS) * 1000;
+    delay += Math.random() * delay * 0.1;
+
+    console.warn('Retrying the speech service after',
+                 speechErrors.getStatusName(error), 'in',
+                 Math.round(delay), 'ms');
+    return setTimeout(retry, delay);
+  }
+
+  /**
+   * Turns our recognition config into the API's.
+   *
+   * @param {!Object} config Recognition config, e.g. encoding.
+   * @return {!Object} The API's recognition config.
+   */
+  function createRecognitionConfig(config) {
+    return {
+      encoding: config.encoding,
+      sampleRateHertz: config.sampleRate,
+      languageCode: config.languageCode,
+      maxAlternatives: config.maxAlternatives,
+      profanityFilter: config.profanityFilter,
+      speechContexts: config.speechContext ? [config.speechContext] : [],
+      enableWordTimeOffsets: config.enableWordTimeOffsets,
+      // Words only come back with their times, so that's when they need
+      // their confidence
+      enableWordConfidence: config.enableWordTimeOffsets
+    };
+  }
+
+  /**
+   * Returns the seconds of a protobuf Duration, whose seconds can be a Long
+   * or a string as they're 64 bit.
+   *
+   * @param {?Object} duration The duration.
+   * @return {number} Its seconds.
+   */
+  function toSeconds(duration) {
+    if (!duration) {
+      return 0;
+    }
+    return parseInt(String(duration.seconds || 0), 10) +
+           (duration.nanos || 0) / 1e9;
+  }
+
+  /**
+   * Turns results from the API into our shape, with word times in seconds
+   * from the start of the recording or file.
+   *
+   * A confidence of 0 means the API didn't give one, so it's null.
+   *
+   * @param {!Array<Object>} results Results from the API.
+   * @param {!number} offset Where the audio the results came from starts.
+   * @return {!Array<Object>} The results.
+   */
+  function normaliseResults(results, offset) {
+    return results.map(function(result) {
+      return {
+        alternatives: (result.alternatives || []).map(function(alternative) {
+          return {
+            transcript: alternative.transcript || '',
+            confidence: alternative.confidence || null,
+            words: (alternative.words || []).map(function(word) {
+              return {
+                word: word.word,
+                start: Math.round((toSeconds(word.startTime) + offset) *
+                                  1000) / 1000,
+                end: Math.round((toSeconds(word.endTime) + offset) * 1000) /
+                     1000,
+                confidence: word.confidence || null
+              };
+            })
+          };
+        }),
+        isFinal: result.isFinal !== false,
+        stability: result.stability || 0
+      };
+    });
+  }
+
+  /**
+   * Checks credentials for the API can be obtained.
+   *
+   * @param {!function(?Error)} callback Called with an error if they can't.
+   */
+  this.checkCredentials = function(callback) {
+    var googleAuthClient = googleAuth({
+      scopes: ['https://www.googleapis.com/auth/cloud-platform']
+    });
+
+    googleAuthClient.getToken(function(err) {
+      callback(err || null);
+    });
+  };
+
+  /**
+   * Recognises a file.
+   *
+   * @param {!string} audioData Base64 encoding string of audio data to be
+   * processed.
+   * @param {!Object<string>} config Recognition config, e.g. encoding.
+   * @param {function} callback Callback function when there's a response.
+   */
+  this.recogniseFile = function(audioData, config, callback) {
+    // Build the request
+    var request = {
+      config: createRecognitionConfig(config),
+      audio: {
+        content: audioData
+      }
+    };
+
+    var retries = 0;
+
+    /**
+     * Retries the request if it can, or returns the error.
+     *
+     * @param {!Object} error The error.
+     */
+    function fail(error) {
+      if (!scheduleRetry(error, retries++, send)) {
+        callback({
+          success: false,
+          error: error
+        });
+      }
+    }
+
+    /**
+     * Sends the request to a new speech service.
+     */
+    function send() {
+      getSpeechService(function(err, speechService) {
+        if (err) {
+          return fail(err);
+        }
+
+        // Send the request
+        speechService.recognize(request, function(error, response) {
+          // If there's an error, return it
+          if (error) {
+            return fail(error);
+          }
+
+          // Else return the data
+          callback({
+            success: true,
+            data: normaliseResults(response.results || [], 0),
+            error: null
+          });
+        });
+      });
+    }
+
+    send();
+  };
+
+  /**
+   * Opens a new stream to the Cloud Speech API and makes it the current one.
+   *
+   * @param {!number} offset Time in seconds since recording started where the
+   * audio for this stream starts.
+   * @param {!Array<Buffer>} replay Audio to write to the stream straight away.
+   */
+  function openStream(offset, replay) {
+    var callback = recordingCallback;
+    var stream = {
+      client: speechService.streamingRecognize(),
+      callback: callback,
+      offset: offset,
+      initialRequest: true, // Do we need to send the initial request?
+      trimOverlap: replay.length > 0, // Until its first final result
+      closing: false
+    };
+
+    speechStream = stream;
+
+    // If we get any errors
+    stream.client.on('error', function(error) {
+      handleStreamError(stream, error);
+    });
+
+    // When we get a result
+    stream.client.on('data', function(response) {
+      if (response.error) {
+        handleStreamError(stream, response.error);
+      } else {
+        streamRetries = 0;
+
+        var results = stitchResults(stream,
+            normaliseResults(response.results || [], stream.offset));
+        if (results.length) {
+          callback({
+            type: 'data',
+            data: results,
+            offset: stream.offset,
+            recording: true,
+            error: response.error
+          });
+        }
+      }
+    });
+
+    // When we're done streaming
+    stream.client.on('end', function() {
+      if (stream.closing) {
+        return;
+      }
+
+      // The API closed the stream rather than us, so keep going if we can.
+      // A stream which was stopped can end after recording has started
+      // again, so it mustn't rotate the new one
+      if (recording && stream === speechStream &&
+          !streamingOptions.singleUtterance) {
+        return rotateStream();
+      }
+
+      callback({
+        type: 'status',
+        recording: false,
+        error: null
+      });
+    });
+
+    // Rotate the stream before the API closes it
+    clearTimeout(rotateTimer);
+    if (!streamingOptions.singleUtterance) {
+      rotateTimer = setTimeout(rotateStream, ROTATE_AFTER_SECONDS * 1000);
+    }
+
+    for (var r = 0; r < replay.length; r++) {
+      writeAudio(stream, replay[r]);
+    }
+  }
+
+  /**
+   * Handles an error from a stream, reconnecting if it's retryable, or
+   * stopping recording if not.
+   *
+   * @param {!Object} stream The stream.
+   * @param {!Object} error The error, e.g. from gRPC.
+   */
+  function handleStreamError(stream, error) {
+    // Errors from a stream we've rotated away from don't matter any more
+    if (stream.closing) {
+      return;
+    }
+
+    // A stream which was stopped has finished, whatever went wrong with it,
+    // and mustn't reconnect over one which has started since
+    if (stream !== speechStream) {
+      stream.closing = true;
+      return stream.callback({
+        type: 'status',
+        recording: false,
+        error: null
+      });
+    }
+
+    // If the stream went on too long, carry on with a new one
+    if (error.code === GRPC_OUT_OF_RANGE) {
+      return rotateStream();
+    }
+
+    // Keep the audio which comes in until there's a new stream
+    stream.closing = true;
+    speechStream = null;
+    clearTimeout(rotateTimer);
+
+    retryTimer = scheduleRetry(error, streamRetries++, reconnectStream);
+    if (!retryTimer) {
+      recording = false;
+      stream.callback({
+        type: 'error',
+        recording: false,
+        error: error
+      });
+    }
+  }
+
+  /**
+   * Opens a new stream after the last one failed, replaying the audio which
+   * came in while it was down.
+   */
+  function reconnectStream() {
+    retryTimer = null;
+    if (!recording) {
+      return;
+    }
+
+    openStream(audioSeconds - overlapBytes / bytesPerSecond,
+               overlapBuffer.slice());
+  }
+
+  /**
+   * Replaces the current stream with a new one.
+   *
+   * The current stream is half-closed so it still returns its last final
+   * results, and the most recent audio is replayed into the new stream.
+   */
+  function rotateStream() {
+    if (!speechStream || !recording) {
+      return;
+    }
+
+    var previous = speechStream;
+    previous.closing = true;
+    previous.client.end();
+
+    openStream(audioSeconds - overlapBytes / bytesPerSecond,
+               overlapBuffer.slice());
+  }
+
+  /**
+   * Writes audio data to a stream, sending the initial request first.
+   *
+   * @param {!Object} stream The stream to write to.
+   * @param {!Buffer} audioData Raw audio data.
+   */
+  function writeAudio(stream, audioData) {
+    // If this is the first request to the API, send the metadata
+    if (stream.initialRequest) {
+      stream.client.write({
+        streamingConfig: {
+          config: createRecognitionConfig(streamingOptions.config),
+          interimResults: streamingOptions.interimResults,
+          singleUtterance: streamingOptions.singleUtterance
+        }
+      });
+
+      stream.initialRequest = false;
+    }
+
+    stream.client.write({
+      audioContent: audioData
+    });
+  }
+
+  /**
+   * Stitches the results of a stream onto what's been returned before.
+   *
+   * Interim results from a stream being rotated away from are dropped, as the
+   * new stream takes over. The replayed audio at the start of a new stream
+   * repeats the end of the last final result, so those words are trimmed,
+   * along with their timings.
+   *
+   * @param {!Object} stream The stream the results came from.
+   * @param {!Array<Object>} results The results.
+   * @return {!Array<Object>} The results to return.
+   */
+  function stitchResults(stream, results) {
+    var stitched = [];
+
+    for (var r = 0; r < results.length; r++) {
+      var result = results[r];
+
+      if (stream.closing && !result.isFinal) {
+        continue;
+      }
+
+      if (stream.trimOverlap) {
+        for (var a = 0; a < result.alternatives.length; a++) {
+          var alternative = result.alternatives[a];
+          alternative.transcript = trimOverlap(lastFinalTranscript,
+                                               alternative.transcript);
+          alternative.words = wordTimings.align(alternative.words,
+                                                alternative.transcript);
+        }
+      }
+
+      if (result.isFinal && result.alternatives.length) {
+        stream.trimOverlap = false;
+        lastFinalTranscript = result.alternatives[0].transcript;
+      }
+
+      if (result.alternatives.length &&
+          result.alternatives[0].transcript.trim()) {
+        stitched.push(result);
+      }
+    }
+
+    return stitched;
+  }
+
+  /**
+   * Removes words at the start of a transcript which repeat the end of the
+   * previous one.
+   *
+   * @param {!string} previous The previous transcript.
+   * @param {!string} transcript The transcript to trim.
+   * @return {!string} The trimmed transcript.
+   */
+  function trimOverlap(previous, transcript) {
+    var previousWords = previous.toLowerCase().trim().split(/\s+/);
+    var words = transcript.trim().split(/\s+/);
+
+    for (var length = Math.min(previousWords.length, words.length);
+         length > 0; length--) {
+      var tail = previousWords.slice(previousWords.length - length).join(' ');
+      var head = words.slice(0, length).join(' ').toLowerCase();
+      if (tail === head) {
+        return (transcript.charAt(0) === ' ' ? ' ' : '') +
+               words.slice(length).join(' ');
+      }
+    }
+
+    return transcript;
+  }
+
+  /**
+   * Starts recording.
+   *
+   * This creates the speech service, and then returns its status when
+   * finished. The stream to the API is rotated for a new one before it hits
+   * the API's duration limit, and reconnected if it fails with a retryable
+   * error, so recording carries on as one session.
+   *
+   * @param {!Object<string>} options Streaming options, e.g. sample rate.
+   * @param {!function} callback Function to call when ready to accept
+   * streaming audio data.
+   */
+  this.startRecording = function(options, callback) {
+    var retries = 0;
+
+    streamingOptions = options;
+    recordingCallback = callback;
+    recording = true;
+    streamRetries = 0;
+    bytesPerSecond = options.config.sampleRate * 2; // 16 bit mono audio
+    audioSeconds = 0;
+    overlapBuffer = [];
+    overlapBytes = 0;
+    lastFinalTranscript = '';
+
+    /**
+     * Creates the speech service and opens the first stream, retrying if it
+     * can't.
+     */
+    function connect() {
+      retryTimer = null;
+
+      getSpeechService(function(err, service) {
+        // Recording has started again since
+        if (recordingCallback !== callback) {
+          return;
+        }
+
+        // Recording was stopped while we were connecting
+        if (!recording) {
+          return callback({
+            type: 'status',
+            recording: false,
+            error: null
+          });
+        }
+
+        if (err) {
+          retryTimer = scheduleRetry(err, retries++, connect);
+          if (!retryTimer) {
+            recording = false;
+            callback({
+              type: 'error',
+              recording: false,
+              error: err
+            });
+          }
+          return;
+        }
+
+        // Start the speech service
+        speechService = service;
+        openStream(0, []);
+
+        // We're all set, trigger the callback
+        callback({
+          type: 'status',
+          recording: true,
+          error: null
+        });
+      });
+    }
+
+    connect();
+  };
+
+  /**
+   * Recognises streaming audio data.
+   *
+   * Passes the audio data through to the Cloud Speech API, with an initial
+   * request to set the right metadata (sample rate, etc). While the stream
+   * is reconnecting, the audio is kept to replay into the new one.
+   *
+   * @param {!Buffer} audioData Raw audio data.
+   */
+  this.recognise = function(audioData) {
+    if (!speechStream && !retryTimer) {
+      return;
+    }
+
+    if (speechStream) {
+      writeAudio(speechStream, audioData);
+    }
+    audioSeconds += audioData.length / bytesPerSecond;
+
+    // Keep hold of the most recent audio for the next stream, or all of it
+    // while there isn't one
+    var keepSeconds = speechStream ? OVERLAP_SECONDS :
+                                     RECONNECT_BUFFER_SECONDS;
+    overlapBuffer.push(audioData);
+    overlapBytes += audioData.length;
+    while (overlapBuffer.length &&
+           overlapBytes - overlapBuffer[0].length >=
+           keepSeconds * bytesPerSecond) {
+      overlapBytes -= overlapBuffer.shift().length;
+    }
+  };
+
+  /**
+   * Stops recording.
+   *
+   * This also closes the speech service if it's currently open.
+   */
+  this.stopRecording = function() {
+    clearTimeout(rotateTimer);
+
+    // Stop the speech client if it's open
+    if (speechStream) {
+      speechStream.client.end();
+    } else if (retryTimer && recording) {
+      // There's no stream to end, so we've stopped now
+      recordingCallback({
+        type: 'status',
+        recording: false,
+        error: null
+      });
+    }
+    clearTimeout(retryTimer);
+    retryTimer = null;
+
+    // Reset the speech client
+    speechStream = null;
+    recording = false;
+  };
+}
@@ -0,0 +1,322 @@
+/**
+ * Cloud Speech API streaming example for Node.js using gRPC.
+ *
+ * This file is the mock recognition provider. It never leaves the machine,
+ * and instead plays back scripted transcripts as audio data comes in, so the
+ * server and client can be developed and demoed without credentials.
+ */
+var fs = require('fs');
+
+module.exports = MockSpeechProvider;
+
+/**
+ * Transcripts to play back when no script file is given.
+ *
+ * @const {!Array<string>}
+ */
+MockSpeechProvider.DEFAULT_SCRIPT = [
+  'this is the mock speech provider',
+  'it returns scripted transcripts as audio comes in',
+  'set the speech provider to google to use the real service'
+];
+
+/**
+ * Words which sound like others, for making up the other alternatives of
+ * final results.
+ *
+ * @const {!Object<string>}
+ */
+MockSpeechProvider.SOUNDALIKES = {
+  'this': 'these', 'is': 'as', 'the': 'a', 'mock': 'mark', 'speech': 'speed',
+  'provider': 'providers', 'it': 'at', 'returns': 'return',
+  'scripted': 'script', 'transcripts': 'transcript', 'audio': 'radio',
+  'comes': 'come', 'in': 'and', 'set': 'sit', 'to': 'two', 'use': 'lose',
+  'real': 'reel', 'service': 'surface'
+};
+
+/**
+ * Confidences the words of final results cycle through, so some look
+ * unsure.
+ *
+ * @const {!Array<number>}
+ */
+MockSpeechProvider.WORD_CONFIDENCES = [0.96, 0.92, 0.87, 0.58, 0.94, 0.9];
+
+/**
+ * Mock recognition provider.
+ *
+ * Results are driven by the amount of audio received rather than by timers,
+ * so the same audio always produces the same results: one more word of the
+ * current utterance is returned as an interim result for every
+ * MOCK_SPEECH_WORD_SECONDS of audio, followed by a final result once the
+ * utterance is complete. Each word is timed as the audio it took, and final
+ * results have up to config.maxAlternatives alternatives, made up by
+ * swapping words for ones which sound like them.
+ *
+ * The transcripts are read from the JSON array in MOCK_SPEECH_SCRIPT if it's
+ * set, and otherwise default to MockSpeechProvider.DEFAULT_SCRIPT.
+ *
+ * @constructor
+ */
+function MockSpeechProvider() {
+  'use strict';
+
+  if (!(this instanceof MockSpeechProvider)) {
+    return new MockSpeechProvider();
+  }
+
+  var script = loadScript(process.env.MOCK_SPEECH_SCRIPT);
+  var wordSeconds = parseFloat(process.env.MOCK_SPEECH_WORD_SECONDS) || 0.4;
+
+  // Client-specific
+  var recordingCallback = null;
+  var bytesPerSecond = 0;
+  var bytesReceived = 0;
+  var utteranceIndex = 0; // Which utterance of the script we're on
+  var wordCount = 0; // How many of its words have been returned
+  var wordsBefore = 0; // Words of the recording before this utterance
+  var maxAlternatives = 1;
+  var wordTimeOffsets = true;
+
+  /**
+   * Loads the transcripts to play back.
+   *
+   * @param {?string} scriptPath Path to a JSON array of transcripts.
+   * @return {!Array<string>} The transcripts.
+   */
+  function loadScript(scriptPath) {
+    if (!scriptPath) {
+      return MockSpeechProvider.DEFAULT_SCRIPT;
+    }
+
+    var transcripts = JSON.parse(fs.readFileSync(scriptPath, 'utf8'));
+    if (!Array.isArray(transcripts) || !transcripts.length) {
+      throw new Error('Mock speech script must be a non-empty array: ' +
+                      scriptPath);
+    }
+    return transcripts;
+  }
+
+  /**
+   * Builds a speech result in the same shape as the Cloud Speech API.
+   *
+   * @param {!Array<string>} words Words of the transcript.
+   * @param {!boolean} isFinal Whether this is a final result.
+   * @param {!number} firstWord Where the first word comes in the recording,
+   * counting words, to time them from.
+   * @return {!Array<Object>} The results.
+   */
+  function createResults(words, isFinal, firstWord) {
+    var alternatives = [createAlternative(words, isFinal, firstWord, 1)];
+
+    // Swap a different word for each alternative, from the end
+    if (isFinal) {
+      for (var w = words.length - 1;
+           w >= 0 && alternatives.length < maxAlternatives; w--) {
+        var word = words[w].toLowerCase();
+        if (MockSpeechProvider.SOUNDALIKES.hasOwnProperty(word)) {
+          var swapped = words.slice();
+          swapped[w] = MockSpeechProvider.SOUNDALIKES[word];
+          alternatives.push(createAlternative(swapped, true, firstWord,
+              Math.pow(0.8, alternatives.length)));
+        }
+      }
+    }
+
+    return [{
+      alternatives: alternatives,
+      isFinal: isFinal,
+      stability: isFinal ? 0 : 0.5
+    }];
+  }
+
+  /**
+   * Builds an alternative, with its words timed and, if it's final, given
+   * confidences.
+   *
+   * @param {!Array<string>} words Words of the transcript.
+   * @param {!boolean} isFinal Whether it's part of a final result.
+   * @param {!number} firstWord Where the first word comes in the recording.
+   * @param {!number} scale How much less sure it is than the top
+   * alternative.
+   * @return {!Object} The alternative.
+   */
+  function createAlternative(words, isFinal, firstWord, scale) {
+    var timedWords = words.map(function(word, w) {
+      var index = firstWord + w;
+      var confidences = MockSpeechProvider.WORD_CONFIDENCES;
+      return {
+        word: word,
+        start: Math.round(index * wordSeconds * 1000) / 1000,
+        end: Math.round((index + 1) * wordSeconds * 1000) / 1000,
+        confidence: isFinal ? Math.round(
+            confidences[index % confidences.length] * scale * 100) / 100 :
+            null
+      };
+    });
+
+    var confidence = null;
+    if (isFinal) {
+      confidence = timedWords.reduce(function(total, word) {
+        return total + word.confidence;
+      }, 0) / timedWords.length;
+      confidence = Math.round(confidence * 100) / 100;
+    }
+
+    return {
+      transcript: words.join(' '),
+      confidence: confidence,
+      words: wordTimeOffsets ? timedWords : []
+    };
+  }
+
+  /**
+   * Moves on to the next utterance of the script.
+   *
+   * @return {!Array<string>} Words of the utterance which was current.
+   */
+  function nextUtterance() {
+    var words = script[utteranceIndex].split(' ');
+    utteranceIndex = (utteranceIndex + 1) % script.length;
+    wordsBefore += wordCount;
+    wordCount = 0;
+    return words;
+  }
+
+  /**
+   * Checks credentials can be obtained, which the mock never needs.
+   *
+   * @param {!function(?Error)} callback Called straight away, without an
+   * error.
+   */
+  this.checkCredentials = function(callback) {
+    process.nextTick(function() {
+      callback(null);
+    });
+  };
+
+  /**
+   * Recognises a file.
+   *
+   * Always returns the next utterance of the script, whatever the audio.
+   *
+   * @param {!string} audioData Base64 encoding string of audio data to be
+   * processed.
+   * @param {!Object<string>} config Recognition config, e.g. encoding.
+   * @param {function} callback Callback function when there's a response.
+   */
+  this.recogniseFile = function(audioData, config, callback) {
+    var words = nextUtterance();
+
+    maxAlternatives = config.maxAlternatives || 1;
+    wordTimeOffsets = config.enableWordTimeOffsets !== false;
+    var results = createResults(words, true, 0);
+
+    process.nextTick(function() {
+      callback({
+        success: true,
+        data: results,
+        error: null
+      });
+    });
+  };
+
+  /**
+   * Starts recording.
+   *
+   * @param {!Object<string>} options Streaming options, e.g. sample rate.
+   * @param {!function} callback Function to call when ready to accept
+   * streaming audio data.
+   */
+  this.startRecording = function(options, callback) {
+    recordingCallback = callback;
+    bytesPerSecond = options.config.sampleRate * 2; // 16 bit mono audio
+    bytesReceived = 0;
+    wordsBefore = 0;
+    wordCount = 0;
+    maxAlternatives = options.config.maxAlternatives || 1;
+    wordTimeOffsets = options.config.enableWordTimeOffsets !== false;
+
+    process.nextTick(function() {
+      callback({
+        type: 'status',
+        recording: true,
+        error: null
+      });
+    });
+  };
+
+  /**
+   * Recognises streaming audio data.
+   *
+   * @param {!ArrayBuffer} audioData Arraybuffer of raw audio data.
+   */
+  this.recognise = function(audioData) {
+    if (!recordingCallback) {
+      return;
+    }
+
+    bytesReceived += audioData.byteLength;
+
+    // Return another word for every wordSeconds of audio
+    var bytesPerWord = bytesPerSecond * wordSeconds;
+    while (bytesReceived >= bytesPerWord) {
+      bytesReceived -= bytesPerWord;
+
+      var words = script[utteranceIndex].split(' ');
+      var firstWord = wordsBefore;
+      wordCount++;
+
+      if (wordCount < words.length) {
+        recordingCallback({
+          type: 'data',
+          data: createResults(words.slice(0, wordCount), false, firstWord),
+          offset: 0,
+          recording: true,
+          error: null
+        });
+      } else {
+        recordingCallback({
+          type: 'data',
+          data: createResults(nextUtterance(), true, firstWord),
+          offset: 0,
+          recording: true,
+          error: null
+        });
+      }
+    }
+  };
+
+  /**
+   * Stops recording.
+   *
+   * Returns whatever is left of the current utterance as a final result.
+   */
+  this.stopRecording = function() {
+    var callback = recordingCallback;
+    if (!callback) {
+      return;
+    }
+    recordingCallback = null;
+
+    if (wordCount) {
+      var words = script[utteranceIndex].split(' ').slice(0, wordCount);
+      var firstWord = wordsBefore;
+      nextUtterance();
+
+      callback({
+        type: 'data',
+        data: createResults(words, true, firstWord),
+        offset: 0,
+        recording: true,
+        error: null
+      });
+    }
+
+    callback({
+      type: 'status',
+      recording: false,
+      error: null
+    });
+  };
+}
@@ -0,0 +1,178 @@
+/**
+ * Cloud Speech API streaming example for Node.js using gRPC.
+ *
+ * This file keeps track of how much of the Cloud Speech API each client is
+ * using, and stops them going over their quotas.
+ */
+module.exports = QuotaManager;
+
+/**
+ * Client quota manager.
+ *
+ * There are three quotas, each of which is unlimited when it's 0:
+ * concurrentStreams, audioSecondsPerDay (reset at midnight UTC) and
+ * fileRecognitionsPerMinute. Clients can have their own quotas, which
+ * override the defaults.
+ *
+ * @constructor
+ * @param {!Object<number>} defaultQuotas Quotas for clients without their
+ * own.
+ */
+function QuotaManager(defaultQuotas) {
+  'use strict';
+
+  if (!(this instanceof QuotaManager)) {
+    return new QuotaManager(defaultQuotas);
+  }
+
+  // Usage of each client, by client ID
+  var usage = {};
+
+  /**
+   * Returns a client's usage, starting a new day if needed.
+   *
+   * @param {!Object} client The client.
+   * @return {!Object} The client's usage.
+   */
+  function getUsage(client) {
+    var day = new Date().toISOString().substring(0, 10);
+
+    if (!usage.hasOwnProperty(client.id)) {
+      usage[client.id] = {
+        streams: 0,
+        day: day,
+        audioSeconds: 0,
+        fileRecognitions: [] // Times of recent file recognitions
+      };
+    }
+
+    var clientUsage = usage[client.id];
+    if (clientUsage.day !== day) {
+      clientUsage.day = day;
+      clientUsage.audioSeconds = 0;
+    }
+    return clientUsage;
+  }
+
+  /**
+   * Returns one of a client's quotas.
+   *
+   * @param {!Object} client The client.
+   * @param {!string} name Name of the quota.
+   * @return {number} The quota, or 0 if it's unlimited.
+   */
+  function getQuota(client, name) {
+    if (client.quotas && client.quotas.hasOwnProperty(name)) {
+      return Number(client.quotas[name]) || 0;
+    }
+    return defaultQuotas[name] || 0;
+  }
+
+  /**
+   * Starts a stream for a client, if it's within its quota.
+   *
+   * @param {!Object} client The client.
+   * @return {boolean} Whether the stream can start.
+   */
+  this.startStream = function(client) {
+    var clientUsage = getUsage(client);
+    var quota = getQuota(client, 'concurrentStreams');
+
+    if (quota && clientUsage.streams >= quota) {
+      return false;
+    }
+    clientUsage.streams++;
+    return true;
+  };
+
+  /**
+   * Ends a stream started with startStream.
+   *
+   * @param {!Object} client The client.
+   */
+  this.endStream = function(client) {
+    var clientUsage = getUsage(client);
+    clientUsage.streams = Math.max(0, clientUsage.streams - 1);
+  };
+
+  /**
+   * Returns whether a client has any audio quota left today.
+   *
+   * @param {!Object} client The client.
+   * @return {boolean} Whether it has audio left.
+   */
+  this.hasAudioLeft = function(client) {
+    var quota = getQuota(client, 'audioSecondsPerDay');
+    return !quota || getUsage(client).audioSeconds < quota;
+  };
+
+  /**
+   * Adds audio a client has used.
+   *
+   * @param {!Object} client The client.
+   * @param {!number} seconds How much audio it used.
+   * @return {boolean} Whether it's still within its quota.
+   */
+  this.addAudio = function(client, seconds) {
+    getUsage(client).audioSeconds += seconds;
+    return this.hasAudioLeft(client);
+  };
+
+  /**
+   * Adds the audio of a file a client sent, if it fits in the audio it has
+   * left today. Files which don't fit aren't counted.
+   *
+   * @param {!Object} client The client.
+   * @param {!number} seconds How long the file is.
+   * @return {boolean} Whether the file can be recognised.
+   */
+  this.addFileAudio = function(client, seconds) {
+    var quota = getQuota(client, 'audioSecondsPerDay');
+    var clientUsage = getUsage(client);
+    if (quota && clientUsage.audioSeconds + seconds > quota) {
+      return false;
+    }
+
+    clientUsage.audioSeconds += seconds;
+    return true;
+  };
+
+  /**
+   * Counts a file recognition for a client, if it's within its quota.
+   *
+   * @param {!Object} client The client.
+   * @return {boolean} Whether the file can be recognised.
+   */
+  this.addFileRecognition = function(client) {
+    var clientUsage = getUsage(client);
+    var quota = getQuota(client, 'fileRecognitionsPerMinute');
+    var minuteAgo = Date.now() - 60 * 1000;
+
+    clientUsage.fileRecognitions = clientUsage.fileRecognitions.filter(
+        function(time) {
+      return time > minuteAgo;
+    });
+
+    if (quota && clientUsage.fileRecognitions.length >= quota) {
+      return false;
+    }
+    clientUsage.fileRecognitions.push(Date.now());
+    return true;
+  };
+
+  /**
+   * Returns a client's usage.
+   *
+   * @param {!Object} client The client.
+   * @return {!Object} How many streams it has open, how much audio it's used
+   * today, and how many files it's recognised in the last minute.
+   */
+  this.getUsage = function(client) {
+    var clientUsage = getUsage(client);
+    return {
+      streams: clientUsage.streams,
+      audioSeconds: clientUsage.audioSeconds,
+      fileRecognitions: clientUsage.fileRecognitions.length
+    };
+  };
+}
@@ -0,0 +1,361 @@
+/**
+ * Cloud Speech API streaming example for Node.js using gRPC.
+ *
+ * This file checks the recognition options clients send against a schema, so
+ * mistakes are turned away with the fields that are wrong rather than
+ * ignored.
+ */
+'use strict';
+
+var PostProcessor = require('./post-processor');
+var Redactor = require('./redactor');
+var speechErrors = require('./speech-errors');
+
+/**
+ * Encodings the API takes.
+ *
+ * @const {!Array<string>}
+ */
+var ENCODINGS = ['LINEAR16', 'FLAC', 'MULAW', 'AMR', 'AMR_WB'];
+
+/**
+ * Lowest and highest sample rates the API takes.
+ *
+ * @const {number}
+ */
+var MIN_SAMPLE_RATE = 8000;
+var MAX_SAMPLE_RATE = 48000;
+
+/**
+ * Highest sample rate streaming audio can be sent at, before it's
+ * resampled.
+ *
+ * @const {number}
+ */
+var MAX_INPUT_SAMPLE_RATE = 192000;
+
+/**
+ * Most channels streaming and raw audio can have.
+ *
+ * @const {number}
+ */
+var MAX_CHANNELS = 8;
+
+/**
+ * Most hint phrases a session can have, and the longest each can be.
+ *
+ * @const {number}
+ */
+var MAX_PHRASES = 500;
+var MAX_PHRASE_LENGTH = 100;
+
+/**
+ * Most alternatives a result can have.
+ *
+ * @const {number}
+ */
+var MAX_ALTERNATIVES = 30;
+
+// BCP-47 language tags, e.g. en-GB
+var LANGUAGE_CODE_PATTERN = /^[a-z]{2,3}(-[a-z0-9]{2,8})*$/i;
+
+/**
+ * Checks post-processing options by creating a post-processor.
+ *
+ * @param {*} value The options.
+ * @throws {Error} If they're invalid.
+ */
+function checkPostProcessing(value) {
+  new PostProcessor(value);
+}
+
+/**
+ * Checks redaction options by creating a redactor.
+ *
+ * @param {*} value The options.
+ * @throws {Error} If they're invalid.
+ */
+function checkRedaction(value) {
+  new Redactor(value);
+}
+
+/**
+ * Options of streaming sessions, from the recording start message.
+ *
+ * Each field has a type, and can have a min and max for numbers, a list of
+ * values or a pattern for strings, the fields of objects, the items of
+ * arrays and their maxItems, or a check function which throws if the value
+ * is invalid. Objects can have aliases: other names their fields are sent
+ * as. Arrays marked single take a single value as a list of one.
+ *
+ * @const {!Object}
+ */
+var STREAMING_SCHEMA = {
+  type: 'object',
+  fields: {
+    input: {
+      type: 'object',
+      fields: {
+        sampleRate: {type: 'number', min: MIN_SAMPLE_RATE,
+                     max: MAX_INPUT_SAMPLE_RATE},
+        channels: {type: 'integer', min: 1, max: MAX_CHANNELS}
+      }
+    },
+    config: {
+      type: 'object',
+      fields: {
+        // The API always gets the resampled audio, so this is all it can be
+        encoding: {type: 'string', values: ['LINEAR16']},
+        sampleRate: {type: 'number', min: MIN_SAMPLE_RATE,
+                     max: MAX_INPUT_SAMPLE_RATE},
+        languageCode: {type: 'string', pattern: LANGUAGE_CODE_PATTERN},
+        profanityFilter: {type: 'boolean'},
+        maxAlternatives: {type: 'integer', min: 1, max: MAX_ALTERNATIVES},
+        enableWordTimeOffsets: {type: 'boolean'},
+        speechContext: {
+          type: 'object',
+          fields: {
+            phrases: {
+              type: 'array',
+              single: true,
+              maxItems: MAX_PHRASES,
+              items: {type: 'string', maxLength: MAX_PHRASE_LENGTH}
+            }
+          }
+        }
+      },
+      aliases: {
+        language: 'languageCode',
+        sampleRateHertz: 'sampleRate'
+      }
+    },
+    interimResults: {type: 'boolean'},
+    singleUtterance: {type: 'boolean'},
+    archive: {type: 'boolean'},
+    postProcessing: {check: checkPostProcessing},
+    redaction: {check: checkRedaction}
+  }
+};
+
+/**
+ * Parameters of file recognitions, over WebSockets or HTTP.
+ *
+ * @const {!Object}
+ */
+var FILE_SCHEMA = {
+  type: 'object',
+  fields: {
+    encoding: {type: 'string', values: ENCODINGS},
+    sampleRate: {type: 'number', min: MIN_SAMPLE_RATE, max: MAX_SAMPLE_RATE},
+    channels: {type: 'integer', min: 1, max: MAX_CHANNELS},
+    languageCode: {type: 'string', pattern: LANGUAGE_CODE_PATTERN},
+    profanityFilter: {type: 'boolean'},
+    maxAlternatives: {type: 'integer', min: 1, max: MAX_ALTERNATIVES},
+    enableWordTimeOffsets: {type: 'boolean'},
+    postProcessing: {check: checkPostProcessing},
+    redaction: {check: checkRedaction}
+  },
+  aliases: {
+    language: 'languageCode',
+    sampleRateHertz: 'sampleRate'
+  }
+};
+
+module.exports = {
+  ENCODINGS: ENCODINGS,
+  MIN_SAMPLE_RATE: MIN_SAMPLE_RATE,
+  MAX_SAMPLE_RATE: MAX_SAMPLE_RATE,
+  MAX_PHRASES: MAX_PHRASES,
+  MAX_PHRASE_LENGTH: MAX_PHRASE_LENGTH,
+  MAX_ALTERNATIVES: MAX_ALTERNATIVES,
+  LANGUAGE_CODE_PATTERN: LANGUAGE_CODE_PATTERN,
+  validate: validate,
+  validateStreaming: validateStreaming,
+  validateFile: validateFile
+};
+
+/**
+ * Returns the name of a value's type, for error messages.
+ *
+ * @param {*} value The value.
+ * @return {string} Its type.
+ */
+function typeOf(value) {
+  if (value === null) {
+    return 'null';
+  }
+  return Array.isArray(value) ? 'array' : typeof value;
+}
+
+/**
+ * Checks a value against its schema, adding any problems to the errors.
+ *
+ * @param {*} value The value.
+ * @param {!Object} schema Schema of the value.
+ * @param {!string} field Path of the value, e.g. config.languageCode.
+ * @param {!Array<Object>} errors Problems found so far, as the field and a
+ * message, which this adds to.
+ * @return {*} The value, with aliases renamed.
+ */
+function check(value, schema, field, errors) {
+  /**
+   * Adds a problem with the value.
+   *
+   * @param {!string} message What's wrong with it.
+   */
+  function addError(message) {
+    errors.push({
+      field: field,
+      message: message
+    });
+  }
+
+  if (schema.check) {
+    try {
+      schema.check(value);
+    } catch (e) {
+      addError(e.message);
+    }
+    return value;
+  }
+
+  if (schema.type === 'array' && schema.single && !Array.isArray(value)) {
+    value = [value];
+  }
+
+  var type = typeOf(value);
+  var expected = schema.type === 'integer' ? 'number' : schema.type;
+  if (type !== expected ||
+      (type === 'number' && !isFinite(value)) ||
+      (schema.type === 'integer' && Math.floor(value) !== value)) {
+    addError('must be a' + (/^[aeiou]/.test(schema.type) ? 'n ' : ' ') +
+             schema.type + ', not ' + (type === 'number' ? value : type));
+    return value;
+  }
+
+  if (type === 'number') {
+    if (schema.hasOwnProperty('min') && value < schema.min) {
+      addError('must be at least ' + schema.min);
+    } else if (schema.hasOwnProperty('max') && value > schema.max) {
+      addError('must be at most ' + schema.max);
+    }
+  } else if (type === 'string') {
+    if (schema.values && schema.values.indexOf(value) === -1) {
+      addError('must be one of ' + schema.values.join(', '));
+    } else if (schema.pattern && !schema.pattern.test(value)) {
+      addError('isn\'t valid: ' + value);
+    } else if (schema.maxLength && value.length > schema.maxLength) {
+      addError('must be at most ' + schema.maxLength + ' characters');
+    }
+  } else if (type === 'array') {
+    if (schema.maxItems && value.length > schema.maxItems) {
+      addError('must have at most ' + schema.maxItems + ' items');
+      return value;
+    }
+    value = value.map(function(item, i) {
+      return check(item, schema.items, field + '[' + i + ']', errors);
+    });
+  } else if (type === 'object') {
+    value = checkFields(value, schema, field, errors);
+  }
+
+  return value;
+}
+
+/**
+ * Returns whether an object has a key of its own. Options come from
+ * clients, so they can have a key called hasOwnProperty themselves.
+ *
+ * @param {!Object} object The object.
+ * @param {!string} key The key.
+ * @return {boolean} Whether it has the key.
+ */
+function hasOwn(object, key) {
+  return Object.prototype.hasOwnProperty.call(object, key);
+}
+
+/**
+ * Checks the fields of an object against its schema.
+ *
+ * @param {!Object} value The object.
+ * @param {!Object} schema Schema of the object.
+ * @param {!string} field Path of the object, or an empty string for the
+ * options themselves.
+ * @param {!Array<Object>} errors Problems found so far.
+ * @return {!Object} A copy of the object, with aliases renamed.
+ */
+function checkFields(value, schema, field, errors) {
+  var aliases = schema.aliases || {};
+  var checked = {};
+
+  Object.keys(value).forEach(function(key) {
+    var name = hasOwn(aliases, key) ? aliases[key] : key;
+    var path = field ? field + '.' + key : key;
+
+    if (!hasOwn(schema.fields, name)) {
+      errors.push({
+        field: path,
+        message: 'isn\'t a recognised option'
+      });
+    } else if (hasOwn(value, name) && name !== key) {
+      errors.push({
+        field: path,
+        message: 'can\'t be given as well as ' + name
+      });
+    } else if (value[key] !== undefined && value[key] !== null) {
+      checked[name] = check(value[key], schema.fields[name], path, errors);
+    }
+  });
+
+  return checked;
+}
+
+/**
+ * Checks options against a schema.
+ *
+ * @param {?Object} options The options.
+ * @param {!Object} schema Their schema.
+ * @return {!Object} The options with aliases renamed as options, and an
+ * INVALID_REQUEST error with the problems as details as error, or null if
+ * they're valid.
+ */
+function validate(options, schema) {
+  var errors = [];
+  var checked = check(options || {}, schema, '', errors);
+
+  if (!errors.length) {
+    return {
+      options: checked,
+      error: null
+    };
+  }
+
+  return {
+    options: null,
+    error: speechErrors.create('INVALID_REQUEST', 'Invalid options: ' +
+        errors.map(function(error) {
+          return (error.field ? error.field + ' ' : '') + error.message;
+        }).join('; '), errors)
+  };
+}
+
+/**
+ * Checks the options of a streaming session.
+ *
+ * @param {?Object} options Options from the recording start message.
+ * @return {!Object} The checked options, and an error if they're invalid.
+ */
+function validateStreaming(options) {
+  return validate(options, STREAMING_SCHEMA);
+}
+
+/**
+ * Checks the parameters of a file recognition.
+ *
+ * @param {?Object} parameters Parameters from the client.
+ * @return {!Object} The checked parameters as options, and an error if
+ * they're invalid.
+ */
+function validateFile(parameters) {
+  return validate(parameters, FILE_SCHEMA);
+}
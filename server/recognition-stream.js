@@ -0,0 +1,455 @@
+/**
+ * Cloud Speech API streaming example for Node.js using gRPC.
+ *
+ * This file handles a single recognition stream of a client. Each stream has
+ * its own Cloud Speech API service, transcript session and audio archive, so
+ * a client can recognise several audio sources at once. Streams outlive the
+ * connection for a while, so a client which reconnects can resume them.
+ */
+var CloudSpeechApi = require('./cloud-speech-api-server');
+var recognitionOptions = require('./recognition-options');
+var speechErrors = require('./speech-errors');
+
+module.exports = RecognitionStream;
+
+/**
+ * How many of its latest messages a stream keeps, to resend to a client
+ * which missed them while it was reconnecting.
+ *
+ * @const {number}
+ */
+var OUTBOX_SIZE = 100;
+
+// Streams which can be resumed, by session ID
+var resumableStreams = Object.create(null);
+
+// Sequence number of the last message sent by any stream, so later messages
+// always have higher numbers, even across streams
+var lastMessageSeq = 0;
+
+/**
+ * Finds a stream which can be resumed.
+ *
+ * @param {!string} sessionId The stream's session ID.
+ * @return {?RecognitionStream} The stream, or null if it's ended.
+ */
+RecognitionStream.find = function(sessionId) {
+  return resumableStreams[sessionId] || null;
+};
+
+/**
+ * Recognition stream.
+ *
+ * Every message it sends to the client has the stream's ID as streamId, and
+ * a sequence number as seq. The stream counts towards the client's
+ * concurrent stream quota while it's open, and its audio towards the
+ * client's daily audio quota.
+ *
+ * If the connection drops, the stream can be detached, and carries on
+ * recognising the audio it has for the grace period. A reconnected client
+ * can attach it again, getting the messages it missed.
+ *
+ * @constructor
+ * @param {!string} id The stream ID, chosen by the client.
+ * @param {!Object} client The authenticated client the stream belongs to.
+ * @param {!function(string, Object)} emit Sends a message to the client.
+ * @param {!Object} services The transcriptStore, audioArchive, quotaManager,
+ * captionRooms and webhooks to use.
+ */
+function RecognitionStream(id, client, emit, services) {
+  'use strict';
+
+  if (!(this instanceof RecognitionStream)) {
+    return new RecognitionStream(id, client, emit, services);
+  }
+
+  var cloudSpeechApi = CloudSpeechApi();
+  var recording = false;
+  var session = null; // The current, or last, transcript session
+  var holdingQuota = false; // Whether we count towards concurrent streams
+  var outbox = []; // Latest messages, in case they need resending
+  var lastAudioSeq = 0; // Sequence number of the last audio from the client
+  var graceTimer = null; // Stops the stream if it's not resumed in time
+  var captionRoom = null; // Room the results are broadcast to, if any
+  var self = this;
+
+  this.id = id;
+  this.clientId = client.id;
+
+  // Socket ID of the connection the stream belongs to, set by its owner
+  this.owner = null;
+
+  /**
+   * Sends a message about this stream to the client.
+   *
+   * @param {!string} event The message name.
+   * @param {!Object} message The message.
+   */
+  function send(event, message) {
+    message.streamId = id;
+    message.seq = ++lastMessageSeq;
+
+    outbox.push({event: event, message: message});
+    if (outbox.length > OUTBOX_SIZE) {
+      outbox.shift();
+    }
+
+    // Detached streams keep their messages until they're resumed
+    if (emit) {
+      emit(event, message);
+    }
+
+    if (captionRoom && event === 'recordingData') {
+      services.captionRooms.broadcast(captionRoom, message);
+    }
+  }
+
+  /**
+   * Sends an event about the session to the webhooks.
+   *
+   * @param {!Object} recordingSession The session the event is about.
+   * @param {!string} event The event name.
+   * @param {!Object} data The event's data, which gets the session, client
+   * and stream added.
+   */
+  function notify(recordingSession, event, data) {
+    data.sessionId = recordingSession.id;
+    data.source = 'stream';
+    data.clientId = client.id;
+    data.streamId = id;
+    services.webhooks.send(event, data);
+  }
+
+  /**
+   * Stops the stream being resumable.
+   */
+  function forget() {
+    if (session && resumableStreams[session.id] === self) {
+      delete resumableStreams[session.id];
+    }
+  }
+
+  /**
+   * Stops counting this stream towards the client's concurrent streams.
+   */
+  function releaseQuota() {
+    if (holdingQuota) {
+      services.quotaManager.endStream(client);
+      holdingQuota = false;
+    }
+  }
+
+  /**
+   * Ends a transcript session and its audio archive, if it hasn't ended
+   * already.
+   *
+   * @param {!Object} recordingSession The session.
+   */
+  function endSession(recordingSession) {
+    if (recordingSession.ended) {
+      return;
+    }
+    recordingSession.ended = true;
+
+    notify(recordingSession, 'session.ended', {
+      redactions: cloudSpeechApi.getRedactions()
+    });
+    services.transcriptStore.end(recordingSession.id);
+
+    if (recordingSession.audioWriter) {
+      recordingSession.audioWriter.end();
+      recordingSession.audioWriter = null;
+    }
+
+    // Only the current session has the stream's quota and caption room
+    if (recordingSession !== session) {
+      return;
+    }
+    releaseQuota();
+
+    if (captionRoom) {
+      services.captionRooms.end(captionRoom);
+    }
+
+    // A detached stream stays resumable until the grace period is over, so
+    // the client can still get its last messages
+    if (emit) {
+      forget();
+    }
+  }
+
+  /**
+   * Starts recording.
+   *
+   * Invalid options are turned away before anything else, with a
+   * recordingError whose error has the details of each field. Each start
+   * is a new session with its own state, so messages the provider sends
+   * late about a session which has been replaced are dropped.
+   *
+   * @param {?Object} options Streaming options from the client.
+   */
+  this.start = function(options) {
+    var validated = recognitionOptions.validateStreaming(options);
+    if (validated.error) {
+      return send('recordingError', {
+        recording: false,
+        error: validated.error
+      });
+    }
+    options = validated.options;
+
+    // Check the client is within its quotas
+    if (!services.quotaManager.hasAudioLeft(client)) {
+      return send('recordingError', {
+        recording: false,
+        error: speechErrors.create('QUOTA_AUDIO_SECONDS')
+      });
+    }
+    if (!services.quotaManager.startStream(client)) {
+      return send('recordingError', {
+        recording: false,
+        error: speechErrors.create('QUOTA_CONCURRENT_STREAMS')
+      });
+    }
+    holdingQuota = true;
+
+    // Keep the transcript of the recording
+    var languageCode = (options.config && options.config.languageCode) ||
+                       CloudSpeechApi.LANGUAGE_CODE;
+    var current = {
+      id: services.transcriptStore.create('stream', languageCode, options,
+                                          client.id).id,
+      ended: false,
+      audioWriter: null, // Archives the audio, if the client asked for it
+      lastResultEnd: 0
+    };
+    session = current;
+
+    lastAudioSeq = 0;
+    resumableStreams[current.id] = self;
+
+    notify(current, 'session.started', {
+      languageCode: languageCode
+    });
+
+    // Start the service
+    cloudSpeechApi.startRecording(options, function(status) {
+      // Recording has started again since
+      if (current !== session) {
+        return;
+      }
+
+      // The session was stopped, and the client only needs the last of it
+      if (current.ended) {
+        return send(status.type === 'data' ? 'recordingData' :
+                    status.type === 'status' ? 'recordingStatusChange' :
+                    'recordingError', {
+          recording: status.recording,
+          data: status.data,
+          offset: status.offset,
+          sampleRate: status.sampleRate,
+          sessionId: current.id,
+          error: status.error
+        });
+      }
+
+      // Set whether we're ready to record or not
+      recording = status.recording;
+
+      if (status.type === 'data') {
+        var finalResults = status.data.filter(function(result) {
+          return result.isFinal;
+        });
+        if (finalResults.length) {
+          var audioTime = cloudSpeechApi.getAudioTime();
+          services.transcriptStore.addResults(current.id, finalResults,
+                                              current.lastResultEnd,
+                                              audioTime);
+          current.lastResultEnd = audioTime;
+
+          var redactions = cloudSpeechApi.getRedactions();
+          if (Object.keys(redactions).length) {
+            services.transcriptStore.setRedactions(current.id, redactions);
+          }
+
+          notify(current, 'result.final', {
+            offset: status.offset,
+            results: finalResults
+          });
+        }
+
+        send('recordingData', {
+          recording: status.recording,
+          data: status.data,
+          offset: status.offset,
+          sessionId: current.id,
+          error: status.error
+        });
+      } else if (status.type === 'status') {
+        if (status.recording && options.archive && !current.audioWriter) {
+          current.audioWriter = services.audioArchive.createWriter(
+              current.id, status.sampleRate);
+        } else if (!status.recording) {
+          endSession(current);
+        }
+
+        // Let the client know
+        send('recordingStatusChange', {
+          recording: status.recording,
+          sampleRate: status.sampleRate,
+          sessionId: current.id,
+          error: status.error
+        });
+      } else if (status.type === 'error') {
+        notify(current, 'error', {
+          error: status.error
+        });
+        endSession(current);
+
+        send('recordingError', {
+          recording: status.recording,
+          error: status.error
+        });
+      }
+    });
+  };
+
+  /**
+   * Recognises audio data from the client.
+   *
+   * @param {!Buffer} audioData Raw audio data.
+   * @param {?number} seq Sequence number of the audio, if the client sends
+   * them. Audio which has already been received, e.g. when the client
+   * replays it after reconnecting, is ignored.
+   */
+  this.write = function(audioData, seq) {
+    if (typeof seq === 'number') {
+      if (seq <= lastAudioSeq) {
+        return;
+      }
+      lastAudioSeq = seq;
+    }
+
+    // Only pass through the audio data if we're meant to be recording
+    if (!recording) {
+      return;
+    }
+
+    var recognisedAudio = cloudSpeechApi.recognise(audioData);
+
+    if (!recognisedAudio) {
+      return;
+    }
+
+    if (session.audioWriter) {
+      session.audioWriter.write(recognisedAudio);
+    }
+
+    // Stop once the client has used up its audio for the day
+    var seconds = recognisedAudio.length / (CloudSpeechApi.SAMPLE_RATE * 2);
+    if (!services.quotaManager.addAudio(client, seconds)) {
+      this.stop();
+      send('recordingError', {
+        recording: false,
+        error: speechErrors.create('QUOTA_AUDIO_SECONDS')
+      });
+    }
+  };
+
+  /**
+   * Stops recording.
+   *
+   * The session ends straight away, rather than when the provider says it
+   * has, so it can't be confused with one started afterwards. Anything the
+   * provider sends about it afterwards is still passed on to the client,
+   * until another session starts, but isn't kept.
+   */
+  this.stop = function() {
+    // Stop the service
+    cloudSpeechApi.stopRecording();
+    if (session) {
+      endSession(session);
+    }
+    releaseQuota();
+
+    // We've stopped recording
+    recording = false;
+  };
+
+  /**
+   * Broadcasts the stream's results to a caption room, or stops
+   * broadcasting them.
+   *
+   * @param {?string} roomId The room's ID, or null to stop.
+   */
+  this.publish = function(roomId) {
+    if (captionRoom && captionRoom !== roomId) {
+      services.captionRooms.end(captionRoom);
+    }
+    captionRoom = roomId;
+  };
+
+  /**
+   * Detaches the stream from its connection, which has dropped.
+   *
+   * The stream carries on, keeping its messages, until the grace period is
+   * over and it's stopped.
+   *
+   * @param {!number} gracePeriod How long to wait to be resumed, in
+   * milliseconds.
+   */
+  this.detach = function(gracePeriod) {
+    emit = null;
+    this.owner = null;
+
+    clearTimeout(graceTimer);
+    graceTimer = setTimeout(function() {
+      graceTimer = null;
+      forget();
+      self.stop();
+    }, gracePeriod);
+  };
+
+  /**
+   * Attaches the stream to a new connection.
+   *
+   * @param {!string} owner Socket ID of the connection.
+   * @param {!function(string, Object)} newEmit Sends a message to the client.
+   * @param {!number} lastSeq Sequence number of the last message the client
+   * got, so the ones after it are resent.
+   */
+  this.attach = function(owner, newEmit, lastSeq) {
+    clearTimeout(graceTimer);
+    graceTimer = null;
+
+    this.owner = owner;
+    emit = newEmit;
+
+    // Let the client know where to carry on sending audio from
+    emit('recordingResumed', {
+      streamId: id,
+      recording: recording,
+      sessionId: session ? session.id : null,
+      lastAudioSeq: lastAudioSeq
+    });
+
+    outbox.forEach(function(item) {
+      if (item.message.seq > lastSeq) {
+        emit(item.event, item.message);
+      }
+    });
+
+    if (!session || session.ended) {
+      forget();
+    }
+  };
+
+  /**
+   * Returns whether the stream is recording.
+   *
+   * @return {boolean} Whether it's recording.
+   */
+  this.isRecording = function() {
+    return recording;
+  };
+}
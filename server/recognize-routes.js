@@ -0,0 +1,154 @@
+/**
+ * Cloud Speech API streaming example for Node.js using gRPC.
+ *
+ * This file has the HTTP routes for batch recognition, so backend services
+ * can recognise files without a WebSockets client.
+ */
+'use strict';
+
+var express = require('express');
+var multer = require('multer');
+var audioDecoder = require('./audio-decoder');
+var recognitionOptions = require('./recognition-options');
+var speechErrors = require('./speech-errors');
+
+module.exports = createRecognizeRoutes;
+
+/**
+ * Creates the batch recognition routes.
+ *
+ * POST /recognize takes a multipart form with the audio file as "audio",
+ * and optional encoding, sampleRate, channels, languageCode (or language),
+ * maxAlternatives, enableWordTimeOffsets (true or false), postProcessing (a
+ * comma separated list of transformers), redaction (a redaction policy) and
+ * callbackUrl fields. The encoding, sampleRate and
+ * channels are only used for raw audio, as they're read from the header of
+ * other files. Invalid fields get a 400 with the details of each one.
+ * It queues the file and responds with the job, whose status and result can
+ * be polled from GET /recognize/:id. If there's a callbackUrl, the finished
+ * job is POSTed to it as well.
+ *
+ * @param {!Object} services The auth, quotaManager and jobQueue to use.
+ * @param {!number} maxFileSize Largest audio file accepted, in bytes.
+ * @return {!express.Router} The routes.
+ */
+function createRecognizeRoutes(services, maxFileSize) {
+  var router = express.Router();
+  var upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+      fileSize: maxFileSize,
+      files: 1
+    }
+  });
+
+  router.post('/recognize', services.auth.httpMiddleware(),
+              upload.single('audio'), function(req, res) {
+    if (!req.file) {
+      return res.status(400).send({
+        error: speechErrors.create('INVALID_REQUEST',
+                                   'Missing "audio" file field')
+      });
+    }
+
+    // Turn away files we'd never be able to decode before queueing them
+    if (!audioDecoder.detect(req.file.buffer) && !req.body.encoding &&
+        !req.body.sampleRate) {
+      return res.status(400).send({
+        error: speechErrors.create('UNSUPPORTED_AUDIO',
+            'Unrecognised audio format. Send a WAV, FLAC, Ogg, WebM or MP3 ' +
+            'file, or give the encoding and sampleRate of raw audio')
+      });
+    }
+
+    var callbackUrl = req.body.callbackUrl || null;
+    if (callbackUrl && !/^https?:\/\//.test(callbackUrl)) {
+      return res.status(400).send({
+        error: speechErrors.create('INVALID_REQUEST',
+                                   'callbackUrl must be a HTTP(S) URL')
+      });
+    }
+
+    var parameters = {};
+    if (req.body.encoding) {
+      parameters.encoding = req.body.encoding;
+    }
+    if (req.body.sampleRate) {
+      parameters.sampleRate = Number(req.body.sampleRate);
+    }
+    if (req.body.channels) {
+      parameters.channels = Number(req.body.channels);
+    }
+    if (req.body.languageCode) {
+      parameters.languageCode = req.body.languageCode;
+    }
+    if (req.body.language) {
+      parameters.language = req.body.language;
+    }
+    if (req.body.maxAlternatives) {
+      parameters.maxAlternatives = Number(req.body.maxAlternatives);
+    }
+    if (req.body.enableWordTimeOffsets) {
+      // Form fields are strings, so anything else is left to be turned away
+      var enable = req.body.enableWordTimeOffsets;
+      parameters.enableWordTimeOffsets = enable === 'true' ? true :
+                                         enable === 'false' ? false : enable;
+    }
+    if (req.body.postProcessing) {
+      parameters.postProcessing = req.body.postProcessing;
+    }
+    if (req.body.redaction) {
+      parameters.redaction = req.body.redaction;
+    }
+
+    var validated = recognitionOptions.validateFile(parameters);
+    if (validated.error) {
+      return res.status(400).send({
+        error: validated.error
+      });
+    }
+
+    // Only files which get queued count towards the quota
+    if (services.jobQueue.isFull()) {
+      return res.status(503).send({
+        error: speechErrors.create('QUEUE_FULL')
+      });
+    }
+    if (!services.quotaManager.addFileRecognition(req.speechClient)) {
+      return res.status(429).send({
+        error: speechErrors.create('QUOTA_FILE_RECOGNITIONS')
+      });
+    }
+
+    var job = services.jobQueue.add({
+      audioData: req.file.buffer,
+      parameters: validated.options,
+      client: req.speechClient
+    }, req.speechClient.id, callbackUrl);
+
+    res.location('/recognize/' + job.id);
+    res.status(202).send(job);
+  });
+
+  router.get('/recognize/:id', services.auth.httpMiddleware(),
+             function(req, res) {
+    // Clients can only see their own jobs
+    var job = services.jobQueue.get(req.params.id);
+    if (!job || job.ownerId !== req.speechClient.id) {
+      return res.status(404).send({
+        error: speechErrors.create('INVALID_REQUEST', 'Job not found')
+      });
+    }
+
+    res.status(200).send(job);
+  });
+
+  // Turn upload errors, e.g. files which are too big, into our errors
+  router.use('/recognize', function(err, req, res, next) {
+    res.status(err.code === 'LIMIT_FILE_SIZE' ? 413 : 400).send({
+      error: speechErrors.create('INVALID_REQUEST', err.message)
+    });
+  });
+
+  return router;
+}
@@ -0,0 +1,420 @@
+/**
+ * Cloud Speech API streaming example for Node.js using gRPC.
+ *
+ * This file redacts personal information from results before they leave the
+ * server: card numbers, phone numbers, email addresses and national ID
+ * numbers, whether they're written with digits or spoken, e.g. "four one one
+ * one...".
+ */
+var crypto = require('crypto');
+var wordTimings = require('./word-timings');
+var words = require('./transformers/words');
+
+module.exports = Redactor;
+
+/**
+ * Entities which can be redacted, and their placeholders.
+ *
+ * @const {!Object<string>}
+ */
+Redactor.ENTITIES = {
+  'card': 'CARD_NUMBER',
+  'phone': 'PHONE_NUMBER',
+  'email': 'EMAIL',
+  'nationalId': 'NATIONAL_ID'
+};
+
+/**
+ * What can be done with redacted entities: masked with a placeholder,
+ * replaced with a placeholder and a hash of the entity, so the same entity
+ * can be matched up without being seen, or dropped altogether.
+ *
+ * @const {!Array<string>}
+ */
+Redactor.POLICIES = ['mask', 'hash', 'drop'];
+
+/**
+ * Values of spoken digits.
+ *
+ * @const {!Object<string>}
+ */
+var DIGIT_WORDS = {
+  'zero': '0', 'oh': '0', 'one': '1', 'two': '2', 'three': '3', 'four': '4',
+  'five': '5', 'six': '6', 'seven': '7', 'eight': '8', 'nine': '9'
+};
+
+/**
+ * Words which repeat the spoken digit after them, e.g. "double four".
+ *
+ * @const {!Object<number>}
+ */
+var REPEAT_WORDS = {
+  'double': 2,
+  'triple': 3
+};
+
+// Digits at the end of a result which are held back until the number is
+// complete, as they could be the start of an entity: until an interim result
+// is complete, or until the next final result, for numbers read out across
+// two of them
+var HELD_BACK_DIGITS = 4;
+
+// Written email addresses
+var EMAIL_PATTERN = /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g;
+
+// Spoken email addresses, e.g. "jane dot doe at example dot com"
+var SPOKEN_EMAIL_PATTERN = new RegExp('\\b[a-z0-9]+(?: (?:dot|underscore|' +
+    'dash|hyphen) [a-z0-9]+)* at [a-z0-9-]+(?: dot [a-z0-9-]+)+\\b(?! at )',
+    'gi');
+
+// US social security numbers, e.g. 123-45-6789, and UK national insurance
+// numbers, e.g. AB 12 34 56 C
+var NATIONAL_ID_PATTERN = new RegExp('\\b\\d{3}-\\d{2}-\\d{4}\\b|' +
+    '\\b[A-CEGHJ-PR-TW-Z]{2} ?\\d{2} ?\\d{2} ?\\d{2} ?[A-D]\\b', 'gi');
+
+// Secret the hashes are keyed with, so they can't be reversed by hashing
+// every possible card number
+var hashSecret = process.env.REDACTION_HASH_SECRET ||
+                 crypto.randomBytes(32).toString('hex');
+
+/**
+ * Personal information redactor.
+ *
+ * The options can be a policy name, or an object with the policy and the
+ * entities to redact, which default to all of them. If REDACTION_POLICY is
+ * set, every session is redacted with that policy unless it picks another
+ * one, and sessions can't turn redaction off.
+ *
+ * Runs of 7 or more digits, written, spoken or both, are redacted by how
+ * many digits they have: 13 to 19 are card numbers, 9 are national ID
+ * numbers, and the rest, or any starting with +, are phone numbers.
+ *
+ * @constructor
+ * @param {?Object|string|boolean} options Redaction options, from the
+ * session's options. true uses the mask policy.
+ * @throws {Error} If the policy or an entity doesn't exist.
+ */
+function Redactor(options) {
+  'use strict';
+
+  if (!(this instanceof Redactor)) {
+    return new Redactor(options);
+  }
+
+  var defaultPolicy = process.env.REDACTION_POLICY || null;
+
+  if (typeof options === 'string') {
+    options = {policy: options};
+  } else if (!options || typeof options !== 'object') {
+    options = {policy: options ? 'mask' : null};
+  }
+
+  var policy = options.policy || defaultPolicy ||
+               (options.entities ? 'mask' : null);
+  if (policy && Redactor.POLICIES.indexOf(policy) === -1) {
+    throw new Error('Unknown redaction policy: ' + policy);
+  }
+
+  var entities = options.entities || Object.keys(Redactor.ENTITIES);
+  entities.forEach(function(entity) {
+    if (!Redactor.ENTITIES.hasOwnProperty(entity)) {
+      throw new Error('Unknown redaction entity: ' + entity);
+    }
+  });
+
+  // How many of each entity have been redacted from final results
+  var counts = {};
+
+  // Digits held back from the end of the last final result, as their
+  // transcript and timed words, which go in front of the next result
+  var carried = {transcript: '', words: []};
+
+  this.enabled = !!policy;
+
+  /**
+   * Returns what an entity is replaced with.
+   *
+   * @param {!string} entity The entity, e.g. card.
+   * @param {!string} value The entity's text.
+   * @param {!Object<number>} found Counts of the entities found, which this
+   * one is added to.
+   * @return {string} The replacement.
+   */
+  function replace(entity, value, found) {
+    found[entity] = (found[entity] || 0) + 1;
+
+    if (policy === 'drop') {
+      return '';
+    } else if (policy === 'hash') {
+      // Spoken and written entities hash the same
+      var normalised = value.toLowerCase()
+          .replace(/ dot /g, '.').replace(/ at /g, '@')
+          .replace(/ underscore /g, '_').replace(/ (dash|hyphen) /g, '-')
+          .replace(/[^a-z0-9@._-]/g, '');
+      return '[' + Redactor.ENTITIES[entity] + ':' +
+             crypto.createHmac('sha256', hashSecret).update(normalised)
+                 .digest('hex').substring(0, 12) + ']';
+    }
+    return '[' + Redactor.ENTITIES[entity] + ']';
+  }
+
+  /**
+   * Returns the digits a word stands for.
+   *
+   * @param {!string} word The word, without punctuation.
+   * @param {?string} nextWord The word after it, for "double four".
+   * @return {?Object} The digits, and how many words they took, or null if
+   * it isn't a digit word.
+   */
+  function readDigits(word, nextWord) {
+    word = word.toLowerCase();
+
+    if (/^\+?\(?\d[\d()-]*$/.test(word)) {
+      return {
+        digits: word.replace(/[^\d+]/g, ''),
+        length: 1
+      };
+    }
+    if (DIGIT_WORDS.hasOwnProperty(word)) {
+      return {
+        digits: DIGIT_WORDS[word],
+        length: 1
+      };
+    }
+    if (REPEAT_WORDS.hasOwnProperty(word) && nextWord &&
+        DIGIT_WORDS.hasOwnProperty(nextWord.toLowerCase())) {
+      return {
+        digits: new Array(REPEAT_WORDS[word] + 1)
+            .join(DIGIT_WORDS[nextWord.toLowerCase()]),
+        length: 2
+      };
+    }
+    return null;
+  }
+
+  /**
+   * Returns which entity a run of digits is, if any.
+   *
+   * @param {!string} digits The digits, maybe starting with +.
+   * @return {?string} The entity, or null if it isn't one.
+   */
+  function classifyDigits(digits) {
+    var count = digits.replace(/\D/g, '').length;
+
+    if (digits.charAt(0) === '+' && count >= 7 && count <= 15) {
+      return 'phone';
+    } else if (count >= 13 && count <= 19) {
+      return 'card';
+    } else if (count === 9) {
+      return 'nationalId';
+    } else if (count >= 7 && count <= 12) {
+      return 'phone';
+    }
+    return null;
+  }
+
+  /**
+   * Redacts runs of written and spoken digits.
+   *
+   * @param {!string} transcript The transcript.
+   * @param {!Object<number>} found Counts of the entities found.
+   * @param {!boolean} isFinal Whether it's a final result.
+   * @param {?Object} held Gets the digits held back from the end of a final
+   * result as its transcript, or null if they aren't held back.
+   * @return {string} The redacted transcript.
+   */
+  function redactDigits(transcript, found, isFinal, held) {
+    var split = words.split(transcript);
+    var output = [];
+
+    for (var i = 0; i < split.words.length;) {
+      var digits = '';
+      var end = i;
+      var trailing = '';
+
+      // Read as many digit words as there are, up to any punctuation
+      while (end < split.words.length && !trailing) {
+        var parts = /^(.*?)([,.;:?!]*)$/.exec(split.words[end].word);
+        var next = split.words[end + 1] ?
+            split.words[end + 1].word.replace(/[,.;:?!]+$/, '') : null;
+        var read = parts[1] ? readDigits(parts[1], next) : null;
+        if (!read) {
+          break;
+        }
+
+        digits += read.digits;
+        end += read.length;
+        trailing = split.words[end - 1].word.match(/[,.;:?!]*$/)[0];
+      }
+
+      var entity = end > i ? classifyDigits(digits) : null;
+
+      // The speaker could still be reading out a number
+      if (!entity && (!isFinal || held) && end === split.words.length &&
+          digits.replace(/\D/g, '').length >= HELD_BACK_DIGITS) {
+        if (held) {
+          // Without its punctuation, so it runs on into the next result
+          held.transcript = words.join(split.words.slice(i), '').trim()
+              .replace(/[,.;:?!]+$/, '');
+        }
+        break;
+      }
+
+      if (!entity || entities.indexOf(entity) === -1) {
+        output.push(split.words[i]);
+        i++;
+        continue;
+      }
+
+      output.push({
+        space: split.words[i].space,
+        word: replace(entity, digits, found) + trailing
+      });
+      i = end;
+    }
+
+    return words.join(output, split.end);
+  }
+
+  /**
+   * Redacts a transcript.
+   *
+   * @param {!string} transcript The transcript.
+   * @param {!Object<number>} found Counts of the entities found.
+   * @param {!boolean} isFinal Whether it's a final result.
+   * @param {?Object} held Gets the digits held back from the end of a final
+   * result as its transcript, or null if they aren't held back.
+   * @return {string} The redacted transcript.
+   */
+  function redact(transcript, found, isFinal, held) {
+    if (entities.indexOf('email') !== -1) {
+      transcript = transcript.replace(EMAIL_PATTERN, function(email) {
+        return replace('email', email, found);
+      }).replace(SPOKEN_EMAIL_PATTERN, function(email) {
+        return replace('email', email, found);
+      });
+    }
+
+    if (entities.indexOf('nationalId') !== -1) {
+      transcript = transcript.replace(NATIONAL_ID_PATTERN, function(id) {
+        return replace('nationalId', id, found);
+      });
+    }
+
+    transcript = redactDigits(transcript, found, isFinal, held);
+
+    // Tidy up where entities were dropped
+    if (policy === 'drop') {
+      transcript = transcript.replace(/ {2,}/g, ' ')
+          .replace(/ ([,.;:?!])/g, '$1');
+    }
+    return transcript;
+  }
+
+  /**
+   * Redacts results.
+   *
+   * Interim and final results are both redacted, but only the top
+   * alternatives of final results are counted. Digits at the end of interim
+   * results are held back, so a number isn't shown bit by bit before it's
+   * long enough to be redacted. Digits at the end of final results are held
+   * back as well, and put in front of the next result, so numbers read out
+   * across two final results are redacted as one, unless they're the last
+   * results; flush gives them back if the last results weren't known to be.
+   * Results without isFinal, like those of files, count as final. The
+   * results passed in aren't changed.
+   *
+   * @param {!Array<Object>} results The results.
+   * @param {boolean=} last Whether they're the last results, so there's no
+   * next result for digits to be held back for.
+   * @return {!Array<Object>} Copies of the results with their transcripts
+   * redacted, or the same results if redaction is off.
+   */
+  this.process = function(results, last) {
+    if (!policy) {
+      return results;
+    }
+
+    return results.map(function(result) {
+      var isFinal = result.isFinal !== false;
+      var before = carried;
+      var transformed = {};
+      Object.keys(result).forEach(function(key) {
+        transformed[key] = result[key];
+      });
+
+      transformed.alternatives = result.alternatives.map(function(alternative,
+                                                                  a) {
+        var found = {};
+        var redacted = {};
+        Object.keys(alternative).forEach(function(key) {
+          redacted[key] = alternative[key];
+        });
+        var held = isFinal && !last ? {transcript: ''} : null;
+        var timedWords = alternative.words;
+        var transcript = alternative.transcript;
+        if (before.transcript) {
+          timedWords = before.words.concat(alternative.words || []);
+          transcript = (before.transcript + ' ' + transcript).trim();
+        }
+
+        redacted.transcript = redact(transcript, found, isFinal, held);
+        // Redacted words mustn't still be there with their timings
+        redacted.words = wordTimings.align(timedWords, redacted.transcript);
+
+        if (isFinal && a === 0) {
+          Object.keys(found).forEach(function(entity) {
+            counts[entity] = (counts[entity] || 0) + found[entity];
+          });
+          carried = {
+            transcript: held ? held.transcript : '',
+            words: held && held.transcript ?
+                   wordTimings.align(timedWords, held.transcript) || [] : []
+          };
+        }
+        return redacted;
+      });
+
+      return transformed;
+    });
+  };
+
+  /**
+   * Gives back the digits held back from the end of the last final result,
+   * for when there won't be another one, e.g. at the end of a session. They
+   * weren't an entity on their own, so they're passed on as they are.
+   *
+   * @return {!Array<Object>} A final result with the digits, or no results
+   * if none are held back.
+   */
+  this.flush = function() {
+    var held = carried;
+    carried = {transcript: '', words: []};
+    if (!held.transcript) {
+      return [];
+    }
+
+    return [{
+      alternatives: [{
+        transcript: held.transcript,
+        confidence: null,
+        words: held.words
+      }],
+      isFinal: true,
+      stability: 0
+    }];
+  };
+
+  /**
+   * Returns how many of each entity have been redacted from final results.
+   *
+   * @return {!Object<number>} Counts, by entity.
+   */
+  this.getCounts = function() {
+    var copy = {};
+    Object.keys(counts).forEach(function(entity) {
+      copy[entity] = counts[entity];
+    });
+    return copy;
+  };
+}
@@ -0,0 +1,580 @@
+/**
+ * Cloud Speech API streaming example for Node.js using gRPC.
+ *
+ * This file is a command-line client for the server. It streams a WAV file,
+ * or raw 16 bit PCM from stdin, over the same Socket.IO protocol as the
+ * browser client, prints the results as they come in, and can write them out
+ * as JSON or SRT, so the server can be checked from scripts and fed audio
+ * from other tools.
+ *
+ * Usage: node speech-cli.js [options] <file.wav | file.raw | ->
+ */
+'use strict';
+
+var fs = require('fs');
+var io = require('socket.io-client');
+var audioDecoder = require('./audio-decoder');
+var transcriptFormats = require('./transcript-formats');
+
+var USAGE = [
+  'Usage: node speech-cli.js [options] <file.wav | file.raw | ->',
+  '',
+  'Streams a WAV file, or raw 16 bit little-endian PCM, to the server and',
+  'prints the results. - or no file reads from stdin.',
+  '',
+  'Options:',
+  '  --server <url>           Server to connect to (SPEECH_SERVER,',
+  '                           default http://localhost:8080)',
+  '  --api-key <key>          API key to connect with (SPEECH_API_KEY)',
+  '  --token <token>          Signed token to connect with (SPEECH_TOKEN)',
+  '  --file                   Send the whole file with recogniseFile rather',
+  '                           than streaming it',
+  '  --realtime               Send audio at the speed it plays, rather than',
+  '                           as fast as possible',
+  '  --sample-rate <hz>       Sample rate of raw audio (default 16000)',
+  '  --channels <n>           Channels of raw audio (default 1)',
+  '  --encoding <name>        Encoding of raw audio (default LINEAR16),',
+  '                           others need --file, e.g. MULAW',
+  '  --language <code>        Language of the audio, e.g. en-GB',
+  '  --max-alternatives <n>   Alternatives final results can have',
+  '  --no-interim             Don\'t ask for interim results',
+  '  --json <file>            Write the final results as JSON, - for stdout',
+  '  --srt <file>             Write the final results as SRT, - for stdout',
+  '  --quiet                  Don\'t print results as they come in',
+  '  --help                   Show this'
+].join('\n');
+
+/**
+ * Options which take a value, mapped to what they're called once parsed.
+ *
+ * @const {!Object<string>}
+ */
+var VALUE_OPTIONS = {
+  '--server': 'server',
+  '--api-key': 'apiKey',
+  '--token': 'token',
+  '--sample-rate': 'sampleRate',
+  '--channels': 'channels',
+  '--encoding': 'encoding',
+  '--language': 'languageCode',
+  '--max-alternatives': 'maxAlternatives',
+  '--json': 'json',
+  '--srt': 'srt'
+};
+
+/**
+ * Options which are on or off, mapped to what they're called once parsed.
+ *
+ * @const {!Object<string>}
+ */
+var FLAG_OPTIONS = {
+  '--file': 'fileMode',
+  '--realtime': 'realtime',
+  '--no-interim': 'noInterim',
+  '--quiet': 'quiet',
+  '--help': 'help'
+};
+
+// Stream ID the client records on
+var STREAM_ID = 'cli';
+
+// Length of each frame of audio sent
+var FRAME_SECONDS = 0.1;
+
+// Longest to wait for the last results once all the audio has been sent
+var FINISH_TIMEOUT_SECONDS = 30;
+
+/**
+ * Reads the command line.
+ *
+ * @param {!Array<string>} args Arguments, without node and the script.
+ * @return {!Object} The options, with the input path as input.
+ * @throws {Error} If an option doesn't exist or is missing its value.
+ */
+function parseArgs(args) {
+  var options = {
+    server: process.env.SPEECH_SERVER || 'http://localhost:8080',
+    apiKey: process.env.SPEECH_API_KEY || null,
+    token: process.env.SPEECH_TOKEN || null,
+    input: '-'
+  };
+
+  for (var a = 0; a < args.length; a++) {
+    var arg = args[a];
+
+    if (VALUE_OPTIONS.hasOwnProperty(arg)) {
+      if (a + 1 >= args.length) {
+        throw new Error(arg + ' needs a value');
+      }
+      options[VALUE_OPTIONS[arg]] = args[++a];
+    } else if (FLAG_OPTIONS.hasOwnProperty(arg)) {
+      options[FLAG_OPTIONS[arg]] = true;
+    } else if (arg.charAt(0) === '-' && arg !== '-') {
+      throw new Error('Unknown option: ' + arg);
+    } else {
+      options.input = arg;
+    }
+  }
+
+  ['sampleRate', 'channels', 'maxAlternatives'].forEach(function(name) {
+    if (options.hasOwnProperty(name)) {
+      options[name] = Number(options[name]);
+    }
+  });
+
+  return options;
+}
+
+/**
+ * Returns the top transcript of results.
+ *
+ * @param {!Array<Object>} results The results.
+ * @return {string} The transcripts of their top alternatives.
+ */
+function getTranscript(results) {
+  return results.filter(function(result) {
+    return result.alternatives && result.alternatives.length;
+  }).map(function(result) {
+    return result.alternatives[0].transcript;
+  }).join('').trim();
+}
+
+/**
+ * Formats final results as SRT subtitles, timed from their words, or from
+ * when they came in if they don't have any.
+ *
+ * @param {!Array<Object>} finals The final results, each with the time in
+ * seconds of the audio sent when it came in as receivedAt.
+ * @return {string} The subtitles.
+ */
+function formatSrt(finals) {
+  var start = 0;
+
+  return finals.filter(function(final) {
+    return getTranscript([final.result]);
+  }).map(function(final, index) {
+    var words = final.result.alternatives[0].words || [];
+    var end = Math.max(start, final.receivedAt);
+    if (words.length) {
+      start = words[0].start;
+      end = words[words.length - 1].end;
+    }
+
+    var cue = (index + 1) + '\n' +
+              transcriptFormats.formatTimestamp(start, ',') + ' --> ' +
+              transcriptFormats.formatTimestamp(end, ',') + '\n' +
+              getTranscript([final.result]) + '\n';
+    start = end;
+    return cue;
+  }).join('\n');
+}
+
+/**
+ * Streams audio to the server, or sends it as a file, and prints the
+ * results.
+ *
+ * @param {!Object} options Parsed command line options.
+ */
+function run(options) {
+  var input = options.input === '-' ? process.stdin :
+              fs.createReadStream(options.input);
+
+  // Where the results go as they come in, out of the way of any output
+  // written to stdout
+  var live = options.json === '-' || options.srt === '-' ? process.stderr :
+             process.stdout;
+  var showInterim = !options.quiet && !options.noInterim && live.isTTY;
+
+  var query = [];
+  if (options.apiKey) {
+    query.push('apiKey=' + encodeURIComponent(options.apiKey));
+  }
+  if (options.token) {
+    query.push('token=' + encodeURIComponent(options.token));
+  }
+
+  var socket = io(options.server, {
+    query: query.join('&'),
+    transports: ['websocket'],
+    reconnection: false
+  });
+
+  var finals = []; // Final results, and the audio sent when they came in
+  var sessionId = null;
+  var finished = false;
+
+  // Audio format, once it's known. Raw audio can start with anything, so
+  // when it's said to be raw, only headers it can't be mistaken for count
+  var raw = !!(options.sampleRate || options.encoding);
+  var sampleRate = options.sampleRate || 16000;
+  var channels = options.channels || 1;
+  var bytesPerSecond = 0;
+  var frameBytes = 0;
+
+  // Streaming state
+  var header = new Buffer(0); // Start of the input, while checking for a WAV
+  var pending = new Buffer(0); // Audio not yet sent
+  var inputEnded = false;
+  var recording = false;
+  var stopping = false;
+  var startTime = 0;
+  var sentSeconds = 0;
+  var seq = 0;
+  var pumpTimer = null;
+  var finishTimer = null;
+
+  /**
+   * Writes the outputs and exits.
+   *
+   * @param {!number} code Exit code.
+   */
+  function finish(code) {
+    if (finished) {
+      return;
+    }
+    finished = true;
+    clearTimeout(pumpTimer);
+    clearTimeout(finishTimer);
+    socket.close();
+
+    if (showInterim) {
+      live.write('\r\x1b[K');
+    }
+
+    var outputs = {
+      json: JSON.stringify({
+        sessionId: sessionId,
+        results: finals.map(function(final) {
+          return final.result;
+        })
+      }, null, 2) + '\n',
+      srt: formatSrt(finals)
+    };
+
+    var toStdout = '';
+    Object.keys(outputs).forEach(function(format) {
+      if (options[format] === '-') {
+        toStdout += outputs[format];
+      } else if (options[format]) {
+        fs.writeFileSync(options[format], outputs[format]);
+      }
+    });
+
+    process.stdout.write(toStdout, function() {
+      process.exit(code);
+    });
+  }
+
+  /**
+   * Reports an error and exits.
+   *
+   * @param {!string} message What went wrong.
+   */
+  function fail(message) {
+    if (finished) {
+      return;
+    }
+    if (showInterim) {
+      live.write('\r\x1b[K');
+    }
+    console.error('Error:', message);
+    finish(1);
+  }
+
+  /**
+   * Prints results as they come in, keeping the final ones.
+   *
+   * @param {!Array<Object>} results The results.
+   */
+  function handleResults(results) {
+    var interim = [];
+
+    results.forEach(function(result) {
+      // Results of files don't say they're final, as they all are
+      if (result.isFinal === false) {
+        interim.push(result);
+        return;
+      }
+
+      finals.push({
+        result: result,
+        receivedAt: sentSeconds
+      });
+
+      var transcript = getTranscript([result]);
+      if (options.quiet || !transcript) {
+        return;
+      }
+
+      var words = result.alternatives[0].words || [];
+      if (showInterim) {
+        live.write('\r\x1b[K');
+      }
+      live.write((words.length ? '[' + transcriptFormats.formatTimestamp(
+          words[0].start, '.') + '] ' : '') + transcript + '\n');
+    });
+
+    if (showInterim && interim.length) {
+      live.write('\r\x1b[K' + getTranscript(interim).substring(0,
+                 (live.columns || 80) - 1));
+    }
+  }
+
+  /**
+   * Sends as much pending audio as it can, a frame at a time, keeping to
+   * real time if it should, and stops recording once it's all sent.
+   */
+  function pump() {
+    pumpTimer = null;
+    if (!recording || stopping) {
+      return;
+    }
+
+    while (pending.length >= frameBytes || (inputEnded && pending.length)) {
+      if (options.realtime) {
+        var wait = startTime + sentSeconds * 1000 - Date.now();
+        if (wait > 0) {
+          pumpTimer = setTimeout(pump, wait);
+          return;
+        }
+      }
+
+      // Only send whole samples
+      var length = Math.min(frameBytes, pending.length);
+      length -= length % (2 * channels);
+      if (!length) {
+        pending = new Buffer(0);
+        break;
+      }
+
+      socket.emit('data', pending.slice(0, length), STREAM_ID, ++seq);
+      pending = pending.slice(length);
+      sentSeconds += length / bytesPerSecond;
+    }
+
+    if (inputEnded && !pending.length) {
+      stopping = true;
+      socket.emit('recording', {
+        action: 'stop',
+        streamId: STREAM_ID
+      });
+
+      finishTimer = setTimeout(function() {
+        fail('Timed out waiting for the last results');
+      }, FINISH_TIMEOUT_SECONDS * 1000);
+    }
+  }
+
+  /**
+   * Starts recording once the audio format is known.
+   */
+  function startRecording() {
+    bytesPerSecond = sampleRate * channels * 2;
+    frameBytes = Math.round(sampleRate * FRAME_SECONDS) * channels * 2;
+
+    var config = {};
+    if (options.languageCode) {
+      config.languageCode = options.languageCode;
+    }
+    if (options.maxAlternatives) {
+      config.maxAlternatives = options.maxAlternatives;
+    }
+
+    socket.emit('recording', {
+      action: 'start',
+      streamId: STREAM_ID,
+      options: {
+        input: {
+          sampleRate: sampleRate,
+          channels: channels
+        },
+        config: config,
+        interimResults: !options.noInterim
+      }
+    });
+  }
+
+  /**
+   * Takes audio from the input, reading the format from a WAV header if
+   * there is one.
+   *
+   * @param {!Buffer} chunk Audio from the input.
+   */
+  function handleAudio(chunk) {
+    if (bytesPerSecond) {
+      pending = Buffer.concat([pending, chunk]);
+      return pump();
+    }
+
+    // Wait for enough to tell whether it's a WAV, and for all its header
+    header = Buffer.concat([header, chunk]);
+    if (header.length < 12 && !inputEnded) {
+      return;
+    }
+
+    var container = audioDecoder.detect(header, raw);
+    if (container && container !== 'wav') {
+      return fail('Only WAV and raw audio can be streamed, send ' +
+                  container.toUpperCase() + ' files with --file');
+    }
+
+    if (container === 'wav') {
+      var wav;
+      try {
+        wav = audioDecoder.parseWav(header);
+      } catch (e) {
+        if (inputEnded) {
+          return fail(e.message);
+        }
+        return;
+      }
+
+      if (wav.format !== 1 || wav.bitsPerSample !== 16) {
+        return fail('Only 16 bit PCM WAV files can be streamed, send ' +
+                    'others with --file');
+      }
+      sampleRate = wav.sampleRate;
+      channels = wav.channels;
+      pending = wav.data;
+    } else {
+      pending = header;
+    }
+
+    header = null;
+    startRecording();
+  }
+
+  /**
+   * Sends the whole input with recogniseFile once it's been read.
+   */
+  function recogniseFile() {
+    var chunks = [];
+
+    input.on('data', function(chunk) {
+      chunks.push(chunk);
+    });
+    input.on('end', function() {
+      var audioData = Buffer.concat(chunks);
+
+      var parameters = {};
+      if (!audioDecoder.detect(audioData, raw)) {
+        parameters.encoding = options.encoding || 'LINEAR16';
+        parameters.sampleRate = sampleRate;
+        parameters.channels = channels;
+      }
+      if (options.languageCode) {
+        parameters.languageCode = options.languageCode;
+      }
+      if (options.maxAlternatives) {
+        parameters.maxAlternatives = options.maxAlternatives;
+      }
+
+      sentSeconds = 0;
+      socket.emit('recogniseFile', audioData.toString('base64'), parameters);
+    });
+  }
+
+  socket.on('connect_error', function(error) {
+    fail('Couldn\'t connect to ' + options.server + ': ' +
+         (error && error.message || error));
+  });
+
+  // The server turned us away, e.g. for a missing API key
+  socket.on('error', function(error) {
+    fail(error && error.code ? error.code + ': ' + error.message :
+         String(error && error.message || error));
+  });
+
+  socket.on('disconnect', function() {
+    fail('Disconnected from the server');
+  });
+
+  socket.on('connect', function() {
+    input.on('error', function(error) {
+      fail(error.message);
+    });
+
+    if (options.fileMode) {
+      return recogniseFile();
+    }
+
+    input.on('data', handleAudio);
+    input.on('end', function() {
+      inputEnded = true;
+      if (header) {
+        handleAudio(new Buffer(0));
+      } else {
+        pump();
+      }
+    });
+  });
+
+  socket.on('recordingStatusChange', function(status) {
+    if (status.streamId !== STREAM_ID) {
+      return;
+    }
+    sessionId = status.sessionId || sessionId;
+
+    if (status.recording && !recording) {
+      recording = true;
+      startTime = Date.now();
+      pump();
+    } else if (!status.recording && recording) {
+      recording = false;
+      finish(0);
+    }
+  });
+
+  socket.on('recordingData', function(response) {
+    // File results come back without a stream ID
+    if (response.streamId && response.streamId !== STREAM_ID) {
+      return;
+    }
+    sessionId = response.sessionId || sessionId;
+    handleResults(response.data || []);
+
+    if (options.fileMode) {
+      finish(0);
+    }
+  });
+
+  socket.on('recordingError', function(response) {
+    var error = response.error || {};
+    fail((error.code ? error.code + ': ' : '') +
+         (error.message || String(response.error)));
+  });
+}
+
+if (require.main === module) {
+  var options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (e) {
+    console.error(e.message + '\n\n' + USAGE);
+    process.exit(1);
+  }
+
+  if (options.help) {
+    console.log(USAGE);
+    process.exit(0);
+  }
+
+  if (options.encoding && options.encoding !== 'LINEAR16' &&
+      !options.fileMode) {
+    console.error('Only LINEAR16 raw audio can be streamed, send ' +
+                  options.encoding + ' audio with --file');
+    process.exit(1);
+  }
+
+  if (options.input === '-' && process.stdin.isTTY) {
+    console.error('Pipe audio in, or give a file\n\n' + USAGE);
+    process.exit(1);
+  }
+
+  run(options);
+}
+
+module.exports = {
+  parseArgs: parseArgs,
+  formatSrt: formatSrt
+};
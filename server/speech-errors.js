@@ -0,0 +1,195 @@
+/**
+ * Cloud Speech API streaming example for Node.js using gRPC.
+ *
+ * This file has the error codes the server sends back to clients, so they
+ * can tell errors apart without parsing messages, and know which are worth
+ * trying again.
+ */
+'use strict';
+
+/**
+ * Error codes, mapped to their default message, which can be shown to
+ * users, and whether trying again later could work.
+ *
+ * @const {!Object<Object>}
+ */
+var CODES = {
+  'UNAUTHORIZED': {
+    message: 'Missing or invalid API key or token',
+    retryable: false
+  },
+  'ORIGIN_NOT_ALLOWED': {
+    message: 'Connections from this origin are not allowed',
+    retryable: false
+  },
+  'TOO_MANY_STREAMS': {
+    message: 'Too many streams on this connection',
+    retryable: false
+  },
+  'QUOTA_CONCURRENT_STREAMS': {
+    message: 'Too many streams at once for this key',
+    retryable: true
+  },
+  'QUOTA_AUDIO_SECONDS': {
+    message: 'Daily audio quota used up for this key',
+    retryable: false
+  },
+  'QUOTA_FILE_RECOGNITIONS': {
+    message: 'Too many file recognitions this minute for this key',
+    retryable: true
+  },
+  'INVALID_REQUEST': {
+    message: 'The request is missing something or is invalid',
+    retryable: false
+  },
+  'UNSUPPORTED_AUDIO': {
+    message: 'The audio format isn\'t supported',
+    retryable: false
+  },
+  'SESSION_NOT_FOUND': {
+    message: 'The session has ended and can\'t be resumed',
+    retryable: false
+  },
+  'QUEUE_FULL': {
+    message: 'Too many jobs are waiting, try again later',
+    retryable: true
+  },
+  'SPEECH_UNAVAILABLE': {
+    message: 'The speech service is unavailable, try again shortly',
+    retryable: true
+  },
+  'SPEECH_TIMEOUT': {
+    message: 'The speech service took too long to respond',
+    retryable: true
+  },
+  'SPEECH_RATE_LIMITED': {
+    message: 'The speech service is busy, try again shortly',
+    retryable: true
+  },
+  'SPEECH_AUTH_FAILED': {
+    message: 'The server couldn\'t sign in to the speech service',
+    retryable: false
+  },
+  'SPEECH_REJECTED': {
+    message: 'The speech service didn\'t accept the audio or options',
+    retryable: false
+  },
+  'SPEECH_FAILED': {
+    message: 'The speech service couldn\'t recognise the audio',
+    retryable: false
+  }
+};
+
+/**
+ * Names of gRPC status codes, by code.
+ *
+ * @const {!Array<string>}
+ */
+var GRPC_STATUS_NAMES = [
+  'OK', 'CANCELLED', 'UNKNOWN', 'INVALID_ARGUMENT', 'DEADLINE_EXCEEDED',
+  'NOT_FOUND', 'ALREADY_EXISTS', 'PERMISSION_DENIED', 'RESOURCE_EXHAUSTED',
+  'FAILED_PRECONDITION', 'ABORTED', 'OUT_OF_RANGE', 'UNIMPLEMENTED',
+  'INTERNAL', 'UNAVAILABLE', 'DATA_LOSS', 'UNAUTHENTICATED'
+];
+
+/**
+ * Error codes of gRPC statuses from the speech service. Statuses which
+ * aren't here are SPEECH_FAILED.
+ *
+ * @const {!Object<string>}
+ */
+var GRPC_STATUS_CODES = {
+  'UNAVAILABLE': 'SPEECH_UNAVAILABLE',
+  'ABORTED': 'SPEECH_UNAVAILABLE',
+  'INTERNAL': 'SPEECH_UNAVAILABLE',
+  'DEADLINE_EXCEEDED': 'SPEECH_TIMEOUT',
+  'RESOURCE_EXHAUSTED': 'SPEECH_RATE_LIMITED',
+  'UNAUTHENTICATED': 'SPEECH_AUTH_FAILED',
+  'PERMISSION_DENIED': 'SPEECH_AUTH_FAILED',
+  'INVALID_ARGUMENT': 'SPEECH_REJECTED',
+  'FAILED_PRECONDITION': 'SPEECH_REJECTED',
+  'OUT_OF_RANGE': 'SPEECH_REJECTED'
+};
+
+module.exports = {
+  CODES: CODES,
+  GRPC_STATUS_NAMES: GRPC_STATUS_NAMES,
+  create: create,
+  fromProvider: fromProvider,
+  getStatusName: getStatusName,
+  isRetryable: isRetryable
+};
+
+/**
+ * Creates an error to send to a client.
+ *
+ * @param {!string} code One of the keys of CODES.
+ * @param {?string} message Message to use instead of the default one.
+ * @param {?Array<Object>} details What was wrong with each field of the
+ * request, as the field and a message.
+ * @return {!Object} The error, with its code, message and whether it's
+ * retryable, and its details if there are any.
+ */
+function create(code, message, details) {
+  if (!CODES.hasOwnProperty(code)) {
+    throw new Error('Unknown error code: ' + code);
+  }
+
+  var error = {
+    code: code,
+    message: message || CODES[code].message,
+    retryable: CODES[code].retryable
+  };
+  if (details && details.length) {
+    error.details = details;
+  }
+  return error;
+}
+
+/**
+ * Returns the name of the gRPC status of an error from a provider.
+ *
+ * @param {*} error The error, which has a numeric code if it came from gRPC.
+ * @return {string} The status name, e.g. UNAVAILABLE, or UNKNOWN if it
+ * doesn't have one.
+ */
+function getStatusName(error) {
+  return error && typeof error.code === 'number' &&
+         GRPC_STATUS_NAMES[error.code] || 'UNKNOWN';
+}
+
+/**
+ * Returns whether an error from a provider is worth trying again.
+ *
+ * @param {*} error The error.
+ * @return {boolean} Whether it's retryable.
+ */
+function isRetryable(error) {
+  return fromProvider(error).retryable;
+}
+
+/**
+ * Turns an error from a provider, e.g. a gRPC error, into an error to send
+ * to a client, keeping the provider's status as status.
+ *
+ * Errors which already have one of our codes are returned as they are.
+ *
+ * @param {*} error The provider's error, or a message.
+ * @return {!Object} The error, with its code, user-facing message, whether
+ * it's retryable and the raw status: its gRPC code, name and message.
+ */
+function fromProvider(error) {
+  if (error && typeof error.code === 'string' &&
+      CODES.hasOwnProperty(error.code)) {
+    return error;
+  }
+
+  var statusName = getStatusName(error);
+  var converted = create(GRPC_STATUS_CODES[statusName] || 'SPEECH_FAILED');
+  converted.status = {
+    code: error && typeof error.code === 'number' ? error.code : null,
+    name: statusName,
+    message: error && error.message || String(error)
+  };
+  return converted;
+}
@@ -0,0 +1,67 @@
+/**
+ * Cloud Speech API streaming example for Node.js using gRPC.
+ *
+ * This file tests the number transformer with spoken numbers, including
+ * years read as two pairs of digits. Run it with npm test.
+ */
+'use strict';
+
+var assert = require('assert');
+var NumberTransformer = require('../transformers/number-transformer');
+
+var tests = {
+  'joins a year read as two pairs of digits': function() {
+    var transformer = new NumberTransformer();
+
+    assert.equal(transformer.transform('the year nineteen ninety nine'),
+                 'the year 1999');
+    assert.equal(transformer.transform('in twenty twenty four'),
+                 'in 2024');
+    assert.equal(transformer.transform('since seventeen seventy six'),
+                 'since 1776');
+    assert.equal(transformer.transform('in nineteen eighty'), 'in 1980');
+  },
+
+  'joins a year with oh in it': function() {
+    var transformer = new NumberTransformer();
+
+    assert.equal(transformer.transform('built in nineteen oh five'),
+                 'built in 1905');
+  },
+
+  'keeps years read with hundred or thousand': function() {
+    var transformer = new NumberTransformer();
+
+    assert.equal(transformer.transform('nineteen hundred'), '1900');
+    assert.equal(transformer.transform('two thousand and five'), '2005');
+  },
+
+  'keeps other pairs of numbers apart': function() {
+    var transformer = new NumberTransformer();
+
+    assert.equal(transformer.transform('twenty three forty five'), '23 45');
+    assert.equal(transformer.transform('nineteen oh'), '19 oh');
+  },
+
+  'turns other numbers into digits': function() {
+    var transformer = new NumberTransformer();
+
+    assert.equal(transformer.transform('two hundred and fifty three'), '253');
+    assert.equal(transformer.transform('three point five percent'), '3.5%');
+    assert.equal(transformer.transform('seven days'), 'seven days');
+  }
+};
+
+var failures = 0;
+Object.keys(tests).forEach(function(name) {
+  try {
+    tests[name]();
+    console.log('ok - ' + name);
+  } catch (err) {
+    failures++;
+    console.log('not ok - ' + name);
+    console.log(err.stack);
+  }
+});
+
+process.exitCode = failures ? 1 : 0;
@@ -0,0 +1,143 @@
+/**
+ * Cloud Speech API streaming example for Node.js using gRPC.
+ *
+ * This file tests the redactor with numbers read out across more than one
+ * final result. Run it with npm test.
+ */
+'use strict';
+
+var assert = require('assert');
+var Redactor = require('../redactor');
+
+/**
+ * Builds a result, with its words timed a second apart from a start time.
+ *
+ * @param {!string} transcript The transcript.
+ * @param {!boolean} isFinal Whether it's a final result.
+ * @param {!number} start Time in seconds of the first word.
+ * @return {!Object} The result.
+ */
+function createResult(transcript, isFinal, start) {
+  return {
+    alternatives: [{
+      transcript: transcript,
+      confidence: isFinal ? 0.9 : null,
+      words: transcript.split(' ').map(function(word, w) {
+        return {
+          word: word,
+          start: start + w,
+          end: start + w + 1,
+          confidence: null
+        };
+      })
+    }],
+    isFinal: isFinal,
+    stability: isFinal ? 0 : 0.5
+  };
+}
+
+/**
+ * Returns the top transcript of each result.
+ *
+ * @param {!Array<Object>} results The results.
+ * @return {!Array<string>} The transcripts.
+ */
+function getTranscripts(results) {
+  return results.map(function(result) {
+    return result.alternatives[0].transcript;
+  });
+}
+
+var tests = {
+  'redacts a phone number read out across two finals': function() {
+    var redactor = new Redactor('mask');
+
+    var first = redactor.process([
+      createResult('call me on oh seven seven double zero', true, 0)
+    ]);
+    var second = redactor.process([
+      createResult('nine zero zero one two three please', true, 8)
+    ]);
+
+    assert.deepEqual(getTranscripts(first), ['call me on']);
+    assert.deepEqual(getTranscripts(second), ['[PHONE_NUMBER] please']);
+    assert.deepEqual(redactor.getCounts(), {phone: 1});
+
+    // The number takes the time of all its words, from both results
+    var words = second[0].alternatives[0].words;
+    assert.equal(words[0].word, '[PHONE_NUMBER]');
+    assert.equal(words[0].start, 3);
+    assert.deepEqual(redactor.flush(), []);
+  },
+
+  'redacts a card number as one number across two finals': function() {
+    var redactor = new Redactor('mask');
+
+    redactor.process([createResult('my card is four one one one', true, 0)]);
+    var second = redactor.process([createResult(
+        'one one one one one one one one one one one one', true, 7)]);
+
+    assert.deepEqual(getTranscripts(second), ['[CARD_NUMBER]']);
+    assert.deepEqual(redactor.getCounts(), {card: 1});
+  },
+
+  'puts held back digits in front of interim results': function() {
+    var redactor = new Redactor('mask');
+
+    redactor.process([createResult('my pin is one two three four', true, 0)]);
+    var interim = redactor.process([createResult('and', false, 7)]);
+
+    assert.deepEqual(getTranscripts(interim), ['one two three four and']);
+  },
+
+  'gives back held back digits when flushed': function() {
+    var redactor = new Redactor('mask');
+
+    var first = redactor.process([
+      createResult('my pin is one two three four', true, 0)
+    ]);
+    var flushed = redactor.flush();
+
+    assert.deepEqual(getTranscripts(first), ['my pin is']);
+    assert.deepEqual(getTranscripts(flushed), ['one two three four']);
+    assert.equal(flushed[0].isFinal, true);
+    assert.deepEqual(flushed[0].alternatives[0].words.map(function(word) {
+      return word.start;
+    }), [3, 4, 5, 6]);
+    assert.deepEqual(redactor.flush(), []);
+  },
+
+  'holds nothing back from the last results': function() {
+    var redactor = new Redactor('mask');
+
+    var results = redactor.process([
+      createResult('my pin is one two three four', true, 0)
+    ], true);
+
+    assert.deepEqual(getTranscripts(results),
+                     ['my pin is one two three four']);
+    assert.deepEqual(redactor.flush(), []);
+  },
+
+  'holds nothing back with redaction off': function() {
+    var redactor = new Redactor(null);
+    var result = createResult('call me on oh seven seven', true, 0);
+
+    assert.deepEqual(redactor.process([result]), [result]);
+    assert.deepEqual(redactor.flush(), []);
+  }
+};
+
+var failures = 0;
+Object.keys(tests).forEach(function(name) {
+  try {
+    tests[name]();
+    console.log('ok - ' + name);
+  } catch (err) {
+    failures++;
+    console.log('not ok - ' + name);
+    console.log(err.stack);
+  }
+});
+
+process.exitCode = failures ? 1 : 0;
@@ -0,0 +1,133 @@
+/**
+ * Cloud Speech API streaming example for Node.js using gRPC.
+ *
+ * This file exports transcript sessions as plain text, JSON, SRT subtitles or
+ * WebVTT captions.
+ */
+'use strict';
+
+/**
+ * Export formats, with their content type, file extension and the function
+ * which formats a session.
+ *
+ * @const {!Object<Object>}
+ */
+var FORMATS = {
+  'txt': {
+    contentType: 'text/plain; charset=utf-8',
+    format: formatText
+  },
+  'json': {
+    contentType: 'application/json; charset=utf-8',
+    format: formatJson
+  },
+  'srt': {
+    contentType: 'application/x-subrip; charset=utf-8',
+    format: formatSrt
+  },
+  'vtt': {
+    contentType: 'text/vtt; charset=utf-8',
+    format: formatVtt
+  }
+};
+
+module.exports = {
+  FORMATS: FORMATS,
+  format: format,
+  formatTimestamp: formatTimestamp
+};
+
+/**
+ * Formats a session for export.
+ *
+ * @param {!Object} session The transcript session.
+ * @param {!string} formatName One of the keys of FORMATS.
+ * @return {?Object} The content type and body of the export, or null if the
+ * format isn't supported.
+ */
+function format(session, formatName) {
+  if (!FORMATS.hasOwnProperty(formatName)) {
+    return null;
+  }
+
+  return {
+    contentType: FORMATS[formatName].contentType,
+    body: FORMATS[formatName].format(session)
+  };
+}
+
+/**
+ * Formats a time as a subtitle timestamp, e.g. 00:01:02,345.
+ *
+ * @param {!number} seconds Time in seconds.
+ * @param {!string} separator Separator before the milliseconds, ',' for SRT
+ * and '.' for WebVTT.
+ * @return {!string} The timestamp.
+ */
+function formatTimestamp(seconds, separator) {
+  var milliseconds = Math.max(0, Math.round(seconds * 1000));
+
+  function pad(number, length) {
+    var padded = String(number);
+    while (padded.length < length) {
+      padded = '0' + padded;
+    }
+    return padded;
+  }
+
+  return pad(Math.floor(milliseconds / 3600000), 2) + ':' +
+         pad(Math.floor(milliseconds / 60000) % 60, 2) + ':' +
+         pad(Math.floor(milliseconds / 1000) % 60, 2) + separator +
+         pad(milliseconds % 1000, 3);
+}
+
+/**
+ * Formats a session as plain text, one result per line.
+ *
+ * @param {!Object} session The transcript session.
+ * @return {!string} The text.
+ */
+function formatText(session) {
+  return session.results.map(function(result) {
+    return result.transcript;
+  }).join('\n') + '\n';
+}
+
+/**
+ * Formats a session as JSON.
+ *
+ * @param {!Object} session The transcript session.
+ * @return {!string} The JSON.
+ */
+function formatJson(session) {
+  return JSON.stringify(session, null, 2);
+}
+
+/**
+ * Formats a session as SRT subtitles.
+ *
+ * @param {!Object} session The transcript session.
+ * @return {!string} The subtitles.
+ */
+function formatSrt(session) {
+  return session.results.map(function(result, index) {
+    return (index + 1) + '\n' +
+           formatTimestamp(result.start, ',') + ' --> ' +
+           formatTimestamp(result.end, ',') + '\n' +
+           result.transcript + '\n';
+  }).join('\n');
+}
+
+/**
+ * Formats a session as WebVTT captions.
+ *
+ * @param {!Object} session The transcript session.
+ * @return {!string} The captions.
+ */
+function formatVtt(session) {
+  return 'WEBVTT\n\n' + session.results.map(function(result) {
+    return formatTimestamp(result.start, '.') + ' --> ' +
+           formatTimestamp(result.end, '.') + '\n' +
+           result.transcript + '\n';
+  }).join('\n');
+}
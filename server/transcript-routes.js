@@ -0,0 +1,120 @@
+/**
+ * Cloud Speech API streaming example for Node.js using gRPC.
+ *
+ * This file has the HTTP routes for listing, fetching, deleting and
+ * exporting transcript sessions, and downloading their audio.
+ */
+'use strict';
+
+var express = require('express');
+var transcriptFormats = require('./transcript-formats');
+
+module.exports = createTranscriptRoutes;
+
+/**
+ * Creates the transcript session routes.
+ *
+ * GET /sessions lists the sessions, GET and DELETE /sessions/:id fetch and
+ * delete one, GET /sessions/:id/export/:format exports one as txt, json,
+ * srt or vtt, and GET /sessions/:id/audio downloads its archived audio.
+ *
+ * Every route needs the same API key or token as the rest of the server,
+ * and clients only see their own sessions. Other clients' sessions are
+ * treated as if they don't exist.
+ *
+ * @param {!Auth} auth Authenticates the requests.
+ * @param {!TranscriptStore} store Where the sessions are kept.
+ * @param {!AudioArchive} audioArchive Where the sessions' audio is kept.
+ * @return {!express.Router} The routes.
+ */
+function createTranscriptRoutes(auth, store, audioArchive) {
+  var router = express.Router();
+
+  router.use('/sessions', auth.httpMiddleware());
+
+  /**
+   * Fetches the session in the request, or responds with a 404 if it
+   * doesn't exist or belongs to another client.
+   *
+   * @param {!Object} req The request.
+   * @param {!Object} res The response.
+   * @param {!function(Object)} callback Called with the session.
+   */
+  function withSession(req, res, callback) {
+    store.get(req.params.id, function(err, session) {
+      if (err) {
+        return res.status(500).send({error: 'Unable to load session'});
+      }
+      if (!session || session.clientId !== req.speechClient.id) {
+        return res.status(404).send({error: 'Session not found'});
+      }
+      callback(session);
+    });
+  }
+
+  router.get('/sessions', function(req, res) {
+    store.list(req.speechClient.id, function(err, sessions) {
+      if (err) {
+        return res.status(500).send({error: 'Unable to list sessions'});
+      }
+      res.status(200).send({sessions: sessions});
+    });
+  });
+
+  router.get('/sessions/:id', function(req, res) {
+    withSession(req, res, function(session) {
+      res.status(200).send(session);
+    });
+  });
+
+  router.delete('/sessions/:id', function(req, res) {
+    withSession(req, res, function(session) {
+      store.remove(session.id, function(err, removed) {
+        if (err) {
+          return res.status(500).send({error: 'Unable to delete session'});
+        }
+        if (!removed) {
+          return res.status(404).send({error: 'Session not found'});
+        }
+
+        audioArchive.remove(session.id, function() {
+          res.status(204).end();
+        });
+      });
+    });
+  });
+
+  router.get('/sessions/:id/export/:format', function(req, res) {
+    withSession(req, res, function(session) {
+      var exported = transcriptFormats.format(session, req.params.format);
+      if (!exported) {
+        return res.status(400).send({
+          error: 'Unsupported format, use one of: ' +
+                 Object.keys(transcriptFormats.FORMATS).join(', ')
+        });
+      }
+
+      res.set('Content-Type', exported.contentType);
+      res.set('Content-Disposition', 'attachment; filename="' + session.id +
+              '.' + req.params.format + '"');
+      res.status(200).send(exported.body);
+    });
+  });
+
+  router.get('/sessions/:id/audio', function(req, res) {
+    withSession(req, res, function(session) {
+      var audioPath = audioArchive.getPath(session.id);
+      if (!audioPath) {
+        return res.status(404).send({error: 'Audio not found'});
+      }
+
+      res.download(audioPath, session.id + '.wav', function(err) {
+        if (err && !res.headersSent) {
+          res.status(404).send({error: 'Audio not found'});
+        }
+      });
+    });
+  });
+
+  return router;
+}
@@ -0,0 +1,315 @@
+/**
+ * Cloud Speech API streaming example for Node.js using gRPC.
+ *
+ * This file keeps the transcripts of recording and file sessions. Each
+ * session is saved as a JSON file, with its final results, their timestamps,
+ * the language and the options the session was started with.
+ */
+var crypto = require('crypto');
+var fs = require('fs');
+var path = require('path');
+
+module.exports = TranscriptStore;
+
+/**
+ * Transcript session store.
+ *
+ * @constructor
+ * @param {!string} directory Directory to save the sessions in.
+ */
+function TranscriptStore(directory) {
+  'use strict';
+
+  if (!(this instanceof TranscriptStore)) {
+    return new TranscriptStore(directory);
+  }
+
+  // Sessions which are still being written to, by ID
+  var activeSessions = {};
+
+  // Sessions with changes waiting to be saved, by ID
+  var savingSessions = {};
+
+  /**
+   * Returns where a session is saved.
+   *
+   * @param {!string} id The session ID.
+   * @return {?string} Path to the session file, or null if it's not a valid
+   * session ID.
+   */
+  function getSessionPath(id) {
+    if (!/^[a-f0-9]{16}$/.test(id)) {
+      return null;
+    }
+    return path.join(directory, id + '.json');
+  }
+
+  /**
+   * Saves a session to disk.
+   *
+   * Only one save runs at a time for each session, and any changes made
+   * while it's running are saved straight after.
+   *
+   * @param {!Object} session The session to save.
+   */
+  function save(session) {
+    if (savingSessions.hasOwnProperty(session.id)) {
+      savingSessions[session.id] = true;
+      return;
+    }
+    savingSessions[session.id] = false;
+
+    fs.mkdir(directory, function() {
+      // Don't bring back a session that was deleted while it was running
+      if (!session.endedAt && !activeSessions[session.id]) {
+        delete savingSessions[session.id];
+        return;
+      }
+
+      fs.writeFile(getSessionPath(session.id), JSON.stringify(session),
+          function(err) {
+        if (err) {
+          console.error('Error saving transcript session', session.id, err);
+        }
+
+        var changed = savingSessions[session.id];
+        delete savingSessions[session.id];
+        if (changed) {
+          save(session);
+        }
+      });
+    });
+  }
+
+  /**
+   * Creates a new session.
+   *
+   * @param {!string} type Type of session, either 'stream' or 'file'.
+   * @param {!string} languageCode Language of the session.
+   * @param {?Object} options Options the session was started with.
+   * @param {!string} clientId ID of the client the session belongs to.
+   * @return {!Object} The new session.
+   */
+  this.create = function(type, languageCode, options, clientId) {
+    var session = {
+      id: crypto.randomBytes(8).toString('hex'),
+      type: type,
+      clientId: clientId,
+      languageCode: languageCode,
+      options: options || {},
+      createdAt: new Date().toISOString(),
+      endedAt: null,
+      results: []
+    };
+
+    activeSessions[session.id] = session;
+    save(session);
+
+    return session;
+  };
+
+  /**
+   * Adds a final result to a session.
+   *
+   * @param {!string} id The session ID.
+   * @param {!Object} result The result, with the transcript, its confidence,
+   * its start and end time in seconds since the session started, and its
+   * timed words, if there are any.
+   */
+  this.addResult = function(id, result) {
+    if (!activeSessions.hasOwnProperty(id)) {
+      return;
+    }
+    var session = activeSessions[id];
+
+    result.receivedAt = new Date().toISOString();
+    session.results.push(result);
+    save(session);
+  };
+
+  /**
+   * Adds final results from the Cloud Speech API to a session.
+   *
+   * Results with timed words are timed from their first and last words, and
+   * keep the words. The rest are spread across the audio they came from, in
+   * proportion to the length of their transcripts.
+   *
+   * @param {!string} id The session ID.
+   * @param {!Array<Object>} results Final results from the Cloud Speech API.
+   * @param {!number} start Time in seconds where the results' audio starts.
+   * @param {?number} end Time in seconds where the results' audio ends, if
+   * it's known.
+   */
+  this.addResults = function(id, results, start, end) {
+    var finalResults = results.filter(function(result) {
+      return result.alternatives && result.alternatives.length;
+    });
+
+    var totalLength = 0;
+    for (var r = 0; r < finalResults.length; r++) {
+      totalLength += finalResults[r].alternatives[0].transcript.length;
+    }
+
+    for (var f = 0; f < finalResults.length; f++) {
+      var alternative = finalResults[f].alternatives[0];
+      var length = end === null || !totalLength ? 0 :
+          (end - start) * alternative.transcript.length / totalLength;
+
+      var words = alternative.words || [];
+
+      this.addResult(id, {
+        transcript: alternative.transcript.trim(),
+        confidence: alternative.confidence,
+        start: words.length ? words[0].start : start,
+        end: words.length ? words[words.length - 1].end : start + length,
+        words: words
+      });
+      start += length;
+    }
+  };
+
+  /**
+   * Records how much personal information has been redacted from a session,
+   * for auditing.
+   *
+   * @param {!string} id The session ID.
+   * @param {!Object<number>} redactions Counts of the entities redacted so
+   * far, by entity.
+   */
+  this.setRedactions = function(id, redactions) {
+    if (!activeSessions.hasOwnProperty(id)) {
+      return;
+    }
+    var session = activeSessions[id];
+
+    session.redactions = redactions;
+    save(session);
+  };
+
+  /**
+   * Ends a session, after which it can't be added to.
+   *
+   * @param {!string} id The session ID.
+   */
+  this.end = function(id) {
+    if (!activeSessions.hasOwnProperty(id)) {
+      return;
+    }
+    var session = activeSessions[id];
+
+    session.endedAt = new Date().toISOString();
+    delete activeSessions[id];
+    save(session);
+  };
+
+  /**
+   * Fetches a session.
+   *
+   * @param {!string} id The session ID.
+   * @param {!function(?Error, ?Object)} callback Called with the session, or
+   * null if it doesn't exist.
+   */
+  this.get = function(id, callback) {
+    if (activeSessions.hasOwnProperty(id)) {
+      return process.nextTick(function() {
+        callback(null, activeSessions[id]);
+      });
+    }
+
+    var sessionPath = getSessionPath(id);
+    if (!sessionPath) {
+      return process.nextTick(function() {
+        callback(null, null);
+      });
+    }
+
+    fs.readFile(sessionPath, 'utf8', function(err, data) {
+      if (err) {
+        return callback(err.code === 'ENOENT' ? null : err, null);
+      }
+
+      try {
+        callback(null, JSON.parse(data));
+      } catch (e) {
+        callback(e, null);
+      }
+    });
+  };
+
+  /**
+   * Lists a client's sessions, newest first.
+   *
+   * @param {!string} clientId ID of the client.
+   * @param {!function(?Error, Array<Object>)} callback Called with a summary
+   * of each of the client's sessions, without its results.
+   */
+  this.list = function(clientId, callback) {
+    var store = this;
+
+    fs.readdir(directory, function(err, files) {
+      if (err) {
+        return callback(err.code === 'ENOENT' ? null : err, []);
+      }
+
+      var ids = files.filter(function(file) {
+        return /\.json$/.test(file);
+      }).map(function(file) {
+        return path.basename(file, '.json');
+      });
+
+      var summaries = [];
+      var remaining = ids.length;
+      if (!remaining) {
+        return callback(null, summaries);
+      }
+
+      ids.forEach(function(id) {
+        store.get(id, function(err, session) {
+          if (!err && session && session.clientId === clientId) {
+            summaries.push({
+              id: session.id,
+              type: session.type,
+              languageCode: session.languageCode,
+              createdAt: session.createdAt,
+              endedAt: session.endedAt,
+              resultCount: session.results.length,
+              redactions: session.redactions || null
+            });
+          }
+
+          if (--remaining === 0) {
+            summaries.sort(function(a, b) {
+              return a.createdAt < b.createdAt ? 1 : -1;
+            });
+            callback(null, summaries);
+          }
+        });
+      });
+    });
+  };
+
+  /**
+   * Deletes a session.
+   *
+   * @param {!string} id The session ID.
+   * @param {!function(?Error, boolean)} callback Called with whether there
+   * was a session to delete.
+   */
+  this.remove = function(id, callback) {
+    var sessionPath = getSessionPath(id);
+    if (!sessionPath) {
+      return process.nextTick(function() {
+        callback(null, false);
+      });
+    }
+
+    delete activeSessions[id];
+
+    fs.unlink(sessionPath, function(err) {
+      if (err) {
+        return callback(err.code === 'ENOENT' ? null : err, false);
+      }
+      callback(null, true);
+    });
+  };
+}
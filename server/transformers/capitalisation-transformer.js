@@ -0,0 +1,69 @@
+/**
+ * Cloud Speech API streaming example for Node.js using gRPC.
+ *
+ * This file capitalises the start of each sentence, and "I".
+ */
+module.exports = CapitalisationTransformer;
+
+/**
+ * Capitalisation transformer.
+ *
+ * Sentences start after a full stop, question mark, exclamation mark or
+ * line break. The API doesn't punctuate, so each final result starts a new
+ * sentence too, unless the one before it ended with punctuation which
+ * carries on the sentence, like a comma.
+ *
+ * @constructor
+ */
+function CapitalisationTransformer() {
+  'use strict';
+
+  if (!(this instanceof CapitalisationTransformer)) {
+    return new CapitalisationTransformer();
+  }
+
+  // Whether the next result starts a new sentence
+  var sentenceEnded = true;
+
+  /**
+   * Capitalises the letter of a match, for String.replace.
+   *
+   * @param {!string} match The match.
+   * @param {!string} before What comes before the letter.
+   * @param {!string} letter The letter.
+   * @return {string} The match with the letter capitalised.
+   */
+  function capitaliseLetter(match, before, letter) {
+    return before + letter.toUpperCase();
+  }
+
+  /**
+   * Capitalises a transcript.
+   *
+   * @param {!string} transcript The transcript.
+   * @return {string} The capitalised transcript.
+   */
+  this.transform = function(transcript) {
+    transcript = transcript
+        .replace(/((?:[.?!]["')]*\s+|\n\s*)["'(]*)([a-z])/gi, capitaliseLetter)
+        .replace(/(^|[^\w'])i(?=$|[^\w']|'[a-z])/g, '$1I');
+
+    if (sentenceEnded) {
+      transcript = transcript.replace(/^([\s"'(]*)([a-z])/i,
+                                      capitaliseLetter);
+    }
+    return transcript;
+  };
+
+  /**
+   * Remembers whether a final result finished its sentence.
+   *
+   * @param {!string} transcript The final result's transcript, after it's
+   * been capitalised.
+   */
+  this.commit = function(transcript) {
+    if (transcript.trim()) {
+      sentenceEnded = !/[,;:(]\s*$/.test(transcript);
+    }
+  };
+}
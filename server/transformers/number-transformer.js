@@ -0,0 +1,238 @@
+/**
+ * Cloud Speech API streaming example for Node.js using gRPC.
+ *
+ * This file turns spoken numbers into digits, e.g. "two hundred and fifty
+ * three point five percent" into "253.5%".
+ */
+var words = require('./words');
+
+module.exports = NumberTransformer;
+
+/**
+ * Values of the number words below a hundred.
+ *
+ * @const {!Object<number>}
+ */
+var SMALL_NUMBERS = {
+  'zero': 0, 'one': 1, 'two': 2, 'three': 3, 'four': 4, 'five': 5, 'six': 6,
+  'seven': 7, 'eight': 8, 'nine': 9, 'ten': 10, 'eleven': 11, 'twelve': 12,
+  'thirteen': 13, 'fourteen': 14, 'fifteen': 15, 'sixteen': 16,
+  'seventeen': 17, 'eighteen': 18, 'nineteen': 19, 'twenty': 20,
+  'thirty': 30, 'forty': 40, 'fifty': 50, 'sixty': 60, 'seventy': 70,
+  'eighty': 80, 'ninety': 90
+};
+
+/**
+ * Values of the scale words above a hundred.
+ *
+ * @const {!Object<number>}
+ */
+var SCALES = {
+  'thousand': 1e3,
+  'million': 1e6,
+  'billion': 1e9
+};
+
+/**
+ * Number transformer.
+ *
+ * Numbers below ten stay as words, as in most style guides, unless they have
+ * a decimal point or are a percentage. Years read as two pairs of digits,
+ * e.g. "nineteen ninety nine" or "twenty oh five", become one number.
+ *
+ * @constructor
+ */
+function NumberTransformer() {
+  'use strict';
+
+  if (!(this instanceof NumberTransformer)) {
+    return new NumberTransformer();
+  }
+
+  /**
+   * Returns the lower case version of a word, if it's a number word.
+   *
+   * @param {?Object} word The word.
+   * @return {?string} The number word, or null if it isn't one.
+   */
+  function getNumberWord(word) {
+    var lower = word ? word.word.toLowerCase() : null;
+    return SMALL_NUMBERS.hasOwnProperty(lower) ||
+           SCALES.hasOwnProperty(lower) || lower === 'hundred' ? lower : null;
+  }
+
+  /**
+   * Reads the second pair of digits of a year, e.g. "ninety nine" or "oh
+   * five", starting at a word.
+   *
+   * @param {!Array<Object>} transcriptWords The words.
+   * @param {!number} start Index of the first word.
+   * @return {?Object} The value of the pair, and the index of the word after
+   * it, or null if there isn't a pair there, or it's part of a bigger number.
+   */
+  function readYearPair(transcriptWords, start) {
+    var word = getNumberWord(transcriptWords[start]);
+    var value = SMALL_NUMBERS[word];
+    var i = start + 1;
+    var units = SMALL_NUMBERS[getNumberWord(transcriptWords[i])];
+
+    if (!word && transcriptWords[start] &&
+        transcriptWords[start].word.toLowerCase() === 'oh') {
+      // "oh five"
+      if (!(units >= 1 && units < 10)) {
+        return null;
+      }
+      value = units;
+      i++;
+    } else if (!(value >= 10)) {
+      return null;
+    } else if (value >= 20 && value % 10 === 0 && units >= 1 && units < 10) {
+      // "ninety nine"
+      value += units;
+      i++;
+    }
+
+    if (getNumberWord(transcriptWords[i])) {
+      return null;
+    }
+    return {
+      value: value,
+      next: i
+    };
+  }
+
+  /**
+   * Reads a number starting at a word.
+   *
+   * @param {!Array<Object>} transcriptWords The words.
+   * @param {!number} start Index of the first word.
+   * @return {?Object} The number as text, and the index of the word after
+   * it, or null if there isn't a number there.
+   */
+  function readNumber(transcriptWords, start) {
+    var total = 0; // Value of the scales read so far
+    var current = 0; // Value below the last scale
+    var lastScale = Infinity;
+    var count = 0; // Number words read
+    var i = start;
+
+    for (; i < transcriptWords.length; i++) {
+      var word = getNumberWord(transcriptWords[i]);
+
+      // "one hundred and five"
+      var nextWord = getNumberWord(transcriptWords[i + 1]);
+      if (!word && count && transcriptWords[i].word.toLowerCase() === 'and' &&
+          current % 100 === 0 && (current || total) &&
+          SMALL_NUMBERS.hasOwnProperty(nextWord)) {
+        continue;
+      }
+
+      if (!word) {
+        break;
+      }
+
+      if (SMALL_NUMBERS.hasOwnProperty(word)) {
+        var value = SMALL_NUMBERS[word];
+        var units = current % 100;
+
+        // Only units can follow tens, e.g. "twenty three"
+        if (count && (units % 10 || units >= 10 && (units < 20 ||
+            value >= 10))) {
+          break;
+        }
+        current += value;
+      } else if (word === 'hundred') {
+        if (!count || current >= 100 || current === 0) {
+          break;
+        }
+        current *= 100;
+      } else {
+        if (!count || !current || SCALES[word] >= lastScale) {
+          break;
+        }
+        lastScale = SCALES[word];
+        total += current * lastScale;
+        current = 0;
+      }
+      count++;
+    }
+
+    if (!count) {
+      return null;
+    }
+
+    // "nineteen ninety nine", for years from 1000 to 2099
+    if (!total && current >= 10 && current <= 20) {
+      var pair = readYearPair(transcriptWords, i);
+      if (pair) {
+        return {
+          text: String(current * 100 + pair.value),
+          next: pair.next
+        };
+      }
+    }
+
+    var text = String(total + current);
+    var decimal = false;
+
+    // "three point five"
+    if (transcriptWords[i] && transcriptWords[i].word.toLowerCase() ===
+        'point') {
+      var digits = '';
+      var d = i + 1;
+      while (d < transcriptWords.length &&
+             SMALL_NUMBERS[getNumberWord(transcriptWords[d])] < 10) {
+        digits += SMALL_NUMBERS[getNumberWord(transcriptWords[d])];
+        d++;
+      }
+      if (digits) {
+        text += '.' + digits;
+        decimal = true;
+        i = d;
+      }
+    }
+
+    var percent = transcriptWords[i] &&
+                  transcriptWords[i].word.toLowerCase() === 'percent';
+    if (percent) {
+      text += '%';
+      i++;
+    }
+
+    if (total + current < 10 && !decimal && !percent) {
+      return null;
+    }
+
+    return {
+      text: text,
+      next: i
+    };
+  }
+
+  /**
+   * Turns the spoken numbers in a transcript into digits.
+   *
+   * @param {!string} transcript The transcript.
+   * @return {string} The transcript with digits.
+   */
+  this.transform = function(transcript) {
+    var split = words.split(transcript);
+    var output = [];
+
+    for (var i = 0; i < split.words.length;) {
+      var number = readNumber(split.words, i);
+      if (number) {
+        output.push({
+          space: split.words[i].space,
+          word: number.text
+        });
+        i = number.next;
+      } else {
+        output.push(split.words[i]);
+        i++;
+      }
+    }
+
+    return words.join(output, split.end);
+  };
+}
@@ -0,0 +1,115 @@
+/**
+ * Cloud Speech API streaming example for Node.js using gRPC.
+ *
+ * This file turns spoken punctuation commands into punctuation, e.g. "hello
+ * comma world full stop" into "hello, world.".
+ */
+var words = require('./words');
+
+module.exports = PunctuationTransformer;
+
+/**
+ * Spoken commands, and the punctuation they're replaced with. Punctuation
+ * attaches to the word before it, the word after it, or breaks the line.
+ *
+ * @const {!Object<Object>}
+ */
+var COMMANDS = {
+  'comma': {text: ',', attach: 'previous'},
+  'period': {text: '.', attach: 'previous'},
+  'full stop': {text: '.', attach: 'previous'},
+  'question mark': {text: '?', attach: 'previous'},
+  'exclamation mark': {text: '!', attach: 'previous'},
+  'exclamation point': {text: '!', attach: 'previous'},
+  'colon': {text: ':', attach: 'previous'},
+  'semicolon': {text: ';', attach: 'previous'},
+  'close quote': {text: '"', attach: 'previous'},
+  'end quote': {text: '"', attach: 'previous'},
+  'close bracket': {text: ')', attach: 'previous'},
+  'open quote': {text: '"', attach: 'next'},
+  'open bracket': {text: '(', attach: 'next'},
+  'new line': {text: '\n', attach: 'break'},
+  'new paragraph': {text: '\n\n', attach: 'break'}
+};
+
+// Longest command, in words
+var MAX_COMMAND_WORDS = 2;
+
+/**
+ * Punctuation transformer.
+ *
+ * @constructor
+ */
+function PunctuationTransformer() {
+  'use strict';
+
+  if (!(this instanceof PunctuationTransformer)) {
+    return new PunctuationTransformer();
+  }
+
+  /**
+   * Finds the command starting at a word, trying the longest first.
+   *
+   * @param {!Array<Object>} transcriptWords The words.
+   * @param {!number} start Index of the first word.
+   * @return {?Object} The command, and how many words it is, or null if
+   * there isn't one.
+   */
+  function findCommand(transcriptWords, start) {
+    for (var length = MAX_COMMAND_WORDS; length > 0; length--) {
+      var phrase = transcriptWords.slice(start, start + length)
+          .map(function(word) {
+        return word.word.toLowerCase();
+      }).join(' ');
+
+      if (COMMANDS.hasOwnProperty(phrase)) {
+        return {
+          punctuation: COMMANDS[phrase],
+          length: length
+        };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Turns the punctuation commands in a transcript into punctuation.
+   *
+   * @param {!string} transcript The transcript.
+   * @return {string} The punctuated transcript.
+   */
+  this.transform = function(transcript) {
+    var split = words.split(transcript);
+    var output = [];
+    var joinNext = false; // Whether the next word goes straight on
+
+    for (var i = 0; i < split.words.length;) {
+      var command = findCommand(split.words, i);
+      var space = joinNext ? '' : split.words[i].space;
+      joinNext = false;
+
+      if (!command) {
+        output.push({
+          space: space,
+          word: split.words[i].word
+        });
+        i++;
+        continue;
+      }
+
+      var punctuation = command.punctuation;
+      if (punctuation.attach === 'previous' && output.length) {
+        output[output.length - 1].word += punctuation.text;
+      } else {
+        output.push({
+          space: punctuation.attach === 'next' ? space : '',
+          word: punctuation.text
+        });
+        joinNext = punctuation.attach !== 'previous';
+      }
+      i += command.length;
+    }
+
+    return words.join(output, split.end);
+  };
+}
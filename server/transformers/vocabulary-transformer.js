@@ -0,0 +1,91 @@
+/**
+ * Cloud Speech API streaming example for Node.js using gRPC.
+ *
+ * This file replaces phrases the API doesn't know how to spell, like product
+ * names and jargon, e.g. "g cloud" with "gcloud".
+ */
+var fs = require('fs');
+
+module.exports = VocabularyTransformer;
+
+// Vocabulary for every session, from VOCABULARY_FILE, once it's been loaded
+var serverVocabulary = null;
+
+/**
+ * Loads the vocabulary for every session.
+ *
+ * @return {!Object<string>} Replacements, by phrase.
+ */
+function loadServerVocabulary() {
+  if (!serverVocabulary) {
+    serverVocabulary = process.env.VOCABULARY_FILE ?
+        JSON.parse(fs.readFileSync(process.env.VOCABULARY_FILE, 'utf8')) : {};
+  }
+  return serverVocabulary;
+}
+
+/**
+ * Escapes a string to match it literally in a regular expression.
+ *
+ * @param {!string} text The string.
+ * @return {string} The escaped string.
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Vocabulary transformer.
+ *
+ * Phrases are matched as whole words, ignoring case. The session's
+ * vocabulary is added to the server's, from the JSON file in
+ * VOCABULARY_FILE, and longer phrases are replaced first.
+ *
+ * @constructor
+ * @param {!Object} options Post-processing options, with the session's
+ * vocabulary mapping phrases to their replacements.
+ * @throws {Error} If the vocabulary isn't a map of strings.
+ */
+function VocabularyTransformer(options) {
+  'use strict';
+
+  if (!(this instanceof VocabularyTransformer)) {
+    return new VocabularyTransformer(options);
+  }
+
+  var vocabulary = {};
+  [loadServerVocabulary(), options.vocabulary || {}].forEach(function(words) {
+    Object.keys(words).forEach(function(phrase) {
+      if (typeof words[phrase] !== 'string') {
+        throw new Error('Vocabulary must map phrases to replacements');
+      }
+      vocabulary[phrase.toLowerCase()] = words[phrase];
+    });
+  });
+
+  var replacements = Object.keys(vocabulary).sort(function(a, b) {
+    return b.length - a.length;
+  }).map(function(phrase) {
+    return {
+      pattern: new RegExp('(^|[^\\w\'])(' + escapeRegExp(phrase) +
+                          ')(?=$|[^\\w\'])', 'gi'),
+      replacement: vocabulary[phrase]
+    };
+  });
+
+  /**
+   * Replaces the vocabulary's phrases.
+   *
+   * @param {!string} transcript The transcript.
+   * @return {string} The transcript with the phrases replaced.
+   */
+  this.transform = function(transcript) {
+    replacements.forEach(function(replacement) {
+      transcript = transcript.replace(replacement.pattern, function(match,
+                                                                   before) {
+        return before + replacement.replacement;
+      });
+    });
+    return transcript;
+  };
+}
@@ -0,0 +1,52 @@
+/**
+ * Cloud Speech API streaming example for Node.js using gRPC.
+ *
+ * This file splits transcripts into words for the transformers, keeping the
+ * whitespace before each word so they can be put back together as they were.
+ */
+'use strict';
+
+module.exports = {
+  split: split,
+  join: join
+};
+
+/**
+ * Splits a transcript into words.
+ *
+ * @param {!string} transcript The transcript.
+ * @return {!Object} The words, each with the space before it and the word,
+ * and the trailing whitespace as end.
+ */
+function split(transcript) {
+  var words = [];
+  var pattern = /(\s*)(\S+)/g;
+  var match;
+  var end = 0;
+
+  while ((match = pattern.exec(transcript))) {
+    words.push({
+      space: match[1],
+      word: match[2]
+    });
+    end = pattern.lastIndex;
+  }
+
+  return {
+    words: words,
+    end: transcript.substring(end)
+  };
+}
+
+/**
+ * Puts words back together into a transcript.
+ *
+ * @param {!Array<Object>} words The words, as from split.
+ * @param {!string} end The trailing whitespace.
+ * @return {string} The transcript.
+ */
+function join(words, end) {
+  return words.map(function(word) {
+    return word.space + word.word;
+  }).join('') + end;
+}
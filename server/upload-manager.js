@@ -0,0 +1,219 @@
+/**
+ * Cloud Speech API streaming example for Node.js using gRPC.
+ *
+ * This file keeps track of files being uploaded in chunks. Each upload is
+ * written to a temporary file as it comes in, so it can be resumed after the
+ * connection drops.
+ */
+var crypto = require('crypto');
+var fs = require('fs');
+var path = require('path');
+
+module.exports = UploadManager;
+
+/**
+ * How long an upload is kept after its last chunk.
+ *
+ * @const {number}
+ */
+var UPLOAD_EXPIRY = 60 * 60 * 1000; // An hour
+
+/**
+ * Chunked upload manager.
+ *
+ * Uploads are identified by the client's ID and an upload ID the client
+ * picks, which should stay the same for the same file so it can be resumed.
+ *
+ * @constructor
+ * @param {!string} directory Directory to keep uploads in while they're
+ * in progress.
+ * @param {!number} maxSize Largest upload allowed, in bytes.
+ */
+function UploadManager(directory, maxSize) {
+  'use strict';
+
+  if (!(this instanceof UploadManager)) {
+    return new UploadManager(directory, maxSize);
+  }
+
+  var uploads = {}; // Uploads in progress, by key
+
+  /**
+   * Returns the key of an upload.
+   *
+   * @param {!string} clientId ID of the client uploading.
+   * @param {!string} uploadId ID of the upload.
+   * @return {string} The key.
+   */
+  function getKey(clientId, uploadId) {
+    return crypto.createHash('sha256').update(clientId + '\n' + uploadId)
+        .digest('hex');
+  }
+
+  /**
+   * Removes an upload and its temporary file.
+   *
+   * @param {!string} key The upload's key.
+   */
+  function discard(key) {
+    if (uploads.hasOwnProperty(key)) {
+      clearTimeout(uploads[key].expiryTimer);
+      fs.unlink(uploads[key].path, function() {});
+      delete uploads[key];
+    }
+  }
+
+  /**
+   * Restarts the timer which discards an upload once it's been left alone.
+   *
+   * @param {!string} key The upload's key.
+   */
+  function touch(key) {
+    clearTimeout(uploads[key].expiryTimer);
+    uploads[key].expiryTimer = setTimeout(function() {
+      discard(key);
+    }, UPLOAD_EXPIRY);
+    uploads[key].expiryTimer.unref();
+  }
+
+  /**
+   * Starts or resumes an upload.
+   *
+   * @param {!string} clientId ID of the client uploading.
+   * @param {!string} uploadId ID of the upload.
+   * @param {!number} size Size of the file in bytes.
+   * @param {!function(?Error, Object=)} callback Called with the upload,
+   * including how many bytes have been received already, and whether it's
+   * been resumed.
+   */
+  this.start = function(clientId, uploadId, size, callback) {
+    if (!(size > 0) || size > maxSize) {
+      return process.nextTick(function() {
+        callback(new Error('Uploads must be between 1 and ' + maxSize +
+                           ' bytes'));
+      });
+    }
+
+    var key = getKey(clientId, uploadId);
+
+    // Carry on from where the upload got to
+    if (uploads.hasOwnProperty(key) && uploads[key].size === size) {
+      touch(key);
+      return process.nextTick(function() {
+        callback(null, {
+          received: uploads[key].received,
+          size: size,
+          resumed: true
+        });
+      });
+    }
+
+    discard(key);
+
+    fs.mkdir(directory, function() {
+      var filePath = path.join(directory, key);
+      fs.writeFile(filePath, new Buffer(0), function(err) {
+        if (err) {
+          return callback(err);
+        }
+
+        uploads[key] = {
+          path: filePath,
+          size: size,
+          received: 0,
+          writing: false,
+          finishing: false,
+          expiryTimer: null
+        };
+        touch(key);
+
+        callback(null, {
+          received: 0,
+          size: size,
+          resumed: false
+        });
+      });
+    });
+  };
+
+  /**
+   * Adds a chunk to an upload.
+   *
+   * Chunks which don't carry on from where the upload got to are ignored,
+   * so the client can pick up again from the number of bytes received.
+   *
+   * @param {!string} clientId ID of the client uploading.
+   * @param {!string} uploadId ID of the upload.
+   * @param {!number} offset Where the chunk starts in the file.
+   * @param {!Buffer} chunk The chunk.
+   * @param {!function(?Error, Object=)} callback Called with how many bytes
+   * have been received and the size of the file.
+   */
+  this.append = function(clientId, uploadId, offset, chunk, callback) {
+    var key = getKey(clientId, uploadId);
+    if (!Buffer.isBuffer(chunk)) {
+      return process.nextTick(function() {
+        callback(new Error('Chunks must be binary data'));
+      });
+    }
+    if (!uploads.hasOwnProperty(key)) {
+      return process.nextTick(function() {
+        callback(new Error('Upload not found'));
+      });
+    }
+
+    var upload = uploads[key];
+    touch(key);
+
+    if (upload.writing || offset !== upload.received ||
+        offset + chunk.length > upload.size) {
+      return process.nextTick(function() {
+        callback(null, {
+          received: upload.received,
+          size: upload.size
+        });
+      });
+    }
+
+    upload.writing = true;
+    fs.appendFile(upload.path, chunk, function(err) {
+      upload.writing = false;
+      if (err) {
+        return callback(err);
+      }
+
+      upload.received += chunk.length;
+      callback(null, {
+        received: upload.received,
+        size: upload.size
+      });
+    });
+  };
+
+  /**
+   * Reads a finished upload, and removes it.
+   *
+   * Only the first call for an upload gets the file, so it's only processed
+   * once.
+   *
+   * @param {!string} clientId ID of the client uploading.
+   * @param {!string} uploadId ID of the upload.
+   * @param {!function(?Error, Buffer=)} callback Called with the file.
+   */
+  this.finish = function(clientId, uploadId, callback) {
+    var key = getKey(clientId, uploadId);
+    if (!uploads.hasOwnProperty(key) || uploads[key].finishing ||
+        uploads[key].received !== uploads[key].size) {
+      return process.nextTick(function() {
+        callback(new Error('Upload not complete'));
+      });
+    }
+
+    uploads[key].finishing = true;
+
+    fs.readFile(uploads[key].path, function(err, data) {
+      discard(key);
+      callback(err, data);
+    });
+  };
+}
@@ -0,0 +1,69 @@
+/**
+ * Cloud Speech API streaming example for Node.js using gRPC.
+ *
+ * This file runs a local HTTP server which receives webhooks, checks their
+ * signatures and logs them, for trying webhooks out. It can fail the first
+ * few deliveries to try out the retries too.
+ *
+ * Usage: WEBHOOK_SECRET=... node webhook-receiver.js [port, default 8081]
+ *        [deliveries to fail, default 0]
+ */
+'use strict';
+
+var http = require('http');
+var Webhooks = require('./webhooks');
+
+// How old a delivery can be before it's refused, so it can't be replayed
+var MAX_AGE_SECONDS = 5 * 60;
+
+var port = Number(process.argv[2]) || 8081;
+var failuresLeft = Number(process.argv[3]) || 0;
+
+if (!process.env.WEBHOOK_SECRET) {
+  console.error('Usage: WEBHOOK_SECRET=... node webhook-receiver.js ' +
+                '[port] [deliveries to fail]');
+  process.exit(1);
+}
+
+// IDs of the events we've had, so retries of them are ignored
+var received = {};
+
+http.createServer(function(req, res) {
+  var chunks = [];
+
+  req.on('data', function(chunk) {
+    chunks.push(chunk);
+  });
+
+  req.on('end', function() {
+    var body = Buffer.concat(chunks).toString('utf8');
+    var timestamp = req.headers['x-webhook-timestamp'] || '';
+    var signature = Webhooks.sign(process.env.WEBHOOK_SECRET, timestamp,
+                                  body);
+
+    if (req.headers['x-webhook-signature'] !== signature ||
+        Math.abs(Date.now() / 1000 - Number(timestamp)) > MAX_AGE_SECONDS) {
+      console.warn('Refused a webhook with a bad signature');
+      res.writeHead(401);
+      return res.end();
+    }
+
+    if (failuresLeft > 0) {
+      failuresLeft--;
+      console.log('Failing', req.headers['x-webhook-event'], 'on purpose');
+      res.writeHead(500);
+      return res.end();
+    }
+
+    var id = req.headers['x-webhook-id'];
+    if (!received[id]) {
+      received[id] = true;
+      console.log(JSON.stringify(JSON.parse(body), null, 2));
+    }
+
+    res.writeHead(204);
+    res.end();
+  });
+}).listen(port, function() {
+  console.log('Webhook receiver listening on port', port);
+});
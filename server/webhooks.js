@@ -0,0 +1,227 @@
+/**
+ * Cloud Speech API streaming example for Node.js using gRPC.
+ *
+ * This file POSTs session lifecycle events and final results to other
+ * systems, e.g. ticketing or note-taking, so they get transcripts without
+ * holding a WebSockets connection open.
+ */
+var crypto = require('crypto');
+var fs = require('fs');
+var request = require('request');
+var metrics = require('./metrics');
+
+module.exports = Webhooks;
+
+/**
+ * Events which can be subscribed to.
+ *
+ * @const {!Array<string>}
+ */
+Webhooks.EVENTS = ['session.started', 'result.final', 'session.ended',
+                   'error'];
+
+// Webhook deliveries, by whether they were delivered
+var deliveriesCount = metrics.counter('speech_webhook_deliveries_total',
+    'Webhook deliveries, labelled by result: delivered, retried or failed');
+
+/**
+ * Signs a payload.
+ *
+ * @param {!string} secret The subscription's secret.
+ * @param {!string} timestamp When the payload was sent, in seconds.
+ * @param {!string} body The JSON payload.
+ * @return {string} The signature, as sha256= and the HMAC-SHA256 in hex.
+ */
+Webhooks.sign = function(secret, timestamp, body) {
+  return 'sha256=' + crypto.createHmac('sha256', secret)
+      .update(timestamp + '.' + body).digest('hex');
+};
+
+/**
+ * Webhook subscriptions.
+ *
+ * Each subscription has a url, a secret and the events it wants, or '*' for
+ * all of them. Payloads are JSON with the event's id, event name, createdAt
+ * and data. Every delivery has these headers, so receivers can check where
+ * it came from and ignore repeats:
+ *
+ *   X-Webhook-Id: the event's ID, the same across retries
+ *   X-Webhook-Event: the event name
+ *   X-Webhook-Timestamp: when it was sent, in seconds
+ *   X-Webhook-Signature: Webhooks.sign(secret, timestamp, body)
+ *
+ * Deliveries which fail, or get anything but a 2xx response, are retried
+ * with exponential backoff. Once they've run out of attempts they're
+ * appended to the dead-letter file, one JSON object per line.
+ *
+ * @constructor
+ * @param {!Object} options The subscriptions, maxAttempts, retryDelaySeconds
+ * (how long to wait before the first retry, doubling after each one) and
+ * deadLetterFile.
+ */
+function Webhooks(options) {
+  'use strict';
+
+  if (!(this instanceof Webhooks)) {
+    return new Webhooks(options);
+  }
+
+  var subscriptions = options.subscriptions || [];
+
+  this.enabled = subscriptions.length > 0;
+
+  /**
+   * Keeps a delivery which has run out of attempts.
+   *
+   * @param {!Object} subscription The subscription.
+   * @param {!string} body The JSON payload.
+   * @param {!number} attempts How many times it was tried.
+   * @param {!string} error Why the last attempt failed.
+   */
+  function deadLetter(subscription, body, attempts, error) {
+    deliveriesCount.inc(1, {result: 'failed'});
+    console.error('Giving up on webhook', subscription.url, 'after',
+                  attempts, 'attempts:', error);
+
+    var entry = JSON.stringify({
+      failedAt: new Date().toISOString(),
+      url: subscription.url,
+      attempts: attempts,
+      error: error,
+      payload: JSON.parse(body)
+    });
+    fs.appendFile(options.deadLetterFile, entry + '\n', function(err) {
+      if (err) {
+        console.error('Error writing to the webhook dead-letter file', err);
+      }
+    });
+  }
+
+  /**
+   * Delivers a payload to a subscription, retrying until it's delivered or
+   * has run out of attempts.
+   *
+   * @param {!Object} subscription The subscription.
+   * @param {!Object} payload The payload.
+   * @param {!string} body The payload as JSON.
+   * @param {!number} attempt Which attempt this is, starting at 1.
+   */
+  function deliver(subscription, payload, body, attempt) {
+    var timestamp = String(Math.floor(Date.now() / 1000));
+
+    request({
+      method: 'POST',
+      url: subscription.url,
+      body: body,
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Webhook-Id': payload.id,
+        'X-Webhook-Event': payload.event,
+        'X-Webhook-Timestamp': timestamp,
+        'X-Webhook-Signature': Webhooks.sign(subscription.secret, timestamp,
+                                             body)
+      },
+      timeout: 10000
+    }, function(err, resp) {
+      if (!err && resp.statusCode >= 200 && resp.statusCode < 300) {
+        deliveriesCount.inc(1, {result: 'delivered'});
+        return;
+      }
+
+      var error = err ? err.message : 'HTTP ' + resp.statusCode;
+      if (attempt >= options.maxAttempts) {
+        return deadLetter(subscription, body, attempt, error);
+      }
+
+      // Back off, with some jitter so retries don't all land at once
+      var delay = options.retryDelaySeconds * 1000 * Math.pow(2, attempt - 1);
+      delay += Math.random() * delay * 0.1;
+
+      deliveriesCount.inc(1, {result: 'retried'});
+      setTimeout(function() {
+        deliver(subscription, payload, body, attempt + 1);
+      }, delay).unref();
+    });
+  }
+
+  /**
+   * Sends an event to every subscription which wants it.
+   *
+   * @param {!string} event One of Webhooks.EVENTS.
+   * @param {!Object} data The event's data.
+   */
+  this.send = function(event, data) {
+    var payload = {
+      id: crypto.randomBytes(8).toString('hex'),
+      event: event,
+      createdAt: new Date().toISOString(),
+      data: data
+    };
+    var body = JSON.stringify(payload);
+
+    subscriptions.forEach(function(subscription) {
+      var events = subscription.events || ['*'];
+      if (events.indexOf('*') !== -1 || events.indexOf(event) !== -1) {
+        deliver(subscription, payload, body, 1);
+      }
+    });
+  };
+}
+
+/**
+ * Loads the webhook subscriptions.
+ *
+ * @param {?string} subscriptionsFile Path to a JSON file with a list of
+ * subscriptions, if there is one, e.g. [{"url": "https://...", "secret":
+ * "...", "events": ["result.final"]}].
+ * @param {?Array<string>} urlList URLs for subscriptions to every event.
+ * @param {?string} secret Secret for subscriptions without their own.
+ * @return {!Array<Object>} The subscriptions.
+ * @throws {Error} If the file can't be read or isn't a list of objects, or
+ * a subscription has no URL or secret, or wants an event which doesn't
+ * exist.
+ */
+Webhooks.loadSubscriptions = function(subscriptionsFile, urlList, secret) {
+  var subscriptions = subscriptionsFile ?
+      JSON.parse(fs.readFileSync(subscriptionsFile, 'utf8')) : [];
+
+  if (!Array.isArray(subscriptions)) {
+    throw new Error('Webhook subscriptions must be a list');
+  }
+  subscriptions.forEach(function(subscription) {
+    if (!subscription || typeof subscription !== 'object' ||
+        Array.isArray(subscription)) {
+      throw new Error('Webhook subscriptions must be objects');
+    }
+    if (subscription.events !== undefined &&
+        !Array.isArray(subscription.events)) {
+      throw new Error('Webhook events must be a list: ' + subscription.url);
+    }
+  });
+
+  (urlList || []).forEach(function(url) {
+    if (url) {
+      subscriptions.push({url: url});
+    }
+  });
+
+  subscriptions.forEach(function(subscription) {
+    subscription.secret = subscription.secret || secret;
+
+    if (!/^https?:\/\//.test(subscription.url || '')) {
+      throw new Error('Webhook URLs must be HTTP(S) URLs: ' +
+                      subscription.url);
+    }
+    if (!subscription.secret) {
+      throw new Error('Webhook has no secret to sign with: ' +
+                      subscription.url);
+    }
+    (subscription.events || []).forEach(function(event) {
+      if (event !== '*' && Webhooks.EVENTS.indexOf(event) === -1) {
+        throw new Error('Unknown webhook event: ' + event);
+      }
+    });
+  });
+
+  return subscriptions;
+};
@@ -0,0 +1,190 @@
+/**
+ * Cloud Speech API streaming example for Node.js using gRPC.
+ *
+ * This file keeps the timings of words in step with their transcripts, e.g.
+ * after a transformer has turned "twenty three" into "23", or a card number
+ * has been redacted, so the words never say more than the transcript does.
+ */
+'use strict';
+
+module.exports = {
+  align: align,
+  shift: shift
+};
+
+/**
+ * Rounds a time to the millisecond, so times worked out by dividing spans
+ * stay readable.
+ *
+ * @param {!number} seconds The time.
+ * @return {number} The rounded time.
+ */
+function round(seconds) {
+  return Math.round(seconds * 1000) / 1000;
+}
+
+/**
+ * Returns the form of a word used to match it up, without case or
+ * punctuation.
+ *
+ * @param {!string} word The word.
+ * @return {string} Its key, which is empty for punctuation.
+ */
+function getKey(word) {
+  return word.toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Times the words of a transcript from the timed words it was made from.
+ *
+ * Words which are still there keep their timings. Words which replaced
+ * others, e.g. "23" for "twenty three" or "[CARD_NUMBER]" for a card
+ * number, share the time of the words they replaced, and get the lowest of
+ * their confidences. Words which were removed are left out.
+ *
+ * @param {?Array<Object>} words The timed words, each with the word, its
+ * start and end in seconds, and its confidence.
+ * @param {!string} transcript The new transcript.
+ * @return {?Array<Object>} The timed words of the new transcript, or the
+ * words as they were if there weren't any.
+ */
+function align(words, transcript) {
+  if (!words || !words.length) {
+    return words;
+  }
+
+  var tokens = transcript.split(/\s+/).filter(Boolean);
+  var wordKeys = words.map(function(word) {
+    return getKey(word.word);
+  });
+  var tokenKeys = tokens.map(getKey);
+
+  // Lengths of the longest common subsequences of the ends of both
+  var lengths = [];
+  for (var i = words.length; i >= 0; i--) {
+    lengths[i] = [];
+    for (var j = tokens.length; j >= 0; j--) {
+      if (i === words.length || j === tokens.length) {
+        lengths[i][j] = 0;
+      } else if (wordKeys[i] && wordKeys[i] === tokenKeys[j]) {
+        lengths[i][j] = lengths[i + 1][j + 1] + 1;
+      } else {
+        lengths[i][j] = Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+      }
+    }
+  }
+
+  var aligned = [];
+  var replacedWords = [];
+  var newTokens = [];
+
+  /**
+   * Times the new tokens since the last matching word across the words
+   * they replaced.
+   *
+   * @param {?Object} nextWord The next word which is still there, if any.
+   */
+  function flush(nextWord) {
+    if (newTokens.length) {
+      var start;
+      var end;
+      var confidence = null;
+
+      if (replacedWords.length) {
+        start = replacedWords[0].start;
+        end = replacedWords[replacedWords.length - 1].end;
+        replacedWords.forEach(function(word) {
+          if (typeof word.confidence === 'number') {
+            confidence = confidence === null ? word.confidence :
+                         Math.min(confidence, word.confidence);
+          }
+        });
+      } else {
+        // Added words, e.g. punctuation, take no time
+        start = aligned.length ? aligned[aligned.length - 1].end :
+                nextWord ? nextWord.start : words[0].start;
+        end = start;
+      }
+
+      var duration = (end - start) / newTokens.length;
+      newTokens.forEach(function(token, t) {
+        aligned.push({
+          word: token,
+          start: round(start + duration * t),
+          end: round(start + duration * (t + 1)),
+          confidence: confidence
+        });
+      });
+    }
+
+    replacedWords = [];
+    newTokens = [];
+  }
+
+  i = 0;
+  j = 0;
+  while (i < words.length || j < tokens.length) {
+    if (i < words.length && j < tokens.length && wordKeys[i] &&
+        wordKeys[i] === tokenKeys[j]) {
+      flush(words[i]);
+      aligned.push({
+        word: tokens[j],
+        start: words[i].start,
+        end: words[i].end,
+        confidence: words[i].confidence
+      });
+      i++;
+      j++;
+    } else if (j === tokens.length ||
+               (i < words.length && lengths[i + 1][j] >= lengths[i][j + 1])) {
+      replacedWords.push(words[i]);
+      i++;
+    } else {
+      newTokens.push(tokens[j]);
+      j++;
+    }
+  }
+  flush(null);
+
+  return aligned;
+}
+
+/**
+ * Moves the words of results along, e.g. from the start of a segment of a
+ * file to the start of the file.
+ *
+ * @param {!Array<Object>} results The results, which aren't changed.
+ * @param {!number} seconds How far to move them.
+ * @return {!Array<Object>} Copies of the results with their words moved, or
+ * the same results if there's nothing to move.
+ */
+function shift(results, seconds) {
+  if (!seconds) {
+    return results;
+  }
+
+  return results.map(function(result) {
+    var shifted = {};
+    Object.keys(result).forEach(function(key) {
+      shifted[key] = result[key];
+    });
+
+    shifted.alternatives = result.alternatives.map(function(alternative) {
+      var shiftedAlternative = {};
+      Object.keys(alternative).forEach(function(key) {
+        shiftedAlternative[key] = alternative[key];
+      });
+      shiftedAlternative.words = (alternative.words || []).map(function(word) {
+        return {
+          word: word.word,
+          start: round(word.start + seconds),
+          end: round(word.end + seconds),
+          confidence: word.confidence
+        };
+      });
+      return shiftedAlternative;
+    });
+
+    return shifted;
+  });
+}